@@ -1,22 +1,416 @@
+import { DECIMAL_PATTERN, MathInputError, toValueArray } from './validation.js';
+
+export { MathInputError };
+
 /**
- * 数値配列の合計を計算します
- * @param {number[]} arr - 合計を計算する数値の配列
- * @returns {number} 配列内の全数値の合計値
+ * 入力を検証し、数値のみの配列に変換します
+ * @param {Iterable<number>} arr - 検証する数値の iterable
+ * @param {object} [options] - オプション
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - NaN・±Infinity・欠損値をエラーにするか読み飛ばすか
+ * @returns {number[]} 検証済みの数値の配列
+ * @throws {MathInputError} iterable でない場合、または数値以外の値を含む場合
+ */
+function toNumbers(arr, { nonFinite = 'reject' } = {}) {
+  return toValueArray(arr, { nonFinite });
+}
+
+/**
+ * 検証済みの数値配列の合計を Neumaier の補正付き加算で計算します
+ *
+ * 途中でオーバーフローした場合は補正項が NaN（Infinity - Infinity）になるため、単純な加算の結果を返します。
+ * @param {number[]} values - 検証済みの数値の配列
+ * @returns {number} 合計値
  */
-export function sumNumbers(arr) {
+function neumaierSum(values) {
   let total = 0;
-  for (const n of arr) {
-    total += n;
+  let compensation = 0;
+  for (const n of values) {
+    const t = total + n;
+    if (!Number.isFinite(t)) {
+      return naiveSum(values);
+    }
+    if (Math.abs(total) >= Math.abs(n)) {
+      compensation += (total - t) + n;
+    } else {
+      compensation += (n - t) + total;
+    }
+    total = t;
+  }
+  return total + compensation;
+}
+
+/**
+ * 検証済みの数値配列の合計を古典的な Kahan の補正付き加算で計算します
+ *
+ * オーバーフローした場合は {@link neumaierSum} と同じく単純な加算の結果を返します。
+ * @param {number[]} values - 検証済みの数値の配列
+ * @returns {number} 合計値
+ */
+function kahanSum(values) {
+  let total = 0;
+  let compensation = 0;
+  for (const n of values) {
+    const y = n - compensation;
+    const t = total + y;
+    if (!Number.isFinite(t)) {
+      return naiveSum(values);
+    }
+    compensation = (t - total) - y;
+    total = t;
   }
   return total;
 }
 
+/**
+ * 検証済みの数値配列を補正なしで先頭から順に加算します
+ * @param {number[]} values - 検証済みの数値の配列
+ * @returns {number} 合計値
+ */
+function naiveSum(values) {
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
+const SUMMATION_METHODS = {
+  neumaier: neumaierSum,
+  kahan: kahanSum,
+  naive: naiveSum,
+};
+
+/**
+ * 10進数文字列または BigInt を、桁をずらした BigInt に変換します
+ * @param {string|bigint} value - "-12.34" のような10進数文字列、または BigInt
+ * @returns {{ units: bigint, scale: number }} value === units / 10^scale となる組
+ */
+function parseDecimal(value) {
+  if (typeof value === 'bigint') {
+    return { units: value, scale: 0 };
+  }
+  const [, sign, intPart, fracPart = ''] = DECIMAL_PATTERN.exec(value.trim());
+  const units = BigInt(`${intPart || '0'}${fracPart}`);
+  return { units: sign === '-' ? -units : units, scale: fracPart.length };
+}
+
+/**
+ * 桁をずらした BigInt を、小数部末尾の0を除いた10進数文字列にします
+ * @param {bigint} units - 桁をずらした値
+ * @param {number} scale - units に含まれる小数部の桁数
+ * @returns {string} 10進数文字列
+ */
+function formatDecimal(units, scale) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const intPart = digits.slice(0, digits.length - scale);
+  const fracPart = digits.slice(digits.length - scale).replace(/0+$/, '');
+  const text = fracPart ? `${intPart}.${fracPart}` : intPart;
+  return negative && text !== '0' ? `-${text}` : text;
+}
+
+/**
+ * BigInt と10進数文字列を誤差なく合計します
+ * @param {Array<string|bigint>} values - 合計する値の配列
+ * @returns {{ units: bigint, scale: number }} 桁をずらした正確な合計
+ */
+function exactSum(values) {
+  const parsed = values.map(parseDecimal);
+  const scale = parsed.reduce((max, { scale: s }) => Math.max(max, s), 0);
+  let units = 0n;
+  for (const item of parsed) {
+    units += item.units * 10n ** BigInt(scale - item.scale);
+  }
+  return { units, scale };
+}
+
+/**
+ * 検証済みの配列に必要な演算の種類を判定します
+ * @param {Array<number|string|bigint>} values - toValueArray で検証済みの値
+ * @returns {'number'|'bigint'|'decimal'} 使う演算の種類
+ */
+function detectKind(values) {
+  if (typeof values[0] === 'number') return 'number';
+  return values.some((value) => typeof value === 'string') ? 'decimal' : 'bigint';
+}
+
+/**
+ * 数値配列の合計を計算します
+ *
+ * 桁の大きく異なる値が混在しても誤差が蓄積しないよう、数値は補正付き加算（既定は Neumaier）で合計します。
+ * BigInt だけの入力は正確な BigInt を、10進数文字列を含む入力は正確な10進数文字列を返します。
+ * @param {Iterable<number>|Iterable<bigint>|Iterable<string|bigint>} arr - 合計を計算する値の配列（Set などの iterable も可）
+ * @param {object} [options] - オプション
+ * @param {'neumaier'|'kahan'|'naive'} [options.method='neumaier'] - 数値の加算に使うアルゴリズム
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - NaN・±Infinity・欠損値をエラーにするか読み飛ばすか
+ * @returns {number|bigint|string} 配列内の全値の合計値。空配列の場合は0を返す
+ * @throws {TypeError} 未知のアルゴリズムを指定した場合
+ * @throws {MathInputError} iterable でない場合、不正な値を含む場合（index に位置を持つ）、または数値と正確な値が混在する場合
+ */
+export function sumNumbers(arr, { method = 'neumaier', nonFinite = 'reject' } = {}) {
+  const sum = SUMMATION_METHODS[method];
+  if (!sum) {
+    throw new TypeError(`Unknown summation method: ${method}`);
+  }
+  const values = toValueArray(arr, { nonFinite, allowExact: true });
+  if (values.length === 0) return 0;
+
+  const kind = detectKind(values);
+  if (kind === 'number') {
+    return sum(values);
+  }
+  const exact = exactSum(values);
+  return kind === 'bigint' ? exact.units : formatDecimal(exact.units, exact.scale);
+}
+
 /**
  * 数値配列の平均値を計算します
- * @param {number[]} arr - 平均値を計算する数値の配列
- * @returns {number} 配列の平均値。空配列の場合は0を返す
+ *
+ * 数値は {@link sumNumbers} と同じ補正付き加算を使います。BigInt と10進数文字列は誤差なく平均し、
+ * 小数点以下 `precision` 桁に四捨五入（0から遠い方へ丸め）した10進数文字列を返します。
+ * @param {Iterable<number>|Iterable<string|bigint>} arr - 平均値を計算する値の配列（Set などの iterable も可）
+ * @param {object} [options] - オプション
+ * @param {'neumaier'|'kahan'|'naive'} [options.method='neumaier'] - 数値の加算に使うアルゴリズム
+ * @param {number} [options.precision=20] - 正確な平均で残す小数点以下の桁数
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - NaN・±Infinity・欠損値をエラーにするか読み飛ばすか
+ * @returns {number|string} 配列の平均値。空配列の場合は0を返す
+ * @throws {RangeError} precision が0以上の安全な整数でない場合
+ * @throws {TypeError|MathInputError} {@link sumNumbers} と同じ条件の場合
+ */
+export function average(arr, { method = 'neumaier', precision = 20, nonFinite = 'reject' } = {}) {
+  if (!Number.isSafeInteger(precision) || precision < 0) {
+    throw new RangeError(`precision must be a non-negative integer, got ${precision}`);
+  }
+  const values = toValueArray(arr, { nonFinite, allowExact: true });
+  if (values.length === 0) return 0;
+
+  if (detectKind(values) === 'number') {
+    return sumNumbers(values, { method }) / values.length;
+  }
+
+  const { units, scale } = exactSum(values);
+  const shift = precision - scale;
+  const numerator = shift >= 0 ? units * 10n ** BigInt(shift) : units;
+  const denominator = BigInt(values.length) * (shift >= 0 ? 1n : 10n ** BigInt(-shift));
+  let quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder * 2n >= denominator) quotient += 1n;
+  else if (remainder * 2n <= -denominator) quotient -= 1n;
+  return formatDecimal(quotient, precision);
+}
+
+/**
+ * 数値配列を昇順に並べた新しい配列を返します（元の配列は変更しません）
+ * @param {number[]} arr - 並べ替える数値の配列
+ * @returns {number[]} 昇順に並べ替えた配列のコピー
+ */
+function sortAscending(arr) {
+  return [...arr].sort((a, b) => a - b);
+}
+
+/**
+ * 昇順に並べ替え済みの配列から分位点を線形補間で求めます
+ * @param {number[]} sorted - 昇順に並べ替え済みの数値の配列
+ * @param {number} q - 0 以上 1 以下の分位
+ * @returns {number} 分位点の値。空配列の場合は0を返す
  */
-export function average(arr) {
-  if (arr.length === 0) return 0;
-  return sumNumbers(arr) / arr.length;
+function quantileSorted(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * 検証済みの数値配列の最頻値を求めます
+ * @param {number[]} values - 検証済みの数値の配列
+ * @returns {number[]} 最も多く出現した値の配列（昇順）
+ */
+function modeOf(values) {
+  const counts = new Map();
+  let maxCount = 0;
+  for (const n of values) {
+    const count = (counts.get(n) || 0) + 1;
+    counts.set(n, count);
+    if (count > maxCount) maxCount = count;
+  }
+  const modes = [];
+  for (const [n, count] of counts) {
+    if (count === maxCount) modes.push(n);
+  }
+  return sortAscending(modes);
+}
+
+/**
+ * 検証済みの数値配列の分散を求めます
+ * @param {number[]} values - 検証済みの数値の配列
+ * @param {boolean} sample - true の場合は不偏分散を求める
+ * @returns {number} 分散。割る数が0以下の場合は0
+ */
+function varianceOf(values, sample) {
+  const divisor = sample ? values.length - 1 : values.length;
+  if (divisor <= 0) return 0;
+  const mean = neumaierSum(values) / values.length;
+  let squares = 0;
+  for (const n of values) {
+    squares += (n - mean) ** 2;
+  }
+  return squares / divisor;
+}
+
+/**
+ * 数値配列の中央値を計算します
+ * @param {Iterable<number>} arr - 中央値を計算する数値の配列
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number} 配列の中央値。要素数が偶数の場合は中央2値の平均、空配列の場合は0を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function median(arr, options) {
+  return quantileSorted(sortAscending(toNumbers(arr, options)), 0.5);
+}
+
+/**
+ * 数値配列の最頻値を計算します
+ * @param {Iterable<number>} arr - 最頻値を計算する数値の配列
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number[]} 最も多く出現した値の配列（昇順）。同数の値が複数ある場合はすべて含み、空配列の場合は空配列を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function mode(arr, options) {
+  return modeOf(toNumbers(arr, options));
+}
+
+/**
+ * 数値配列の分散を計算します
+ * @param {Iterable<number>} arr - 分散を計算する数値の配列
+ * @param {object} [options] - オプション
+ * @param {boolean} [options.sample=false] - true の場合は不偏分散（n - 1 で割る）を返す
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - NaN・±Infinity・欠損値をエラーにするか読み飛ばすか
+ * @returns {number} 配列の分散。空配列（不偏分散の場合は要素数1以下）の場合は0を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function variance(arr, { sample = false, nonFinite } = {}) {
+  return varianceOf(toNumbers(arr, { nonFinite }), sample);
+}
+
+/**
+ * 数値配列の標準偏差を計算します
+ * @param {Iterable<number>} arr - 標準偏差を計算する数値の配列
+ * @param {object} [options] - オプション（{@link variance} と同じ）
+ * @param {boolean} [options.sample=false] - true の場合は不偏分散から標準偏差を求める
+ * @returns {number} 配列の標準偏差。空配列の場合は0を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function standardDeviation(arr, options) {
+  return Math.sqrt(variance(arr, options));
+}
+
+/**
+ * 数値配列の最小値を返します
+ * @param {Iterable<number>} arr - 最小値を求める数値の配列
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number} 配列の最小値。空配列の場合は0を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function min(arr, options) {
+  const values = toNumbers(arr, options);
+  if (values.length === 0) return 0;
+  let result = Infinity;
+  for (const n of values) {
+    if (n < result) result = n;
+  }
+  return result;
+}
+
+/**
+ * 数値配列の最大値を返します
+ * @param {Iterable<number>} arr - 最大値を求める数値の配列
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number} 配列の最大値。空配列の場合は0を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function max(arr, options) {
+  const values = toNumbers(arr, options);
+  if (values.length === 0) return 0;
+  let result = -Infinity;
+  for (const n of values) {
+    if (n > result) result = n;
+  }
+  return result;
+}
+
+/**
+ * 数値配列の範囲（最大値 - 最小値）を計算します
+ * @param {Iterable<number>} arr - 範囲を計算する数値の配列
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number} 配列の範囲。空配列の場合は0を返す
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function range(arr, options) {
+  const values = toNumbers(arr, options);
+  return max(values) - min(values);
+}
+
+/**
+ * 数値配列の分位点を線形補間で計算します
+ * @param {Iterable<number>} arr - 分位点を計算する数値の配列
+ * @param {number} q - 0 以上 1 以下の分位（例: 0.25 で第1四分位数）
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number} 分位点の値。空配列の場合は0を返す
+ * @throws {RangeError} q が 0 以上 1 以下の数値でない場合
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function quantile(arr, q, options) {
+  if (typeof q !== 'number' || !(q >= 0 && q <= 1)) {
+    throw new RangeError('q must be a number between 0 and 1');
+  }
+  return quantileSorted(sortAscending(toNumbers(arr, options)), q);
+}
+
+/**
+ * 数値配列のパーセンタイルを線形補間で計算します
+ * @param {Iterable<number>} arr - パーセンタイルを計算する数値の配列
+ * @param {number} p - 0 以上 100 以下のパーセンタイル（例: 90 で90パーセンタイル）
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {number} パーセンタイルの値。空配列の場合は0を返す
+ * @throws {RangeError} p が 0 以上 100 以下の数値でない場合
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function percentile(arr, p, options) {
+  if (typeof p !== 'number' || !(p >= 0 && p <= 100)) {
+    throw new RangeError('p must be a number between 0 and 100');
+  }
+  return quantileSorted(sortAscending(toNumbers(arr, options)), p / 100);
+}
+
+/**
+ * 数値配列の記述統計量をまとめて計算します
+ *
+ * 検証・並べ替え・集計はそれぞれ1回だけ行い、各統計量を個別に呼び出すよりも効率的に求めます。
+ * @param {Iterable<number>} arr - 記述統計量を計算する数値の配列
+ * @param {object} [options] - オプション（{@link sumNumbers} と同じ）
+ * @returns {{count: number, sum: number, average: number, median: number, mode: number[], variance: number, standardDeviation: number, min: number, max: number, range: number, q1: number, q3: number}}
+ *   記述統計量をまとめたオブジェクト。空配列の場合は mode が空配列、それ以外はすべて0
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function summarize(arr, options) {
+  const sorted = sortAscending(toNumbers(arr, options));
+  const count = sorted.length;
+  const sum = neumaierSum(sorted);
+  const varianceValue = varianceOf(sorted, false);
+  const minValue = count === 0 ? 0 : sorted[0];
+  const maxValue = count === 0 ? 0 : sorted[count - 1];
+
+  return {
+    count,
+    sum,
+    average: count === 0 ? 0 : sum / count,
+    median: quantileSorted(sorted, 0.5),
+    mode: modeOf(sorted),
+    variance: varianceValue,
+    standardDeviation: Math.sqrt(varianceValue),
+    min: minValue,
+    max: maxValue,
+    range: maxValue - minValue,
+    q1: quantileSorted(sorted, 0.25),
+    q3: quantileSorted(sorted, 0.75),
+  };
 }
@@ -0,0 +1,106 @@
+// case2/src/utils/validation.js（CommonJS）の ESM 版です。パッケージ同士を独立させるため
+// 意図的に別ファイルとして持っています。変更する場合は両方のファイルを揃えてください。
+
+export const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * 数学ユーティリティに渡された入力が使えない場合に投げるエラー
+ */
+export class MathInputError extends TypeError {
+  /**
+   * @param {string} message - 問題の説明
+   * @param {object} [details] - 詳細
+   * @param {number} [details.index] - 入力内での不正な値の位置
+   * @param {*} [details.value] - 不正な値
+   */
+  constructor(message, { index, value } = {}) {
+    super(index === undefined ? message : `${message} (index ${index})`);
+    this.name = 'MathInputError';
+    this.index = index;
+    this.value = value;
+  }
+}
+
+/**
+ * 文字列が "-12.34" のような単純な10進数かどうかを判定します
+ * @param {string} value - 判定する文字列
+ * @returns {boolean} 正確な10進数として解釈できる場合は true
+ */
+export function isDecimalString(value) {
+  const match = DECIMAL_PATTERN.exec(value.trim());
+  return Boolean(match) && (match[2] !== '' || Boolean(match[3]));
+}
+
+/**
+ * エラーメッセージ用に値を短く説明します
+ * @param {*} value - 説明する値
+ * @returns {string} 値の短い説明
+ */
+function describeValue(value) {
+  if (typeof value === 'string') return `string "${value}"`;
+  if (typeof value === 'bigint') return `bigint ${value}n`;
+  if (typeof value === 'number') return String(value);
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * 数値の列に含まれる1つの値を検証します
+ * @param {*} value - 検証する値
+ * @param {number} index - 列内での値の位置（エラーに使う）
+ * @param {object} [options] - オプション
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - NaN・±Infinity・欠損値をエラーにするか読み飛ばすか
+ * @returns {boolean} 値を使う場合は true、読み飛ばす場合は false
+ * @throws {MathInputError} 有限の数値ではなく、読み飛ばすこともできない場合
+ */
+export function checkFiniteNumber(value, index, { nonFinite = 'reject' } = {}) {
+  if (typeof value === 'number' && Number.isFinite(value)) return true;
+  const skippable = value === undefined || typeof value === 'number';
+  if (skippable && nonFinite === 'skip') return false;
+  const message = value === undefined ? 'Missing value' : `Expected a finite number, got ${describeValue(value)}`;
+  throw new MathInputError(message, { index, value });
+}
+
+/**
+ * 数学ユーティリティの入力を検証し、穴のない配列にコピーします
+ *
+ * 配列・Set・ジェネレーターなど、任意の iterable を受け付けます。
+ * 疎な配列の穴や `undefined` の要素は、有限でない数値と同じように扱います。
+ * @param {Iterable<*>} input - 検証する値
+ * @param {object} [options] - オプション
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - NaN・±Infinity・欠損値をエラーにするか読み飛ばすか
+ * @param {boolean} [options.allowExact=false] - BigInt と10進数文字列を受け付けるかどうか
+ * @returns {Array<number|bigint|string>} 検証済みの値。数値と正確な値（BigInt・10進数文字列）が混ざることはない
+ * @throws {MathInputError} iterable でない場合、または不正な値を含む場合
+ */
+export function toValueArray(input, { nonFinite = 'reject', allowExact = false } = {}) {
+  if (nonFinite !== 'reject' && nonFinite !== 'skip') {
+    throw new MathInputError(`Unknown nonFinite option: ${nonFinite}`);
+  }
+  if (input === null || input === undefined || typeof input === 'string'
+    || typeof input[Symbol.iterator] !== 'function') {
+    throw new MathInputError(`Expected an iterable of numbers, got ${describeValue(input)}`, { value: input });
+  }
+
+  const values = [];
+  let exactKind = null;
+  let index = 0;
+  // 配列のイテレーターは穴を undefined として返すため、疎な配列を別に扱う必要はない
+  for (const value of input) {
+    const type = typeof value;
+    const isExact = allowExact && (type === 'bigint' || type === 'string');
+    if (isExact || checkFiniteNumber(value, index, { nonFinite })) {
+      if (type === 'string' && !isDecimalString(value)) {
+        throw new MathInputError(`Invalid decimal string: "${value}"`, { index, value });
+      }
+      if (exactKind === null) {
+        exactKind = isExact;
+      } else if (exactKind !== isExact) {
+        throw new MathInputError('Cannot mix numbers with BigInts or decimal strings', { index, value });
+      }
+      values.push(value);
+    }
+    index++;
+  }
+  return values;
+}
@@ -1,10 +1,545 @@
-function average(arr) {
-  if (arr.length === 0) return 0;
+const { DECIMAL_PATTERN, MathInputError, checkFiniteNumber, toValueArray } = require('./validation');
+
+/**
+ * Adds numbers using Neumaier's improved Kahan summation.
+ *
+ * Falls back to the naive sum once the running sum overflows, because the
+ * compensation term would otherwise become `Infinity - Infinity` (NaN).
+ * @param {number[]} arr - Numbers to add
+ * @returns {number} Compensated sum
+ */
+function neumaierSum(arr) {
+  let sum = 0;
+  let compensation = 0;
+  for (let i = 0; i < arr.length; i++) {
+    const value = arr[i];
+    const t = sum + value;
+    if (!Number.isFinite(t)) return naiveSum(arr);
+    if (Math.abs(sum) >= Math.abs(value)) {
+      compensation += (sum - t) + value;
+    } else {
+      compensation += (value - t) + sum;
+    }
+    sum = t;
+  }
+  return sum + compensation;
+}
+
+/**
+ * Adds numbers using classic Kahan summation.
+ *
+ * Falls back to the naive sum once the running sum overflows, like {@link neumaierSum}.
+ * @param {number[]} arr - Numbers to add
+ * @returns {number} Compensated sum
+ */
+function kahanSum(arr) {
+  let sum = 0;
+  let compensation = 0;
+  for (let i = 0; i < arr.length; i++) {
+    const y = arr[i] - compensation;
+    const t = sum + y;
+    if (!Number.isFinite(t)) return naiveSum(arr);
+    compensation = (t - sum) - y;
+    sum = t;
+  }
+  return sum;
+}
+
+/**
+ * Adds numbers left to right without compensation.
+ * @param {number[]} arr - Numbers to add
+ * @returns {number} Naive sum
+ */
+function naiveSum(arr) {
   let sum = 0;
   for (let i = 0; i < arr.length; i++) {
     sum += arr[i];
   }
-  return sum / arr.length;
+  return sum;
+}
+
+const SUMMATION_METHODS = {
+  neumaier: neumaierSum,
+  kahan: kahanSum,
+  naive: naiveSum
+};
+
+/**
+ * Parses a decimal string or BigInt into a scaled BigInt.
+ * @param {string|bigint} value - Decimal string such as "-12.34", or a BigInt
+ * @returns {{ units: bigint, scale: number }} value === units / 10^scale
+ */
+function parseDecimal(value) {
+  if (typeof value === 'bigint') {
+    return { units: value, scale: 0 };
+  }
+  const [, sign, intPart, fracPart = ''] = DECIMAL_PATTERN.exec(value.trim());
+  const units = BigInt(`${intPart || '0'}${fracPart}`);
+  return { units: sign === '-' ? -units : units, scale: fracPart.length };
+}
+
+/**
+ * Formats a scaled BigInt as a decimal string without trailing fractional zeros.
+ * @param {bigint} units - Scaled value
+ * @param {number} scale - Number of fractional digits in units
+ * @returns {string} Decimal string
+ */
+function formatDecimal(units, scale) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const intPart = digits.slice(0, digits.length - scale);
+  const fracPart = digits.slice(digits.length - scale).replace(/0+$/, '');
+  const text = fracPart ? `${intPart}.${fracPart}` : intPart;
+  return negative && text !== '0' ? `-${text}` : text;
+}
+
+/**
+ * Adds BigInts and decimal strings exactly.
+ * @param {Array<string|bigint>} arr - Values to add
+ * @returns {{ units: bigint, scale: number }} Exact scaled sum
+ */
+function exactSum(arr) {
+  const parsed = arr.map(parseDecimal);
+  const scale = parsed.reduce((max, { scale: s }) => Math.max(max, s), 0);
+  let units = 0n;
+  for (const item of parsed) {
+    units += item.units * 10n ** BigInt(scale - item.scale);
+  }
+  return { units, scale };
+}
+
+/**
+ * Determines which arithmetic a validated array needs.
+ * @param {Array<number|string|bigint>} values - Output of toValueArray
+ * @returns {'number'|'bigint'|'decimal'} Kind of arithmetic to use
+ */
+function detectKind(values) {
+  if (typeof values[0] === 'number') return 'number';
+  return values.some((value) => typeof value === 'string') ? 'decimal' : 'bigint';
+}
+
+/**
+ * Calculates the sum of an iterable.
+ *
+ * Numbers are added with compensated summation (Neumaier by default) so that
+ * mixed-magnitude inputs do not drift. BigInts alone return an exact BigInt,
+ * and input containing decimal strings returns an exact decimal string.
+ * @param {Iterable<number>|Iterable<bigint>|Iterable<string|bigint>} arr - Values to add
+ * @param {object} [options]
+ * @param {'neumaier'|'kahan'|'naive'} [options.method='neumaier'] - Summation algorithm for numbers
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+ * @returns {number|bigint|string} Sum of the values. Returns 0 for empty input
+ * @throws {TypeError} If the method is unknown
+ * @throws {MathInputError} If the input is not iterable, contains invalid values, or mixes numbers with exact values
+ */
+function sumNumbers(arr, { method = 'neumaier', nonFinite = 'reject' } = {}) {
+  const sum = SUMMATION_METHODS[method];
+  if (!sum) {
+    throw new TypeError(`Unknown summation method: ${method}`);
+  }
+  const values = toValueArray(arr, { nonFinite, allowExact: true });
+  if (values.length === 0) return 0;
+
+  const kind = detectKind(values);
+  if (kind === 'number') {
+    return sum(values);
+  }
+  const exact = exactSum(values);
+  return kind === 'bigint' ? exact.units : formatDecimal(exact.units, exact.scale);
+}
+
+/**
+ * Calculates the average of an iterable.
+ *
+ * Numbers use the same compensated summation as {@link sumNumbers}. BigInts
+ * and decimal strings are averaged exactly and returned as a decimal string
+ * rounded half away from zero to `precision` fractional digits.
+ * @param {Iterable<number>|Iterable<string|bigint>} arr - Values to average
+ * @param {object} [options]
+ * @param {'neumaier'|'kahan'|'naive'} [options.method='neumaier'] - Summation algorithm for numbers
+ * @param {number} [options.precision=20] - Fractional digits kept for exact averages
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+ * @returns {number|string} Average of the values. Returns 0 for empty input
+ * @throws {RangeError} If precision is not a non-negative safe integer
+ * @throws {TypeError|MathInputError} Under the same conditions as {@link sumNumbers}
+ */
+function average(arr, { method = 'neumaier', precision = 20, nonFinite = 'reject' } = {}) {
+  if (!Number.isSafeInteger(precision) || precision < 0) {
+    throw new RangeError(`precision must be a non-negative integer, got ${precision}`);
+  }
+  const values = toValueArray(arr, { nonFinite, allowExact: true });
+  if (values.length === 0) return 0;
+
+  if (detectKind(values) === 'number') {
+    return sumNumbers(values, { method }) / values.length;
+  }
+
+  const { units, scale } = exactSum(values);
+  const shift = precision - scale;
+  const numerator = shift >= 0 ? units * 10n ** BigInt(shift) : units;
+  const denominator = BigInt(values.length) * (shift >= 0 ? 1n : 10n ** BigInt(-shift));
+  let quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder * 2n >= denominator) quotient += 1n;
+  else if (remainder * 2n <= -denominator) quotient -= 1n;
+  return formatDecimal(quotient, precision);
+}
+
+/**
+ * Accumulates count, mean, variance, min and max over a stream of numbers
+ * without keeping the values in memory (Welford's online algorithm).
+ */
+class RunningStats {
+  #count = 0;
+  #mean = 0;
+  #m2 = 0;
+  #min = Infinity;
+  #max = -Infinity;
+  #seen = 0;
+  #nonFinite;
+
+  /**
+   * @param {object} [options]
+   * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+   */
+  constructor({ nonFinite = 'reject' } = {}) {
+    if (nonFinite !== 'reject' && nonFinite !== 'skip') {
+      throw new MathInputError(`Unknown nonFinite option: ${nonFinite}`);
+    }
+    this.#nonFinite = nonFinite;
+  }
+
+  /**
+   * Adds one value.
+   * @param {number} value - Value to add
+   * @returns {RunningStats} This instance, for chaining
+   * @throws {MathInputError} If the value is invalid; index is its position among all pushed values
+   */
+  push(value) {
+    const index = this.#seen++;
+    if (!checkFiniteNumber(value, index, { nonFinite: this.#nonFinite })) return this;
+
+    this.#count++;
+    const delta = value - this.#mean;
+    this.#mean += delta / this.#count;
+    this.#m2 += delta * (value - this.#mean);
+    if (value < this.#min) this.#min = value;
+    if (value > this.#max) this.#max = value;
+    return this;
+  }
+
+  /**
+   * Adds every value of an iterable, one at a time.
+   * @param {Iterable<number>} values - Values to add
+   * @returns {RunningStats} This instance, for chaining
+   * @throws {MathInputError} If the input is not iterable or a value is invalid
+   */
+  pushMany(values) {
+    if (values === null || values === undefined || typeof values[Symbol.iterator] !== 'function') {
+      throw new MathInputError('Expected an iterable of numbers', { value: values });
+    }
+    for (const value of values) {
+      this.push(value);
+    }
+    return this;
+  }
+
+  /**
+   * Combines the statistics of another partition into this one
+   * (Chan et al. parallel variance).
+   * @param {RunningStats} other - Statistics of another partition; left unchanged
+   * @returns {RunningStats} This instance, for chaining
+   * @throws {TypeError} If other is not a RunningStats
+   */
+  merge(other) {
+    if (!(other instanceof RunningStats)) {
+      throw new TypeError('Can only merge another RunningStats');
+    }
+    if (other.#count === 0) {
+      this.#seen += other.#seen;
+      return this;
+    }
+
+    const count = this.#count + other.#count;
+    const delta = other.#mean - this.#mean;
+    this.#mean += delta * (other.#count / count);
+    this.#m2 += other.#m2 + delta * delta * ((this.#count * other.#count) / count);
+    this.#count = count;
+    this.#seen += other.#seen;
+    this.#min = Math.min(this.#min, other.#min);
+    this.#max = Math.max(this.#max, other.#max);
+    return this;
+  }
+
+  /** @returns {number} Number of values accumulated */
+  get count() {
+    return this.#count;
+  }
+
+  /** @returns {number} Arithmetic mean. 0 when empty */
+  get mean() {
+    return this.#mean;
+  }
+
+  /** @returns {number} Population variance. 0 when empty */
+  get variance() {
+    return this.#count === 0 ? 0 : this.#m2 / this.#count;
+  }
+
+  /** @returns {number} Sample variance (divides by n - 1). 0 with fewer than two values */
+  get sampleVariance() {
+    return this.#count < 2 ? 0 : this.#m2 / (this.#count - 1);
+  }
+
+  /** @returns {number} Population standard deviation. 0 when empty */
+  get standardDeviation() {
+    return Math.sqrt(this.variance);
+  }
+
+  /** @returns {number} Smallest value. 0 when empty */
+  get min() {
+    return this.#count === 0 ? 0 : this.#min;
+  }
+
+  /** @returns {number} Largest value. 0 when empty */
+  get max() {
+    return this.#count === 0 ? 0 : this.#max;
+  }
+}
+
+/**
+ * Calculates the average of an async (or sync) iterable without buffering it.
+ * @param {AsyncIterable<number>|Iterable<number>} values - Values to average
+ * @param {object} [options]
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+ * @returns {Promise<number>} Average of the values. Resolves to 0 for empty input
+ * @throws {MathInputError} If the input is not iterable or a value is invalid
+ */
+async function averageAsync(values, { nonFinite = 'reject' } = {}) {
+  if (values === null || values === undefined
+    || (typeof values[Symbol.asyncIterator] !== 'function' && typeof values[Symbol.iterator] !== 'function')) {
+    throw new MathInputError('Expected an async iterable of numbers', { value: values });
+  }
+  const stats = new RunningStats({ nonFinite });
+  for await (const value of values) {
+    stats.push(value);
+  }
+  return stats.mean;
+}
+
+/**
+ * Finds a quantile of sorted values by linear interpolation.
+ * @param {number[]} sorted - Values sorted in ascending order
+ * @param {number} q - Quantile from 0 to 1
+ * @returns {number} Quantile. 0 for empty input
+ */
+function quantileSorted(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Calculates several percentiles of an iterable, sorting it only once.
+ * @param {Iterable<number>} arr - Values to rank
+ * @param {number[]} ps - Percentiles from 0 to 100 (e.g. 90 for the 90th percentile)
+ * @param {object} [options]
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+ * @returns {number[]} One linearly interpolated value per percentile. All 0 for empty input
+ * @throws {RangeError} If a percentile is not a number from 0 to 100
+ * @throws {MathInputError} If the input is invalid
+ */
+function percentiles(arr, ps, { nonFinite = 'reject' } = {}) {
+  for (const p of ps) {
+    if (typeof p !== 'number' || !(p >= 0 && p <= 100)) {
+      throw new RangeError(`percentile must be a number from 0 to 100, got ${p}`);
+    }
+  }
+  const sorted = toValueArray(arr, { nonFinite }).sort((a, b) => a - b);
+  return ps.map((p) => quantileSorted(sorted, p / 100));
+}
+
+/**
+ * Calculates one percentile of an iterable.
+ * @param {Iterable<number>} arr - Values to rank
+ * @param {number} p - Percentile from 0 to 100
+ * @param {object} [options] - Same as {@link percentiles}
+ * @returns {number} Linearly interpolated percentile. Returns 0 for empty input
+ * @throws {RangeError|MathInputError} Under the same conditions as {@link percentiles}
+ */
+function percentile(arr, p, options) {
+  return percentiles(arr, [p], options)[0];
+}
+
+/**
+ * Calculates the median of an iterable.
+ * @param {Iterable<number>} arr - Values to rank
+ * @param {object} [options] - Same as {@link percentiles}
+ * @returns {number} Median, the mean of the two middle values for even counts. Returns 0 for empty input
+ * @throws {MathInputError} If the input is invalid
+ */
+function median(arr, options) {
+  return percentile(arr, 50, options);
+}
+
+/**
+ * Validates a window size for moving averages.
+ * @param {number} window - Number of values per window
+ * @throws {RangeError} If window is not a positive integer
+ */
+function assertWindow(window) {
+  if (!Number.isInteger(window) || window < 1) {
+    throw new RangeError('window must be a positive integer');
+  }
+}
+
+/**
+ * Calculates the weighted average of values.
+ * @param {Iterable<number>} values - Values to average
+ * @param {Iterable<number>} weights - Non-negative weight for each value
+ * @returns {number} Weighted average. Returns 0 for empty input
+ * @throws {MathInputError} If either input is invalid, the lengths differ, a weight is negative, or all weights are zero
+ */
+function weightedAverage(values, weights) {
+  const xs = toValueArray(values);
+  const ws = toValueArray(weights);
+  if (xs.length !== ws.length) {
+    throw new MathInputError(`values and weights must have the same length (got ${xs.length} and ${ws.length})`);
+  }
+  if (xs.length === 0) return 0;
+
+  const products = [];
+  for (let i = 0; i < ws.length; i++) {
+    if (ws[i] < 0) {
+      throw new MathInputError(`Weights must not be negative, got ${ws[i]}`, { index: i, value: ws[i] });
+    }
+    products.push(xs[i] * ws[i]);
+  }
+  const totalWeight = neumaierSum(ws);
+  if (totalWeight === 0) {
+    throw new MathInputError('Weights must not all be zero');
+  }
+  return neumaierSum(products) / totalWeight;
+}
+
+/**
+ * Calculates the geometric mean of non-negative values.
+ * @param {Iterable<number>} arr - Values to average
+ * @returns {number} Geometric mean. Returns 0 for empty input or if any value is 0
+ * @throws {MathInputError} If the input is invalid or a value is negative
+ */
+function geometricMean(arr) {
+  const values = toValueArray(arr);
+  if (values.length === 0) return 0;
+
+  const logs = [];
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < 0) {
+      throw new MathInputError(`Geometric mean requires non-negative values, got ${values[i]}`, { index: i, value: values[i] });
+    }
+    logs.push(Math.log(values[i]));
+  }
+  if (logs.includes(-Infinity)) return 0;
+  return Math.exp(neumaierSum(logs) / values.length);
+}
+
+/**
+ * Calculates the harmonic mean of positive values.
+ * @param {Iterable<number>} arr - Values to average
+ * @returns {number} Harmonic mean. Returns 0 for empty input
+ * @throws {MathInputError} If the input is invalid or a value is not positive
+ */
+function harmonicMean(arr) {
+  const values = toValueArray(arr);
+  if (values.length === 0) return 0;
+
+  const reciprocals = [];
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] <= 0) {
+      throw new MathInputError(`Harmonic mean requires positive values, got ${values[i]}`, { index: i, value: values[i] });
+    }
+    reciprocals.push(1 / values[i]);
+  }
+  return values.length / neumaierSum(reciprocals);
+}
+
+/**
+ * Calculates the mean after dropping the smallest and largest values.
+ * @param {Iterable<number>} arr - Values to average
+ * @param {number} ratio - Fraction to drop from each end, from 0 (inclusive) to 0.5 (exclusive)
+ * @returns {number} Trimmed mean. Returns 0 for empty input
+ * @throws {RangeError} If ratio is out of range
+ * @throws {MathInputError} If the input is invalid
+ */
+function trimmedMean(arr, ratio) {
+  if (typeof ratio !== 'number' || !(ratio >= 0 && ratio < 0.5)) {
+    throw new RangeError('ratio must be a number from 0 up to (but not including) 0.5');
+  }
+  const sorted = toValueArray(arr).sort((a, b) => a - b);
+  const trim = Math.floor(sorted.length * ratio);
+  const kept = sorted.slice(trim, sorted.length - trim);
+  if (kept.length === 0) return 0;
+  return neumaierSum(kept) / kept.length;
+}
+
+/**
+ * Calculates the simple moving average series.
+ * @param {Iterable<number>} arr - Values in chronological order
+ * @param {number} window - Number of values per window
+ * @returns {number[]} One average per full window, i.e. `length - window + 1` values (empty if there are fewer values than window)
+ * @throws {RangeError} If window is not a positive integer
+ * @throws {MathInputError} If the input is invalid
+ */
+function simpleMovingAverage(arr, window) {
+  assertWindow(window);
+  const values = toValueArray(arr);
+  const series = [];
+  for (let end = window; end <= values.length; end++) {
+    series.push(neumaierSum(values.slice(end - window, end)) / window);
+  }
+  return series;
+}
+
+/**
+ * Calculates the exponential moving average series.
+ *
+ * The smoothing factor is `2 / (window + 1)` and the series is seeded with
+ * the first value.
+ * @param {Iterable<number>} arr - Values in chronological order
+ * @param {number} window - Span that determines the smoothing factor
+ * @returns {number[]} One smoothed value per input value
+ * @throws {RangeError} If window is not a positive integer
+ * @throws {MathInputError} If the input is invalid
+ */
+function exponentialMovingAverage(arr, window) {
+  assertWindow(window);
+  const values = toValueArray(arr);
+  const alpha = 2 / (window + 1);
+  const series = [];
+  let current;
+  for (let i = 0; i < values.length; i++) {
+    current = i === 0 ? values[0] : current + alpha * (values[i] - current);
+    series.push(current);
+  }
+  return series;
 }
 
-module.exports = { average };
+module.exports = {
+  sumNumbers,
+  average,
+  averageAsync,
+  RunningStats,
+  median,
+  percentile,
+  percentiles,
+  weightedAverage,
+  geometricMean,
+  harmonicMean,
+  trimmedMean,
+  simpleMovingAverage,
+  exponentialMovingAverage,
+  MathInputError
+};
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { program } = require('commander');
+const { sumNumbers, average, percentiles, RunningStats } = require('./math');
+
+const INPUT_FORMATS = ['auto', 'lines', 'csv', 'json'];
+const REPORTED_PERCENTILES = [25, 75, 90, 95, 99];
+
+/**
+ * Converts a raw token into a number.
+ * @param {*} token - Text or JSON value to convert
+ * @param {string} location - Where the token came from, used in errors (e.g. "line 3")
+ * @param {boolean} skipInvalid - Whether unparseable tokens are dropped instead of throwing
+ * @returns {number|undefined} The number, or undefined if the token is blank or skipped
+ * @throws {Error} If the token is not a number and skipInvalid is false
+ */
+function toNumber(token, location, skipInvalid) {
+  if (typeof token === 'number') return token;
+  if (typeof token === 'string') {
+    const text = token.trim();
+    if (text === '') return undefined;
+    const value = Number(text);
+    if (!Number.isNaN(value) || text === 'NaN') return value;
+  }
+  if (skipInvalid) return undefined;
+  throw new Error(`Invalid number ${JSON.stringify(token)} on ${location}`);
+}
+
+/**
+ * Splits one CSV line into fields, honoring double-quoted fields.
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Picks the input format when it was not given explicitly.
+ * @param {string} text - Raw input
+ * @param {string} [column] - CSV column or JSON key requested by the user
+ * @returns {'lines'|'csv'|'json'} Detected format
+ */
+function detectFormat(text, column) {
+  if (/^\s*\[/.test(text)) return 'json';
+  return column ? 'csv' : 'lines';
+}
+
+/**
+ * Parses numbers from newline-separated text, a CSV column or a JSON array.
+ * @param {string} text - Raw input
+ * @param {object} [options]
+ * @param {'auto'|'lines'|'csv'|'json'} [options.format='auto'] - Input format
+ * @param {string} [options.column] - CSV header name, or key of each object in a JSON array
+ * @param {boolean} [options.skipInvalid=false] - Drop values that are not numbers instead of failing
+ * @returns {number[]} Parsed numbers in input order
+ * @throws {Error} If the input cannot be parsed or contains an invalid number
+ */
+function parseNumbers(text, { format = 'auto', column, skipInvalid = false } = {}) {
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format: ${format}`);
+  }
+  const resolved = format === 'auto' ? detectFormat(text, column) : format;
+  const values = [];
+  const add = (token, location) => {
+    const value = toNumber(token, location, skipInvalid);
+    if (value !== undefined) values.push(value);
+  };
+
+  if (resolved === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON input: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+      throw new Error('JSON input must be an array');
+    }
+    data.forEach((item, i) => {
+      const isObject = item !== null && typeof item === 'object';
+      add(column && isObject ? item[column] : item, `item ${i}`);
+    });
+    return values;
+  }
+
+  const lines = text.split(/\r?\n/);
+  if (resolved === 'lines') {
+    lines.forEach((line, i) => add(line, `line ${i + 1}`));
+    return values;
+  }
+
+  if (!column) {
+    throw new Error('--column is required for CSV input');
+  }
+  const header = parseCsvLine(lines[0]).map((name) => name.trim());
+  const index = header.indexOf(column);
+  if (index === -1) {
+    throw new Error(`Column "${column}" not found in CSV header`);
+  }
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    add(parseCsvLine(lines[i])[index] ?? '', `line ${i + 1}`);
+  }
+  return values;
+}
+
+/**
+ * Calculates every aggregate the CLI reports.
+ *
+ * Each aggregate comes from the math module: compensated sumNumbers/average,
+ * RunningStats for count, extremes and spread, and percentiles for the ranks.
+ * @param {number[]} values - Numbers to aggregate
+ * @param {object} [options]
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN and ±Infinity throw or are dropped
+ * @returns {{count: number, sum: number, average: number, median: number, min: number, max: number,
+ *   p25: number, p75: number, p90: number, p95: number, p99: number, variance: number, standardDeviation: number}}
+ *   Aggregates. All zero for empty input
+ */
+function computeStats(values, { nonFinite = 'reject' } = {}) {
+  const stats = new RunningStats({ nonFinite }).pushMany(values);
+  const [median, ...ranks] = percentiles(values, [50, ...REPORTED_PERCENTILES], { nonFinite });
+  return {
+    count: stats.count,
+    sum: sumNumbers(values, { nonFinite }),
+    average: average(values, { nonFinite }),
+    median,
+    min: stats.min,
+    max: stats.max,
+    ...Object.fromEntries(REPORTED_PERCENTILES.map((p, i) => [`p${p}`, ranks[i]])),
+    variance: stats.variance,
+    standardDeviation: stats.standardDeviation
+  };
+}
+
+/**
+ * Formats aggregates as a two-column text table.
+ * @param {object} stats - Output of computeStats
+ * @returns {string} Table text, one aggregate per line
+ */
+function formatTable(stats) {
+  const entries = Object.entries(stats);
+  const width = Math.max(...entries.map(([name]) => name.length));
+  return entries.map(([name, value]) => `${name.padEnd(width)}  ${value}`).join('\n');
+}
+
+/**
+ * Reads the whole input from a file, or from stdin when no file (or "-") is given.
+ * @param {string} [file] - Path to read
+ * @returns {Promise<string>} Input text
+ */
+async function readInput(file) {
+  if (file && file !== '-') {
+    return fs.promises.readFile(file, 'utf8');
+  }
+  let text = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Main CLI entry point
+ */
+async function main() {
+  program
+    .name('stats')
+    .description('Print sum, average and other aggregates of numbers from a file or stdin')
+    .version('1.0.0')
+    .argument('[file]', 'Newline, CSV or JSON file to read (defaults to stdin)')
+    .option('-c, --column <name>', 'CSV column (or JSON object key) to aggregate')
+    .option('-f, --format <format>', `Input format: ${INPUT_FORMATS.join(', ')}`, 'auto')
+    .option('--skip-invalid', 'Skip values that are not finite numbers instead of failing')
+    .option('--json', 'Print the aggregates as JSON')
+    .action(async (file, options) => {
+      try {
+        const text = await readInput(file);
+        const values = parseNumbers(text, {
+          format: options.format,
+          column: options.column,
+          skipInvalid: Boolean(options.skipInvalid)
+        });
+        const stats = computeStats(values, { nonFinite: options.skipInvalid ? 'skip' : 'reject' });
+        console.log(options.json ? JSON.stringify(stats, null, 2) : formatTable(stats));
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  await program.parseAsync(process.argv);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseNumbers, parseCsvLine, computeStats, formatTable };
@@ -0,0 +1,108 @@
+// case1 keeps an ESM copy of this module in case1/src/utils/validation.js so the
+// two packages stay independent. Change both files together.
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Error thrown when input to a math utility is not usable.
+ */
+class MathInputError extends TypeError {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {object} [details]
+   * @param {number} [details.index] - Position of the offending value in the input
+   * @param {*} [details.value] - The offending value
+   */
+  constructor(message, { index, value } = {}) {
+    super(index === undefined ? message : `${message} (index ${index})`);
+    this.name = 'MathInputError';
+    this.index = index;
+    this.value = value;
+  }
+}
+
+/**
+ * Checks whether a string is a plain decimal number such as "-12.34".
+ * @param {string} value - String to check
+ * @returns {boolean} True if the string can be parsed as an exact decimal
+ */
+function isDecimalString(value) {
+  const match = DECIMAL_PATTERN.exec(value.trim());
+  return Boolean(match) && (match[2] !== '' || Boolean(match[3]));
+}
+
+/**
+ * Describes a value for use in error messages.
+ * @param {*} value - Value to describe
+ * @returns {string} Short description
+ */
+function describeValue(value) {
+  if (typeof value === 'string') return `string "${value}"`;
+  if (typeof value === 'bigint') return `bigint ${value}n`;
+  if (typeof value === 'number') return String(value);
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validates a single value from a stream of numbers.
+ * @param {*} value - Value to validate
+ * @param {number} index - Position of the value in the stream, used in errors
+ * @param {object} [options]
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+ * @returns {boolean} True if the value should be used, false if it should be skipped
+ * @throws {MathInputError} If the value is not a finite number and cannot be skipped
+ */
+function checkFiniteNumber(value, index, { nonFinite = 'reject' } = {}) {
+  if (typeof value === 'number' && Number.isFinite(value)) return true;
+  const skippable = value === undefined || typeof value === 'number';
+  if (skippable && nonFinite === 'skip') return false;
+  const message = value === undefined ? 'Missing value' : `Expected a finite number, got ${describeValue(value)}`;
+  throw new MathInputError(message, { index, value });
+}
+
+/**
+ * Validates the input of a math utility and copies it into a dense array.
+ *
+ * Any iterable (arrays, Sets, generators, ...) is accepted. Holes in sparse
+ * arrays and `undefined` entries are treated the same as non-finite numbers.
+ * @param {Iterable<*>} input - Values to validate
+ * @param {object} [options]
+ * @param {'reject'|'skip'} [options.nonFinite='reject'] - Whether NaN, ±Infinity and missing values throw or are dropped
+ * @param {boolean} [options.allowExact=false] - Whether BigInts and decimal strings are accepted
+ * @returns {Array<number|bigint|string>} Validated values. Numbers are never mixed with exact values
+ * @throws {MathInputError} If the input is not iterable or a value is invalid
+ */
+function toValueArray(input, { nonFinite = 'reject', allowExact = false } = {}) {
+  if (nonFinite !== 'reject' && nonFinite !== 'skip') {
+    throw new MathInputError(`Unknown nonFinite option: ${nonFinite}`);
+  }
+  if (input === null || input === undefined || typeof input === 'string'
+    || typeof input[Symbol.iterator] !== 'function') {
+    throw new MathInputError(`Expected an iterable of numbers, got ${describeValue(input)}`, { value: input });
+  }
+
+  const values = [];
+  let exactKind = null;
+  let index = 0;
+  // Array iterators yield undefined for holes, so sparse arrays need no special path.
+  for (const value of input) {
+    const type = typeof value;
+    const isExact = allowExact && (type === 'bigint' || type === 'string');
+    if (isExact || checkFiniteNumber(value, index, { nonFinite })) {
+      if (type === 'string' && !isDecimalString(value)) {
+        throw new MathInputError(`Invalid decimal string: "${value}"`, { index, value });
+      }
+      if (exactKind === null) {
+        exactKind = isExact;
+      } else if (exactKind !== isExact) {
+        throw new MathInputError('Cannot mix numbers with BigInts or decimal strings', { index, value });
+      }
+      values.push(value);
+    }
+    index++;
+  }
+  return values;
+}
+
+module.exports = { MathInputError, toValueArray, checkFiniteNumber, isDecimalString, DECIMAL_PATTERN };
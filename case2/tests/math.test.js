@@ -1,4 +1,19 @@
-const { average } = require('../src/utils/math.js');
+const {
+  sumNumbers,
+  average,
+  averageAsync,
+  RunningStats,
+  median,
+  percentile,
+  percentiles,
+  weightedAverage,
+  geometricMean,
+  harmonicMean,
+  trimmedMean,
+  simpleMovingAverage,
+  exponentialMovingAverage,
+  MathInputError
+} = require('../src/utils/math.js');
 
 describe('average function', () => {
   test('should return 0 for empty array', () => {
@@ -33,3 +48,277 @@ describe('average function', () => {
     expect(average([0.1, 0.2, 0.3])).toBeCloseTo(0.2, 10);
   });
 });
+
+
+describe('sumNumbers function', () => {
+  test('should return 0 for empty array', () => {
+    expect(sumNumbers([])).toBe(0);
+  });
+
+  test('should add decimals without drift by default', () => {
+    expect(sumNumbers([0.1, 0.2, 0.3])).toBe(0.6);
+    expect(sumNumbers([0.1, 0.2, 0.3], { method: 'naive' })).not.toBe(0.6);
+  });
+
+  test('should keep small values between large magnitudes', () => {
+    expect(sumNumbers([1e100, 1, -1e100])).toBe(1);
+    expect(sumNumbers([1e16, 1, 1, -1e16])).toBe(2);
+  });
+
+  test('should overflow to Infinity like the naive sum instead of returning NaN', () => {
+    expect(sumNumbers([1e308, 1e308])).toBe(Infinity);
+    expect(sumNumbers([1e308, 1e308, 1e308], { method: 'kahan' })).toBe(Infinity);
+    expect(sumNumbers([-1e308, -1e308])).toBe(-Infinity);
+    expect(average([1e308, 1e308])).toBe(Infinity);
+  });
+
+  test('should support kahan and naive methods', () => {
+    expect(sumNumbers([1, 2, 3], { method: 'kahan' })).toBe(6);
+    expect(sumNumbers([1, 2, 3], { method: 'naive' })).toBe(6);
+  });
+
+  test('should throw for an unknown method', () => {
+    expect(() => sumNumbers([1], { method: 'pairwise' })).toThrow('Unknown summation method: pairwise');
+  });
+
+  test('should return an exact BigInt for BigInt arrays', () => {
+    expect(sumNumbers([9007199254740993n, 2n])).toBe(9007199254740995n);
+  });
+
+  test('should return an exact decimal string for decimal strings', () => {
+    expect(sumNumbers(['0.1', '0.2', '0.3'])).toBe('0.6');
+    expect(sumNumbers(['1.10', '-0.35', 2n])).toBe('2.75');
+    expect(sumNumbers(['-0.5', '0.5'])).toBe('0');
+  });
+
+  test('should reject invalid decimal strings', () => {
+    expect(() => sumNumbers(['1e3'])).toThrow('Invalid decimal string: "1e3"');
+    expect(() => sumNumbers(['.'])).toThrow(TypeError);
+  });
+
+  test('should reject numbers mixed with exact values', () => {
+    expect(() => sumNumbers([1, '2'])).toThrow('Cannot mix numbers with BigInts or decimal strings');
+    expect(() => sumNumbers([1, 2n])).toThrow(TypeError);
+  });
+});
+
+describe('average function with exact values', () => {
+  test('should return an exact decimal string for decimal strings', () => {
+    expect(average(['0.1', '0.2', '0.3'])).toBe('0.2');
+    expect(average(['1', '2'])).toBe('1.5');
+  });
+
+  test('should average BigInts exactly', () => {
+    expect(average([1n, 2n])).toBe('1.5');
+    expect(average([9007199254740993n, 9007199254740995n])).toBe('9007199254740994');
+  });
+
+  test('should round half away from zero to the requested precision', () => {
+    expect(average(['1', '1', '2'], { precision: 4 })).toBe('1.3333');
+    expect(average(['0.005'], { precision: 2 })).toBe('0.01');
+    expect(average(['-1', '-2'], { precision: 0 })).toBe('-2');
+  });
+
+  test('should reject a precision that is not a non-negative integer', () => {
+    expect(() => average(['1', '2'], { precision: -1 })).toThrow(RangeError);
+    expect(() => average(['1', '2'], { precision: 1.5 })).toThrow('precision must be a non-negative integer, got 1.5');
+    expect(() => average([1, 2], { precision: '2' })).toThrow(RangeError);
+    expect(() => average([], { precision: Infinity })).toThrow(RangeError);
+  });
+});
+
+describe('average function input validation', () => {
+  test('should accept any iterable', () => {
+    expect(average(new Set([1, 2, 3]))).toBe(2);
+    expect(sumNumbers(new Map([['a', 1], ['b', 2]]).values())).toBe(3);
+  });
+
+  test('should throw MathInputError for invalid input', () => {
+    expect(() => average(null)).toThrow(MathInputError);
+    expect(() => average(['1', 2])).toThrow(MathInputError);
+    expect(() => average([NaN])).toThrow('Expected a finite number, got NaN (index 0)');
+  });
+
+  test('should skip non-finite values when asked', () => {
+    expect(average([1, NaN, 3], { nonFinite: 'skip' })).toBe(2);
+    expect(average([NaN], { nonFinite: 'skip' })).toBe(0);
+    expect(sumNumbers([1, Infinity, 2], { nonFinite: 'skip' })).toBe(3);
+  });
+});
+
+describe('RunningStats class', () => {
+  test('should report zeros when empty', () => {
+    const stats = new RunningStats();
+    expect(stats.count).toBe(0);
+    expect(stats.mean).toBe(0);
+    expect(stats.variance).toBe(0);
+    expect(stats.min).toBe(0);
+    expect(stats.max).toBe(0);
+  });
+
+  test('should accumulate values with push and pushMany', () => {
+    const stats = new RunningStats().push(2).pushMany([4, 4, 4, 5, 5, 7, 9]);
+    expect(stats.count).toBe(8);
+    expect(stats.mean).toBe(5);
+    expect(stats.variance).toBe(4);
+    expect(stats.standardDeviation).toBe(2);
+    expect(stats.sampleVariance).toBeCloseTo(32 / 7, 12);
+    expect(stats.min).toBe(2);
+    expect(stats.max).toBe(9);
+  });
+
+  test('should stay accurate for large offsets', () => {
+    const stats = new RunningStats().pushMany([1e9 + 4, 1e9 + 7, 1e9 + 13, 1e9 + 16]);
+    expect(stats.mean).toBe(1e9 + 10);
+    expect(stats.variance).toBe(22.5);
+  });
+
+  test('should merge partitions into the same result as a single pass', () => {
+    const values = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3];
+    const whole = new RunningStats().pushMany(values);
+    const left = new RunningStats().pushMany(values.slice(0, 4));
+    const right = new RunningStats().pushMany(values.slice(4));
+    left.merge(right).merge(new RunningStats());
+
+    expect(left.count).toBe(whole.count);
+    expect(left.mean).toBeCloseTo(whole.mean, 12);
+    expect(left.variance).toBeCloseTo(whole.variance, 12);
+    expect(left.min).toBe(1);
+    expect(left.max).toBe(9);
+    expect(new RunningStats().merge(right).mean).toBe(right.mean);
+  });
+
+  test('should reject merging anything else', () => {
+    expect(() => new RunningStats().merge({ count: 1 })).toThrow('Can only merge another RunningStats');
+  });
+
+  test('should report the stream position of invalid values', () => {
+    const stats = new RunningStats().pushMany([1, 2]);
+    expect(() => stats.push('3')).toThrow('Expected a finite number, got string "3" (index 2)');
+    expect(() => stats.pushMany(null)).toThrow(MathInputError);
+  });
+
+  test('should skip non-finite values when asked', () => {
+    const stats = new RunningStats({ nonFinite: 'skip' }).pushMany([1, NaN, 3, undefined]);
+    expect(stats.count).toBe(2);
+    expect(stats.mean).toBe(2);
+  });
+});
+
+describe('averageAsync function', () => {
+  async function* generate(values) {
+    for (const value of values) {
+      yield value;
+    }
+  }
+
+  test('should average an async iterable', async () => {
+    await expect(averageAsync(generate([1, 2, 3, 4]))).resolves.toBe(2.5);
+  });
+
+  test('should accept sync iterables and resolve 0 when empty', async () => {
+    await expect(averageAsync(new Set([2, 4]))).resolves.toBe(3);
+    await expect(averageAsync(generate([]))).resolves.toBe(0);
+  });
+
+  test('should reject invalid input', async () => {
+    await expect(averageAsync(null)).rejects.toThrow(MathInputError);
+    await expect(averageAsync(generate([1, NaN]))).rejects.toThrow('(index 1)');
+    await expect(averageAsync(generate([1, NaN]), { nonFinite: 'skip' })).resolves.toBe(1);
+  });
+});
+
+describe('weightedAverage function', () => {
+  test('should weight each value', () => {
+    expect(weightedAverage([1, 2, 3], [3, 1, 0])).toBe(1.25);
+    expect(weightedAverage([10, 20], [1, 1])).toBe(15);
+  });
+
+  test('should return 0 for empty input', () => {
+    expect(weightedAverage([], [])).toBe(0);
+  });
+
+  test('should reject mismatched lengths and invalid weights', () => {
+    expect(() => weightedAverage([1, 2], [1])).toThrow('values and weights must have the same length (got 2 and 1)');
+    expect(() => weightedAverage([1, 2], [1, -1])).toThrow('Weights must not be negative, got -1 (index 1)');
+    expect(() => weightedAverage([1, 2], [0, 0])).toThrow('Weights must not all be zero');
+    expect(() => weightedAverage([1, 2], [1, NaN])).toThrow(MathInputError);
+  });
+});
+
+describe('geometricMean and harmonicMean functions', () => {
+  test('should calculate the geometric mean', () => {
+    expect(geometricMean([2, 8])).toBeCloseTo(4, 12);
+    expect(geometricMean([1, 3, 9])).toBeCloseTo(3, 12);
+    expect(geometricMean([0, 5])).toBe(0);
+    expect(geometricMean([])).toBe(0);
+  });
+
+  test('should reject negative values for the geometric mean', () => {
+    expect(() => geometricMean([1, -4])).toThrow('Geometric mean requires non-negative values, got -4 (index 1)');
+  });
+
+  test('should calculate the harmonic mean', () => {
+    expect(harmonicMean([1, 4, 4])).toBe(2);
+    expect(harmonicMean([40, 60])).toBeCloseTo(48, 12);
+    expect(harmonicMean([])).toBe(0);
+  });
+
+  test('should reject non-positive values for the harmonic mean', () => {
+    expect(() => harmonicMean([1, 0])).toThrow('Harmonic mean requires positive values, got 0 (index 1)');
+  });
+});
+
+describe('median and percentile functions', () => {
+  test('should interpolate between ranked values', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median(new Set([4, 1, 3, 2]))).toBe(2.5);
+    expect(percentile([1, 2, 3, 4, 5], 25)).toBe(2);
+    expect(percentiles([10, 20, 30, 40], [0, 50, 100])).toEqual([10, 25, 40]);
+    expect(median([])).toBe(0);
+  });
+
+  test('should validate the input and percentiles', () => {
+    expect(() => median([1, NaN])).toThrow(MathInputError);
+    expect(median([1, NaN, 3], { nonFinite: 'skip' })).toBe(2);
+    expect(() => percentile([1, 2], 101)).toThrow('percentile must be a number from 0 to 100, got 101');
+    expect(() => percentiles([1, 2], [50, '90'])).toThrow(RangeError);
+  });
+});
+
+describe('trimmedMean function', () => {
+  test('should drop the given ratio from each end', () => {
+    expect(trimmedMean([1, 2, 3, 4, 100], 0.2)).toBe(3);
+    expect(trimmedMean([100, 1, 2, 3, -50, 4, 5, 6, 7, 8], 0.1)).toBe(4.5);
+    expect(trimmedMean([1, 2, 3], 0)).toBe(2);
+    expect(trimmedMean([], 0.1)).toBe(0);
+  });
+
+  test('should reject an out-of-range ratio', () => {
+    expect(() => trimmedMean([1, 2], 0.5)).toThrow(RangeError);
+    expect(() => trimmedMean([1, 2], -0.1)).toThrow(RangeError);
+  });
+});
+
+describe('moving average functions', () => {
+  test('should calculate the simple moving average series', () => {
+    expect(simpleMovingAverage([1, 2, 3, 4, 5], 3)).toEqual([2, 3, 4]);
+    expect(simpleMovingAverage([1, 2, 3], 1)).toEqual([1, 2, 3]);
+    expect(simpleMovingAverage([1, 2], 3)).toEqual([]);
+  });
+
+  test('should calculate the exponential moving average series', () => {
+    expect(exponentialMovingAverage([1, 2, 3], 3)).toEqual([1, 1.5, 2.25]);
+    expect(exponentialMovingAverage([5, 7], 1)).toEqual([5, 7]);
+    expect(exponentialMovingAverage([], 3)).toEqual([]);
+  });
+
+  test('should reject an invalid window', () => {
+    expect(() => simpleMovingAverage([1, 2], 0)).toThrow('window must be a positive integer');
+    expect(() => exponentialMovingAverage([1, 2], 1.5)).toThrow(RangeError);
+  });
+
+  test('should reject invalid values', () => {
+    expect(() => simpleMovingAverage([1, 'x'], 1)).toThrow(MathInputError);
+  });
+});
@@ -0,0 +1,94 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseNumbers, parseCsvLine, computeStats, formatTable } = require('../src/utils/stats.js');
+
+const CLI_PATH = path.join(__dirname, '../src/utils/stats.js');
+
+describe('stats CLI', () => {
+  describe('parseNumbers', () => {
+    test('should parse newline-separated numbers and ignore blank lines', () => {
+      expect(parseNumbers('1\n2.5\r\n\n-3\n')).toEqual([1, 2.5, -3]);
+    });
+
+    test('should detect and parse a JSON array', () => {
+      expect(parseNumbers(' [1, "2", 3.5]')).toEqual([1, 2, 3.5]);
+    });
+
+    test('should read a key from a JSON array of objects', () => {
+      expect(parseNumbers('[{"price": 10}, {"price": 20}]', { column: 'price' })).toEqual([10, 20]);
+    });
+
+    test('should read a CSV column by header name', () => {
+      const csv = 'name,price\napple,120\n"banana, ripe",80\n\n';
+      expect(parseNumbers(csv, { column: 'price' })).toEqual([120, 80]);
+    });
+
+    test('should report the location of invalid values', () => {
+      expect(() => parseNumbers('1\nabc')).toThrow('Invalid number "abc" on line 2');
+      expect(() => parseNumbers('[1, null]')).toThrow('Invalid number null on item 1');
+      expect(() => parseNumbers('id,price\n1,free', { column: 'price' })).toThrow('Invalid number "free" on line 2');
+    });
+
+    test('should skip invalid values when asked', () => {
+      expect(parseNumbers('1\nabc\n3', { skipInvalid: true })).toEqual([1, 3]);
+    });
+
+    test('should reject unusable input', () => {
+      expect(() => parseNumbers('{"a": 1}', { format: 'json' })).toThrow('JSON input must be an array');
+      expect(() => parseNumbers('[1,', { format: 'json' })).toThrow('Invalid JSON input');
+      expect(() => parseNumbers('a,b\n1,2', { format: 'csv' })).toThrow('--column is required for CSV input');
+      expect(() => parseNumbers('a,b\n1,2', { column: 'c' })).toThrow('Column "c" not found in CSV header');
+      expect(() => parseNumbers('1', { format: 'xml' })).toThrow('Unknown input format: xml');
+    });
+  });
+
+  describe('parseCsvLine', () => {
+    test('should split fields and unescape quotes', () => {
+      expect(parseCsvLine('a,"b,c","say ""hi""",')).toEqual(['a', 'b,c', 'say "hi"', '']);
+    });
+  });
+
+  describe('computeStats and formatTable', () => {
+    test('should compute every aggregate', () => {
+      expect(computeStats([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({
+        count: 8,
+        sum: 40,
+        average: 5,
+        median: 4.5,
+        min: 2,
+        max: 9,
+        p25: 4,
+        p75: 5.5,
+        p90: expect.closeTo(7.6),
+        p95: expect.closeTo(8.3),
+        p99: expect.closeTo(8.86),
+        variance: 4,
+        standardDeviation: 2
+      });
+    });
+
+    test('should report zeros for empty input', () => {
+      expect(Object.values(computeStats([])).every((value) => value === 0)).toBe(true);
+    });
+
+    test('should align the table columns', () => {
+      expect(formatTable({ count: 2, sum: 3 })).toBe('count  2\nsum    3');
+    });
+  });
+
+  describe('command line', () => {
+    test('should read stdin and print JSON', () => {
+      const result = spawnSync(process.execPath, [CLI_PATH, '--json'], { input: '1\n2\n3\n', encoding: 'utf8' });
+
+      expect(result.status).toBe(0);
+      expect(JSON.parse(result.stdout)).toMatchObject({ count: 3, sum: 6, average: 2 });
+    });
+
+    test('should exit with 1 on invalid input', () => {
+      const result = spawnSync(process.execPath, [CLI_PATH], { input: '1\nx\n', encoding: 'utf8' });
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('Error: Invalid number "x" on line 2');
+    });
+  });
+});
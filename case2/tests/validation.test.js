@@ -0,0 +1,60 @@
+const { MathInputError, toValueArray } = require('../src/utils/validation.js');
+
+describe('toValueArray function', () => {
+  test('should copy arrays and other iterables into a dense array', () => {
+    expect(toValueArray([1, 2, 3])).toEqual([1, 2, 3]);
+    expect(toValueArray(new Set([1, 2]))).toEqual([1, 2]);
+    expect(toValueArray((function* () { yield 4; yield 5; })())).toEqual([4, 5]);
+  });
+
+  test('should reject non-iterable input', () => {
+    expect(() => toValueArray(null)).toThrow(MathInputError);
+    expect(() => toValueArray(undefined)).toThrow('Expected an iterable of numbers, got undefined');
+    expect(() => toValueArray(42)).toThrow('Expected an iterable of numbers, got 42');
+    expect(() => toValueArray('123')).toThrow('Expected an iterable of numbers, got string "123"');
+  });
+
+  test('should report the index of an invalid value', () => {
+    let error;
+    try {
+      toValueArray([1, 2, '3']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(MathInputError);
+    expect(error).toBeInstanceOf(TypeError);
+    expect(error.name).toBe('MathInputError');
+    expect(error.index).toBe(2);
+    expect(error.value).toBe('3');
+    expect(error.message).toBe('Expected a finite number, got string "3" (index 2)');
+  });
+
+  test('should reject non-finite values by default', () => {
+    expect(() => toValueArray([1, NaN])).toThrow('Expected a finite number, got NaN (index 1)');
+    expect(() => toValueArray([Infinity])).toThrow('Expected a finite number, got Infinity (index 0)');
+    expect(() => toValueArray([1, , 3])).toThrow('Missing value (index 1)');
+  });
+
+  test('should skip non-finite and missing values when asked', () => {
+    expect(toValueArray([1, NaN, , -Infinity, 3], { nonFinite: 'skip' })).toEqual([1, 3]);
+  });
+
+  test('should still reject values of the wrong type when skipping', () => {
+    expect(() => toValueArray([1, null], { nonFinite: 'skip' })).toThrow('Expected a finite number, got null (index 1)');
+  });
+
+  test('should throw for an unknown nonFinite option', () => {
+    expect(() => toValueArray([1], { nonFinite: 'zero' })).toThrow('Unknown nonFinite option: zero');
+  });
+
+  test('should only accept exact values when allowed', () => {
+    expect(() => toValueArray([1n])).toThrow('Expected a finite number, got bigint 1n (index 0)');
+    expect(toValueArray([1n, '2.5'], { allowExact: true })).toEqual([1n, '2.5']);
+    expect(() => toValueArray(['1', 'abc'], { allowExact: true })).toThrow('Invalid decimal string: "abc" (index 1)');
+  });
+
+  test('should reject numbers mixed with exact values', () => {
+    expect(() => toValueArray(['1', 2], { allowExact: true }))
+      .toThrow('Cannot mix numbers with BigInts or decimal strings (index 1)');
+  });
+});
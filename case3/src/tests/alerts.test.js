@@ -0,0 +1,128 @@
+const { parseAlert, evaluateAlerts, formatAlerts, ALERT_FIELD_NAMES } = require('../utils/alerts');
+const { parseWeatherReport } = require('../utils/report');
+const { convertReport } = require('../utils/units');
+
+describe('alerts module', () => {
+  const payload = {
+    current_condition: [
+      { temp_C: '31', FeelsLikeC: '35', humidity: '70', windspeedKmph: '20', weatherDesc: [{ value: 'Sunny' }] }
+    ],
+    weather: [
+      {
+        date: '2025-06-01',
+        mintempC: '24',
+        maxtempC: '33',
+        hourly: [
+          { time: '900', tempC: '28', chanceofrain: '10', windspeedKmph: '15', weatherDesc: [{ value: 'Sunny' }] },
+          { time: '1200', tempC: '33', chanceofrain: '40', windspeedKmph: '55', weatherDesc: [{ value: 'Cloudy' }] },
+          { time: '1500', tempC: '32', chanceofrain: '80', windspeedKmph: '60', weatherDesc: [{ value: 'Rain' }] }
+        ]
+      },
+      {
+        date: '2025-06-02',
+        mintempC: '22',
+        maxtempC: '30',
+        hourly: [
+          { time: '1200', tempC: '30', chanceofrain: '90', windspeedKmph: '10', weatherDesc: [{ value: 'Rain' }] },
+          { time: '1500', tempC: '29', chanceofrain: '75', windspeedKmph: '12', weatherDesc: [{ value: 'Rain' }] }
+        ]
+      }
+    ]
+  };
+  const report = parseWeatherReport(payload);
+  const reportAt = (localObsDateTime) => parseWeatherReport({
+    ...payload,
+    current_condition: [{ ...payload.current_condition[0], localObsDateTime }]
+  });
+
+  describe('parseAlert', () => {
+    test('parses a field, operator and threshold', () => {
+      expect(parseAlert('temp_C>30')).toEqual({ expression: 'temp_C>30', field: 'temp_C', operator: '>', threshold: 30 });
+      expect(parseAlert('chanceofrain >= 70')).toMatchObject({ field: 'chanceofrain', operator: '>=', threshold: 70 });
+      expect(parseAlert('temp_C<-5.5')).toMatchObject({ operator: '<', threshold: -5.5 });
+    });
+
+    test('matches field names case-insensitively', () => {
+      expect(parseAlert('WINDSPEEDKMPH>50').expression).toBe('windspeedKmph>50');
+    });
+
+    test('rejects malformed expressions and unknown fields', () => {
+      expect(() => parseAlert('temp_C')).toThrow('Invalid alert: "temp_C". Use <field><operator><number>, e.g. temp_C>30');
+      expect(() => parseAlert('temp_C=>30')).toThrow('Invalid alert');
+      expect(() => parseAlert('temp_C>hot')).toThrow('Invalid alert');
+      expect(() => parseAlert('snow>1')).toThrow('Unknown alert field: snow. Expected one of temp_C, temp_F');
+    });
+  });
+
+  describe('evaluateAlerts', () => {
+    test('checks the current conditions and every hourly entry', () => {
+      const [alert] = evaluateAlerts(report, [parseAlert('temp_C>30')]);
+
+      expect(alert.rule.expression).toBe('temp_C>30');
+      expect(alert.matches).toEqual([
+        { when: 'current', value: 31 },
+        { when: '2025-06-01 12:00', value: 33 },
+        { when: '2025-06-01 15:00', value: 32 }
+      ]);
+    });
+
+    test('only returns rules that matched, in the order given', () => {
+      const alerts = evaluateAlerts(report, [
+        parseAlert('windspeedKmph>50'),
+        parseAlert('temp_C<0'),
+        parseAlert('chanceofrain>=80')
+      ]);
+
+      expect(alerts.map((alert) => alert.rule.expression)).toEqual(['windspeedKmph>50', 'chanceofrain>=80']);
+      expect(alerts[1].matches.map((match) => match.when)).toEqual(['2025-06-01 15:00', '2025-06-02 12:00']);
+    });
+
+    test('converts values to the unit of the field', () => {
+      const [alert] = evaluateAlerts(report, [parseAlert('temp_F>=90')]);
+
+      expect(alert.matches).toEqual([{ when: '2025-06-01 12:00', value: 91.4 }]);
+      expect(evaluateAlerts(report, [parseAlert('windspeedMiles>37')])[0].matches).toHaveLength(1);
+    });
+
+    test('skips entries that lack the field', () => {
+      expect(evaluateAlerts(report, [parseAlert('uvIndex>=0')])).toEqual([]);
+      expect(evaluateAlerts(report, [parseAlert('chanceofrain>0')])[0].matches[0].when).toBe('2025-06-01 09:00');
+    });
+
+    test('skips hourly entries before the current local hour', () => {
+      const [alert] = evaluateAlerts(reportAt('2025-06-01 01:30 PM'), [parseAlert('temp_C>30')]);
+
+      expect(alert.matches).toEqual([
+        { when: 'current', value: 31 },
+        { when: '2025-06-01 15:00', value: 32 }
+      ]);
+      expect(evaluateAlerts(reportAt('2025-06-01 12:45 PM'), [parseAlert('temp_C>=33')])[0].matches)
+        .toEqual([{ when: '2025-06-01 12:00', value: 33 }]);
+      expect(evaluateAlerts(reportAt('2025-06-02 04:00 PM'), [parseAlert('chanceofrain>=70')])).toEqual([]);
+    });
+
+    test('requires a metric report', () => {
+      expect(() => evaluateAlerts(convertReport(report, 'imperial'), [parseAlert('temp_C>30')]))
+        .toThrow('Alerts must be evaluated against a metric report');
+    });
+  });
+
+  describe('formatAlerts', () => {
+    test('lists up to three matches per rule', () => {
+      const alerts = evaluateAlerts(report, [parseAlert('chanceofrain>=10'), parseAlert('windspeedKmph>50')]);
+
+      expect(formatAlerts(alerts, 'Tokyo')).toBe([
+        'ALERT Tokyo: chanceofrain>=10 matched at 2025-06-01 09:00 (10), 2025-06-01 12:00 (40), 2025-06-01 15:00 (80) and 2 more',
+        'ALERT Tokyo: windspeedKmph>50 matched at 2025-06-01 12:00 (55), 2025-06-01 15:00 (60)'
+      ].join('\n'));
+    });
+
+    test('omits the city prefix for a single city', () => {
+      expect(formatAlerts(evaluateAlerts(report, [parseAlert('FeelsLikeC>34')]))).toBe('ALERT FeelsLikeC>34 matched at current (35)');
+    });
+  });
+
+  test('exports the supported fields', () => {
+    expect(ALERT_FIELD_NAMES).toContain('chanceofrain');
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache, cacheKey, getCacheDir, DEFAULT_CACHE_TTL_MS } = require('../utils/cache');
+
+describe('cache module', () => {
+  let dir;
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-cache-'));
+    now = 1_700_000_000_000;
+    cache = createCache({ dir, ttlMs: 60_000, now: () => now });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('cacheKey', () => {
+    test('normalizes city spacing and case', () => {
+      expect(cacheKey({ city: '  New   York ' })).toBe('new york|metric|en');
+      expect(cacheKey({ city: 'new york' })).toBe(cacheKey({ city: 'New York' }));
+    });
+
+    test('includes units and language', () => {
+      expect(cacheKey({ city: 'Tokyo', units: 'imperial', lang: 'JA' })).toBe('tokyo|imperial|ja');
+    });
+  });
+
+  describe('getCacheDir', () => {
+    test('uses XDG_CACHE_HOME when set', () => {
+      expect(getCacheDir({ XDG_CACHE_HOME: '/tmp/xdg' })).toBe(path.join('/tmp/xdg', 'weather'));
+    });
+
+    test('falls back to ~/.cache', () => {
+      expect(getCacheDir({})).toBe(path.join(os.homedir(), '.cache', 'weather'));
+    });
+  });
+
+  describe('createCache', () => {
+    test('returns null for a missing key', async () => {
+      await expect(cache.get('tokyo|metric|en')).resolves.toBeNull();
+    });
+
+    test('stores and reads back values', async () => {
+      await cache.set('tokyo|metric|en', { temp: 20 });
+
+      await expect(cache.get('tokyo|metric|en')).resolves.toEqual({ value: { temp: 20 }, storedAt: now, fresh: true });
+    });
+
+    test('marks entries older than the TTL as stale', async () => {
+      await cache.set('tokyo|metric|en', { temp: 20 });
+      now += 60_000;
+
+      await expect(cache.get('tokyo|metric|en')).resolves.toMatchObject({ fresh: false });
+    });
+
+    test('creates the cache directory on first write', async () => {
+      const nested = createCache({ dir: path.join(dir, 'a', 'b') });
+
+      await nested.set('k', 1);
+
+      expect(fs.readdirSync(path.join(dir, 'a', 'b'))).toHaveLength(1);
+    });
+
+    test('ignores corrupted files', async () => {
+      await cache.set('tokyo|metric|en', { temp: 20 });
+      const [file] = fs.readdirSync(dir);
+      fs.writeFileSync(path.join(dir, file), '{not json');
+
+      await expect(cache.get('tokyo|metric|en')).resolves.toBeNull();
+    });
+
+    test('reports statistics', async () => {
+      await cache.set('a', 1);
+      now += 120_000;
+      await cache.set('b', 2);
+
+      const stats = await cache.stats();
+
+      expect(stats).toMatchObject({ dir, ttlMs: 60_000, entries: 2, fresh: 1, stale: 1 });
+      expect(stats.bytes).toBeGreaterThan(0);
+      expect(stats.oldest).toBe(new Date(now - 120_000).toISOString());
+      expect(stats.newest).toBe(new Date(now).toISOString());
+    });
+
+    test('reports empty statistics when the directory does not exist', async () => {
+      const stats = await createCache({ dir: path.join(dir, 'missing') }).stats();
+
+      expect(stats).toMatchObject({ entries: 0, bytes: 0, oldest: null, newest: null, ttlMs: DEFAULT_CACHE_TTL_MS });
+    });
+
+    test('clears every entry', async () => {
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+
+      await expect(cache.clear()).resolves.toBe(2);
+      await expect(cache.get('a')).resolves.toBeNull();
+      await expect(cache.clear()).resolves.toBe(0);
+    });
+  });
+});
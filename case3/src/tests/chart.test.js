@@ -0,0 +1,118 @@
+const { formatChart, hourlySeries, supportsUnicode } = require('../utils/chart');
+const { parseWeatherReport } = require('../utils/report');
+
+/**
+ * Builds a report with six-hourly entries for each day
+ * @param {Array<Array<[number, number]>>} days - [temperature, chance of rain] of each entry, per day
+ * @param {string} [localObsDateTime] - Local observation time, e.g. "2025-06-01 01:30 PM"
+ * @returns {import('../utils/report').WeatherReport} Report
+ */
+function makeReport(days, localObsDateTime) {
+  return parseWeatherReport({
+    current_condition: [
+      { temp_C: '10', FeelsLikeC: '10', humidity: '60', windspeedKmph: '8', localObsDateTime, weatherDesc: [{ value: 'Sunny' }] }
+    ],
+    nearest_area: [{ areaName: [{ value: 'Tokyo' }], country: [{ value: 'Japan' }] }],
+    weather: days.map((entries, d) => ({
+      date: `2025-06-0${d + 1}`,
+      mintempC: '10',
+      maxtempC: '18',
+      hourly: entries.map(([temp, rain], h) => ({
+        time: String(h * 600),
+        tempC: String(temp),
+        chanceofrain: String(rain),
+        weatherDesc: [{ value: 'Sunny' }]
+      }))
+    }))
+  });
+}
+
+describe('chart module', () => {
+  const report = makeReport([
+    [[10, 0], [14, 50], [18, 100], [14, 25]],
+    [[12, 0], [16, 0], [18, 75], [12, 0]],
+    [[10, 0], [10, 0], [18, 0], [18, 0]]
+  ]);
+
+  describe('supportsUnicode', () => {
+    test('follows the locale on Unix-like systems', () => {
+      expect(supportsUnicode({ LANG: 'en_US.UTF-8' }, 'linux')).toBe(true);
+      expect(supportsUnicode({ LC_ALL: 'C', LANG: 'en_US.UTF-8' }, 'darwin')).toBe(false);
+      expect(supportsUnicode({}, 'linux')).toBe(false);
+    });
+
+    test('never uses Unicode on dumb terminals', () => {
+      expect(supportsUnicode({ TERM: 'dumb', LANG: 'en_US.UTF-8' }, 'linux')).toBe(false);
+    });
+
+    test('recognizes modern Windows terminals', () => {
+      expect(supportsUnicode({ WT_SESSION: 'abc' }, 'win32')).toBe(true);
+      expect(supportsUnicode({}, 'win32')).toBe(false);
+    });
+  });
+
+  describe('hourlySeries', () => {
+    test('keeps the entries within the first hours', () => {
+      const points = hourlySeries(report, 24);
+
+      expect(points).toHaveLength(4);
+      expect(points[3]).toEqual({ date: '2025-06-01', time: '18:00', temperature: 14, chanceOfRain: 25 });
+      expect(hourlySeries(report, 30).map((point) => point.time)).toEqual(['00:00', '06:00', '12:00', '18:00', '00:00']);
+    });
+
+    test('starts at the current local hour', () => {
+      const days = [
+        [[10, 0], [14, 50], [18, 100], [14, 25]],
+        [[12, 0], [16, 0], [18, 75], [12, 0]]
+      ];
+      const points = hourlySeries(makeReport(days, '2025-06-01 01:30 PM'), 24);
+
+      expect(points.map((point) => `${point.date} ${point.time}`))
+        .toEqual(['2025-06-01 18:00', '2025-06-02 00:00', '2025-06-02 06:00', '2025-06-02 12:00']);
+      expect(hourlySeries(makeReport(days, '2025-06-01 06:00 PM'), 6)[0])
+        .toEqual({ date: '2025-06-01', time: '18:00', temperature: 14, chanceOfRain: 25 });
+    });
+  });
+
+  describe('formatChart', () => {
+    test('draws temperature and rain bars with a day axis', () => {
+      expect(formatChart(report, { hours: 48, width: 22, height: 2 })).toBe([
+        'Tokyo, Japan: 48 hours from 2025-06-01 00:00',
+        'Temperature',
+        '18°C │    ██    ▄▄██',
+        '10°C │▁▁██████▅▅████▅▅',
+        'Chance of rain',
+        '100% │    ██      ▄▄',
+        '  0% │  ████▄▄    ██',
+        '     └────────────────',
+        '      06-01   06-02'
+      ].join('\n'));
+    });
+
+    test('falls back to ASCII', () => {
+      const chart = formatChart(report, { hours: 24, width: 20, height: 2, unicode: false });
+
+      expect(chart).toContain('18°C |');
+      expect(chart).toContain('     +----------');
+      expect(chart).not.toMatch(/[│└─▁-█]/);
+    });
+
+    test('shares columns between entries when the terminal is narrow, dropping labels that do not fit', () => {
+      const lines = formatChart(report, { hours: 72, width: 16, height: 1 }).split('\n');
+
+      expect(lines[2]).toBe('18°C │▁▄█▄▄█▃▁▁█');
+      expect(lines[4]).toBe('100% │ ▄█▂ ▆');
+      expect(lines[6]).toBe('      06-01');
+    });
+
+    test('titles the chart with the first hour shown', () => {
+      const chart = formatChart(makeReport([[[10, 0], [14, 50], [18, 100], [14, 25]]], '2025-06-01 11:15 AM'), { hours: 24 });
+
+      expect(chart.split('\n')[0]).toBe('Tokyo, Japan: 24 hours from 2025-06-01 12:00');
+    });
+
+    test('requires hourly data', () => {
+      expect(() => formatChart({ ...report, forecast: [] })).toThrow('Weather data has no hourly forecast');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+describe('concurrency module', () => {
+  describe('mapWithConcurrency', () => {
+    test('keeps results in input order', async () => {
+      const delays = [30, 10, 20, 0];
+
+      const results = await mapWithConcurrency(delays, 2, (ms, i) =>
+        new Promise((resolve) => setTimeout(() => resolve(`${i}:${ms}`), ms)));
+
+      expect(results).toEqual(['0:30', '1:10', '2:20', '3:0']);
+    });
+
+    test('never runs more than limit calls at once', async () => {
+      let active = 0;
+      let peak = 0;
+
+      await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+      });
+
+      expect(peak).toBe(3);
+    });
+
+    test('handles an empty list', async () => {
+      await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+    });
+
+    test('rejects with the first error', async () => {
+      await expect(mapWithConcurrency([1, 2], 2, async (n) => {
+        if (n === 2) throw new Error('boom');
+        return n;
+      })).rejects.toThrow('boom');
+    });
+
+    test('rejects limits that are not positive integers', async () => {
+      await expect(mapWithConcurrency([1], 0, async () => 1)).rejects.toThrow(RangeError);
+      await expect(mapWithConcurrency([1], 1.5, async () => 1)).rejects.toThrow('Concurrency must be a positive integer, got 1.5');
+    });
+  });
+});
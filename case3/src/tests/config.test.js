@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  getConfigPath,
+  loadConfig,
+  saveConfig,
+  normalizeConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  resolveSettings,
+  resolveFavorite,
+  parseDotEnv,
+  loadDotEnv
+} = require('../utils/config');
+
+describe('config module', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-config-'));
+    file = path.join(dir, 'weather', 'config.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getConfigPath', () => {
+    test('uses XDG_CONFIG_HOME when set', () => {
+      expect(getConfigPath({ XDG_CONFIG_HOME: '/tmp/xdg' })).toBe(path.join('/tmp/xdg', 'weather', 'config.json'));
+    });
+
+    test('falls back to ~/.config', () => {
+      expect(getConfigPath({})).toBe(path.join(os.homedir(), '.config', 'weather', 'config.json'));
+    });
+
+    test('prefers WEATHER_CONFIG', () => {
+      expect(getConfigPath({ WEATHER_CONFIG: '/etc/weather.json', XDG_CONFIG_HOME: '/tmp/xdg' })).toBe('/etc/weather.json');
+    });
+  });
+
+  describe('loadConfig and saveConfig', () => {
+    test('returns an empty config when the file does not exist', async () => {
+      await expect(loadConfig(file)).resolves.toEqual({});
+    });
+
+    test('round-trips settings and favorites', async () => {
+      let config = setConfigValue({}, 'units', 'imperial');
+      config = setConfigValue(config, 'retries', '3');
+      config = setConfigValue(config, 'favorites.home', ' Hiroshima ');
+
+      await saveConfig(config, file);
+
+      await expect(loadConfig(file)).resolves.toEqual({ units: 'imperial', retries: 3, favorites: { home: 'Hiroshima' } });
+      expect(fs.readdirSync(path.dirname(file))).toEqual(['config.json']);
+    });
+
+    test('rejects invalid JSON', async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{ units: metric');
+
+      await expect(loadConfig(file)).rejects.toThrow(`Invalid config file ${file}:`);
+    });
+
+    test('rejects invalid settings', async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ units: 'kelvin' }));
+
+      await expect(loadConfig(file)).rejects
+        .toThrow(`Invalid config file ${file}: Invalid value for units: Expected one of metric, imperial, si, got kelvin`);
+    });
+
+    test('reports and drops invalid settings with onInvalid', async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ units: 'kelvin', retries: 2, favorites: { home: ' ', work: 'Osaka' } }));
+      const problems = [];
+
+      await expect(loadConfig(file, { onInvalid: (message) => problems.push(message) })).resolves
+        .toEqual({ retries: 2, favorites: { work: 'Osaka' } });
+      expect(problems).toHaveLength(2);
+      expect(problems[0]).toMatch(`Invalid config file ${file}: Invalid value for units`);
+    });
+
+    test('rejects a favorite named after @here', async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ favorites: { here: 'Tokyo', home: 'Hiroshima' } }));
+      const problems = [];
+
+      await expect(loadConfig(file)).rejects.toThrow(`Invalid config file ${file}: Reserved favorite name: here`);
+      await expect(loadConfig(file, { onInvalid: (message) => problems.push(message) })).resolves
+        .toEqual({ favorites: { home: 'Hiroshima' } });
+      expect(problems).toHaveLength(1);
+    });
+
+    test('returns an empty config for invalid JSON with onInvalid', async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{ units: metric');
+      const onInvalid = jest.fn();
+
+      await expect(loadConfig(file, { onInvalid })).resolves.toEqual({});
+      expect(onInvalid).toHaveBeenCalledWith(expect.stringContaining(`Invalid config file ${file}:`), { discarded: true });
+    });
+  });
+
+  describe('normalizeConfigValue', () => {
+    test('normalizes values to their stored form', () => {
+      expect(normalizeConfigValue('lang', 'JA')).toBe('ja');
+      expect(normalizeConfigValue('provider', 'open-meteo, wttr')).toBe('open-meteo,wttr');
+      expect(normalizeConfigValue('cacheTtl', ' 5m ')).toBe('5m');
+      expect(normalizeConfigValue('city', ' Tokyo ')).toBe('Tokyo');
+    });
+
+    test('rejects unknown keys and invalid values', () => {
+      expect(() => normalizeConfigValue('colour', 'red')).toThrow('Unknown config key: colour');
+      expect(() => normalizeConfigValue('favorites.my home', 'Tokyo')).toThrow('Invalid favorite name: my home');
+      expect(() => normalizeConfigValue('favorites.Here', 'Tokyo')).toThrow('Reserved favorite name: Here. @here always means the current location');
+      expect(() => normalizeConfigValue('retries', '11')).toThrow('Invalid value for retries: Expected an integer between 0 and 10, got 11');
+      expect(() => normalizeConfigValue('cacheTtl', 'soon')).toThrow('Invalid value for cacheTtl: Invalid duration: soon');
+      expect(() => normalizeConfigValue('city', '  ')).toThrow('Invalid value for city: Expected a non-empty value');
+    });
+  });
+
+  test('unsetConfigValue removes settings and favorites', () => {
+    const config = { units: 'si', favorites: { home: 'Hiroshima', work: 'Osaka' } };
+
+    expect(unsetConfigValue(config, 'units')).toEqual({ favorites: { home: 'Hiroshima', work: 'Osaka' } });
+    expect(unsetConfigValue(config, 'favorites.home')).toEqual({ units: 'si', favorites: { work: 'Osaka' } });
+    expect(() => unsetConfigValue(config, 'colour')).toThrow('Unknown config key: colour');
+  });
+
+  describe('resolveSettings', () => {
+    test('lets environment variables override the config file', () => {
+      const settings = resolveSettings(
+        { units: 'imperial', city: 'Tokyo', favorites: { home: 'Hiroshima' } },
+        { WEATHER_UNITS: 'si', WEATHER_LANG: 'ja', WEATHER_CITY: '' }
+      );
+
+      expect(settings).toEqual({
+        city: { value: 'Tokyo', source: 'config' },
+        units: { value: 'si', source: 'env WEATHER_UNITS' },
+        lang: { value: 'ja', source: 'env WEATHER_LANG' },
+        'favorites.home': { value: 'Hiroshima', source: 'config' }
+      });
+    });
+
+    test('rejects invalid environment overrides', () => {
+      expect(() => resolveSettings({}, { WEATHER_RETRIES: 'many' })).toThrow('Invalid value for retries');
+    });
+  });
+
+  test('resolveFavorite expands @name and passes other cities through', () => {
+    const config = { favorites: { home: 'Hiroshima' } };
+
+    expect(resolveFavorite('@home', config)).toBe('Hiroshima');
+    expect(resolveFavorite('Tokyo', config)).toBe('Tokyo');
+    expect(() => resolveFavorite('@toString', config)).toThrow('Unknown favorite: @toString');
+  });
+
+  describe('.env files', () => {
+    test('parseDotEnv handles comments, quotes and export', () => {
+      expect(parseDotEnv([
+        '# defaults',
+        'WEATHER_UNITS=imperial',
+        'export WEATHER_CITY="New York"',
+        "WEATHER_LANG='ja' ",
+        'WEATHER_FORMAT=table # for the office screen',
+        'not a variable'
+      ].join('\n'))).toEqual({
+        WEATHER_UNITS: 'imperial',
+        WEATHER_CITY: 'New York',
+        WEATHER_LANG: 'ja',
+        WEATHER_FORMAT: 'table'
+      });
+    });
+
+    test('loadDotEnv only sets WEATHER_ variables that are not already set', () => {
+      const envFile = path.join(dir, '.env');
+      fs.writeFileSync(envFile, 'WEATHER_UNITS=imperial\nWEATHER_LANG=ja\nPATH=/nowhere\n');
+      const env = { WEATHER_LANG: 'en', PATH: '/usr/bin' };
+
+      expect(loadDotEnv(envFile, env)).toEqual(['WEATHER_UNITS']);
+      expect(env).toEqual({ WEATHER_UNITS: 'imperial', WEATHER_LANG: 'en', PATH: '/usr/bin' });
+    });
+
+    test('loadDotEnv ignores a missing file', () => {
+      expect(loadDotEnv(path.join(dir, 'missing.env'), {})).toEqual([]);
+    });
+  });
+
+  describe('config subcommands with an invalid file', () => {
+    const cli = path.join(__dirname, '..', 'utils', 'weather.js');
+    const run = (...args) => spawnSync(process.execPath, [cli, ...args], {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { PATH: process.env.PATH, HOME: dir, WEATHER_CONFIG: file }
+    });
+
+    beforeEach(() => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ units: 'kelvin', retries: 2 }));
+    });
+
+    test('config set warns and overwrites the invalid setting', () => {
+      const result = run('config', 'set', 'units', 'imperial');
+
+      expect(result.status).toBe(0);
+      expect(result.stderr).toContain(`Warning: Invalid config file ${file}: Invalid value for units`);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ units: 'imperial', retries: 2 });
+    });
+
+    test('config unset drops the invalid setting', () => {
+      const result = run('config', 'unset', 'units');
+
+      expect(result.status).toBe(0);
+      expect(result.stderr).toContain(`Warning: Invalid config file ${file}: Invalid value for units`);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ retries: 2 });
+    });
+
+    test('config set and unset refuse to overwrite a file that is not valid JSON', () => {
+      fs.writeFileSync(file, '{ units: metric');
+
+      for (const args of [['set', 'units', 'imperial'], ['unset', 'units']]) {
+        const result = run('config', ...args);
+
+        expect(result.status).not.toBe(0);
+        expect(result.stderr).toContain(`Error: Refusing to overwrite ${file}, which could not be read`);
+      }
+      expect(fs.readFileSync(file, 'utf8')).toBe('{ units: metric');
+    });
+
+    test('reports an unreadable .env file as an error', () => {
+      fs.mkdirSync(path.join(dir, '.env'));
+
+      const result = run('config', 'list');
+
+      expect(result.status).not.toBe(0);
+      expect(result.stderr).toMatch(/^Error: EISDIR/);
+    });
+
+    test('other commands still fail', () => {
+      const result = run('Tokyo');
+
+      expect(result.status).not.toBe(0);
+      expect(result.stderr).toContain(`Error: Invalid config file ${file}: Invalid value for units`);
+    });
+  });
+});
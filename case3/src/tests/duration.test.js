@@ -0,0 +1,41 @@
+const { parseDuration, formatDuration } = require('../utils/duration');
+
+describe('duration module', () => {
+  describe('parseDuration', () => {
+    test('parses durations with units', () => {
+      expect(parseDuration('500ms')).toBe(500);
+      expect(parseDuration('90s')).toBe(90_000);
+      expect(parseDuration('10m')).toBe(600_000);
+      expect(parseDuration('1.5h')).toBe(5_400_000);
+      expect(parseDuration('1d')).toBe(86_400_000);
+    });
+
+    test('treats bare numbers as seconds', () => {
+      expect(parseDuration('30')).toBe(30_000);
+      expect(parseDuration(0)).toBe(0);
+    });
+
+    test('rejects invalid durations', () => {
+      expect(() => parseDuration('ten minutes')).toThrow('Invalid duration: ten minutes');
+      expect(() => parseDuration('-5m')).toThrow('Invalid duration');
+      expect(() => parseDuration('')).toThrow('Invalid duration');
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('joins the non-zero units', () => {
+      expect(formatDuration(600_000)).toBe('10m');
+      expect(formatDuration(5_400_000)).toBe('1h30m');
+      expect(formatDuration(90_061_000)).toBe('1d1h1m1s');
+    });
+
+    test('formats durations under a second in milliseconds', () => {
+      expect(formatDuration(250)).toBe('250ms');
+      expect(formatDuration(0)).toBe('0ms');
+    });
+
+    test('round-trips with parseDuration', () => {
+      expect(parseDuration(formatDuration(parseDuration('45s')))).toBe(45_000);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const {
+  formatWeather,
+  formatForecast,
+  formatComparison,
+  shouldUseColor,
+  displayWidth,
+  OUTPUT_FORMATS
+} = require('../utils/format');
+const { parseWeatherReport } = require('../utils/report');
+const { convertReport } = require('../utils/units');
+
+describe('format module', () => {
+  const mockWeatherData = {
+    current_condition: [
+      {
+        temp_C: '31',
+        FeelsLikeC: '34',
+        humidity: '70',
+        windspeedKmph: '11',
+        winddir16Point: 'NW',
+        weatherDesc: [{ value: 'Sunny' }]
+      }
+    ],
+    nearest_area: [
+      {
+        areaName: [{ value: 'Hiroshima' }],
+        country: [{ value: 'Japan' }]
+      }
+    ]
+  };
+
+  const report = parseWeatherReport(mockWeatherData);
+
+  describe('formatWeather', () => {
+    test('formats a text summary by default', () => {
+      expect(formatWeather(report)).toBe([
+        'Hiroshima, Japan',
+        'Sunny',
+        'Temperature: 31°C (feels like 34°C)',
+        'Humidity: 70%',
+        'Wind: 11 km/h NW'
+      ].join('\n'));
+    });
+
+    test('adds ANSI colors to text only when enabled', () => {
+      const colored = formatWeather(report, { color: true });
+
+      expect(colored).toContain('\x1b[');
+      expect(colored).toContain('\x1b[31m\x1b[1m31°C\x1b[0m');
+      expect(formatWeather(report, { color: false })).not.toContain('\x1b[');
+    });
+
+    test('prints converted values with their units', () => {
+      const imperial = convertReport(report, 'imperial');
+
+      expect(formatWeather(imperial, { format: 'oneline' }))
+        .toBe('Hiroshima, Japan: Sunny 87.8°F (feels 93.2°F), 70%, 6.8 mph');
+      expect(formatWeather(imperial, { color: true })).toContain('\x1b[31m\x1b[1m87.8°F\x1b[0m');
+    });
+
+    test('formats a table', () => {
+      expect(formatWeather(report, { format: 'table' })).toBe([
+        '+-------------+------------------+',
+        '| Location    | Hiroshima, Japan |',
+        '| Condition   | Sunny            |',
+        '| Temperature | 31°C             |',
+        '| Feels like  | 34°C             |',
+        '| Humidity    | 70%              |',
+        '| Wind        | 11 km/h NW       |',
+        '+-------------+------------------+'
+      ].join('\n'));
+    });
+
+    test('formats a single line', () => {
+      expect(formatWeather(report, { format: 'oneline', color: true }))
+        .toBe('Hiroshima, Japan: Sunny 31°C (feels 34°C), 70%, 11 km/h');
+    });
+
+    test('formats the report as JSON', () => {
+      expect(JSON.parse(formatWeather(report, { format: 'json' }))).toEqual(report);
+    });
+
+    test('heads the summary with the full resolved location', () => {
+      const texas = parseWeatherReport({
+        ...mockWeatherData,
+        nearest_area: [{ areaName: [{ value: 'Paris' }], region: [{ value: 'Texas' }], country: [{ value: 'United States of America' }] }]
+      });
+
+      expect(formatWeather(texas).split('\n')[0]).toBe('Paris, Texas, United States of America');
+      expect(formatWeather(texas, { format: 'oneline' })).toMatch(/^Paris, Texas, United States of America: Sunny/);
+    });
+
+    test('omits the location when nearest_area is missing', () => {
+      const { nearest_area: _, ...withoutArea } = mockWeatherData;
+
+      expect(formatWeather(parseWeatherReport(withoutArea), { format: 'oneline' })).toBe('Sunny 31°C (feels 34°C), 70%, 11 km/h');
+    });
+
+    test('throws error for unknown format', () => {
+      expect(() => formatWeather(report, { format: 'xml' })).toThrow('Unknown format: xml');
+    });
+
+  });
+
+  describe('formatForecast', () => {
+    const makeHour = (time, tempC, chanceofrain, desc) => ({
+      time,
+      tempC,
+      chanceofrain,
+      weatherDesc: [{ value: desc }]
+    });
+    const mockForecastData = {
+      ...mockWeatherData,
+      weather: [
+        {
+          date: '2025-06-01',
+          mintempC: '18',
+          maxtempC: '27',
+          astronomy: [{ sunrise: '05:02 AM', sunset: '07:20 PM' }],
+          hourly: [makeHour('0', '18', '10', 'Clear'), makeHour('1200', '27', '40', 'Sunny'), makeHour('2100', '20', '0', 'Clear')]
+        },
+        {
+          date: '2025-06-02',
+          mintempC: '3',
+          maxtempC: '31',
+          astronomy: [{ sunrise: '05:01 AM', sunset: '07:21 PM' }],
+          hourly: [makeHour('900', '3', '80', 'Light rain')]
+        }
+      ]
+    };
+
+    const forecastReport = parseWeatherReport(mockForecastData);
+
+    test('formats one summary per day', () => {
+      expect(formatForecast(forecastReport)).toBe([
+        'Hiroshima, Japan',
+        '2025-06-01  Sunny',
+        '  Temp: 18°C / 27°C  Rain: 40%  Sunrise: 05:02 AM  Sunset: 07:20 PM',
+        '2025-06-02  Light rain',
+        '  Temp: 3°C / 31°C  Rain: 80%  Sunrise: 05:01 AM  Sunset: 07:21 PM'
+      ].join('\n'));
+    });
+
+    test('limits the number of days', () => {
+      const output = formatForecast(forecastReport, { days: 1 });
+
+      expect(output).toContain('2025-06-01');
+      expect(output).not.toContain('2025-06-02');
+    });
+
+    test('adds hourly rows when requested', () => {
+      const output = formatForecast(forecastReport, { days: 1, hourly: true });
+
+      expect(output.split('\n').slice(3)).toEqual([
+        '    00:00   18°C   10%  Clear',
+        '    12:00   27°C   40%  Sunny',
+        '    21:00   20°C    0%  Clear'
+      ]);
+    });
+
+    test('formats JSON with hourly entries only when requested', () => {
+      const days = JSON.parse(formatForecast(forecastReport, { format: 'json' }));
+      const withHourly = JSON.parse(formatForecast(forecastReport, { format: 'json', hourly: true }));
+
+      expect(days[1]).toEqual({
+        date: '2025-06-02',
+        condition: 'Light rain',
+        minTemperature: 3,
+        maxTemperature: 31,
+        avgTemperature: null,
+        chanceOfRain: 80,
+        astronomy: { sunrise: '05:01 AM', sunset: '07:21 PM', moonrise: '', moonset: '', moonPhase: '' }
+      });
+      expect(withHourly[1].hourly).toEqual([{
+        time: '09:00',
+        condition: 'Light rain',
+        temperature: 3,
+        feelsLike: null,
+        chanceOfRain: 80,
+        windSpeed: null,
+        humidity: null
+      }]);
+    });
+
+    test('throws error when forecast is missing', () => {
+      expect(() => formatForecast(report)).toThrow('Weather data has no forecast');
+    });
+
+    test('throws error for unknown format', () => {
+      expect(() => formatForecast(forecastReport, { format: 'table' })).toThrow('Unknown format: table');
+    });
+  });
+
+  test('displayWidth counts wide characters and emoji as two columns', () => {
+    expect(displayWidth('Tokyo')).toBe(5);
+    expect(displayWidth('東京')).toBe(4);
+    expect(displayWidth('ｵｵｻｶ')).toBe(4);
+    expect(displayWidth('☀️ 👨‍👩‍👧')).toBe(5);
+    expect(displayWidth('Zu\u0308rich')).toBe(6);
+  });
+
+  describe('formatComparison', () => {
+    const coldReport = parseWeatherReport({
+      current_condition: [
+        { temp_C: '-2', FeelsLikeC: '-6', humidity: '85', windspeedKmph: '20', weatherDesc: [{ value: 'Light snow' }] }
+      ]
+    });
+    const results = [
+      { city: 'Hiroshima', report },
+      { city: 'Atlantis', error: new Error('City not found: Atlantis') },
+      { city: 'Sapporo', report: coldReport }
+    ];
+
+    test('formats successful cities as one table', () => {
+      expect(formatComparison(results)).toBe([
+        '+-----------+------------+------+------------+----------+------------+',
+        '| City      | Condition  | Temp | Feels like | Humidity | Wind       |',
+        '+-----------+------------+------+------------+----------+------------+',
+        '| Hiroshima | Sunny      | 31°C | 34°C       | 70%      | 11 km/h NW |',
+        '| Sapporo   | Light snow | -2°C | -6°C       | 85%      | 20 km/h    |',
+        '+-----------+------------+------+------------+----------+------------+'
+      ].join('\n'));
+    });
+
+    test('aligns columns by display width for Japanese names and emoji', () => {
+      const tokyoReport = parseWeatherReport({
+        current_condition: [
+          { temp_C: '18', FeelsLikeC: '17', humidity: '60', windspeedKmph: '5', weatherDesc: [{ value: '小雨☔' }] }
+        ]
+      });
+
+      expect(formatComparison([{ city: '東京', report: tokyoReport }, results[2]])).toBe([
+        '+---------+------------+------+------------+----------+---------+',
+        '| City    | Condition  | Temp | Feels like | Humidity | Wind    |',
+        '+---------+------------+------+------------+----------+---------+',
+        '| 東京    | 小雨☔     | 18°C | 17°C       | 60%      | 5 km/h  |',
+        '| Sapporo | Light snow | -2°C | -6°C       | 85%      | 20 km/h |',
+        '+---------+------------+------+------------+----------+---------+'
+      ].join('\n'));
+    });
+
+    test('colors temperatures after padding them', () => {
+      const colored = formatComparison(results, { format: 'text', color: true });
+
+      expect(colored).toContain('\x1b[31m31°C\x1b[0m');
+      expect(colored).toContain('\x1b[34m-2°C\x1b[0m');
+    });
+
+    test('formats one line per successful city', () => {
+      expect(formatComparison(results, { format: 'oneline' }).split('\n')).toEqual([
+        'Hiroshima, Japan: Sunny 31°C (feels 34°C), 70%, 11 km/h',
+        'Light snow -2°C (feels -6°C), 85%, 20 km/h'
+      ]);
+    });
+
+    test('formats JSON keyed by city with errors for failed cities', () => {
+      const output = JSON.parse(formatComparison(results, { format: 'json' }));
+
+      expect(Object.keys(output)).toEqual(['Hiroshima', 'Atlantis', 'Sapporo']);
+      expect(output.Hiroshima.current.temperature).toBe(31);
+      expect(output.Atlantis).toEqual({ error: 'City not found: Atlantis' });
+    });
+
+    test('returns an empty string when every city failed', () => {
+      expect(formatComparison([results[1]])).toBe('');
+    });
+
+    test('throws error for unknown format', () => {
+      expect(() => formatComparison(results, { format: 'xml' })).toThrow('Unknown format: xml');
+    });
+  });
+
+  describe('shouldUseColor', () => {
+    test('enables color for a TTY', () => {
+      expect(shouldUseColor({ isTTY: true }, {})).toBe(true);
+    });
+
+    test('disables color when stdout is not a TTY', () => {
+      expect(shouldUseColor({ isTTY: false }, {})).toBe(false);
+      expect(shouldUseColor({}, {})).toBe(false);
+    });
+
+    test('disables color when NO_COLOR is set', () => {
+      expect(shouldUseColor({ isTTY: true }, { NO_COLOR: '1' })).toBe(false);
+    });
+  });
+
+  describe('module exports', () => {
+    test('exports the supported formats', () => {
+      expect(OUTPUT_FORMATS).toEqual(['text', 'table', 'oneline', 'json']);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const axios = require('axios');
+const { getJson, parseRetryAfter, DEFAULT_RETRY } = require('../utils/http');
+const {
+  WeatherApiError,
+  WeatherTimeoutError,
+  WeatherNetworkError,
+  CityNotFoundError,
+  WeatherDataError,
+  LocationMismatchError,
+  EXIT_CODES,
+  exitCodeFor,
+  isTransientError
+} = require('../utils/errors');
+
+jest.mock('axios');
+
+const URL = 'https://example.test/weather';
+
+/**
+ * Builds the rejection axios produces for an HTTP error response
+ * @param {number} status - Status code
+ * @param {string} statusText - Status text
+ * @param {object} [headers] - Response headers
+ * @returns {object} axios-like error
+ */
+function httpError(status, statusText, headers = {}) {
+  return { response: { status, statusText, headers } };
+}
+
+describe('http module', () => {
+  let wait;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wait = jest.fn().mockResolvedValue();
+  });
+
+  describe('getJson retries', () => {
+    test('retries a 503 response and returns the later success', async () => {
+      axios.get
+        .mockRejectedValueOnce(httpError(503, 'Service Unavailable'))
+        .mockResolvedValueOnce({ data: { ok: true } });
+
+      const data = await getJson(URL, { wait, random: () => 0.5 });
+
+      expect(data).toEqual({ ok: true });
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(wait).toHaveBeenCalledWith(DEFAULT_RETRY.baseDelayMs * 0.5);
+    });
+
+    test('retries timeouts', async () => {
+      axios.get
+        .mockRejectedValueOnce({ code: 'ECONNABORTED' })
+        .mockResolvedValueOnce({ data: { ok: true } });
+
+      await expect(getJson(URL, { wait })).resolves.toEqual({ ok: true });
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('doubles the backoff ceiling on every attempt', async () => {
+      axios.get.mockRejectedValue(httpError(500, 'Internal Server Error'));
+
+      await expect(getJson(URL, { wait, random: () => 1, retry: { retries: 3, baseDelayMs: 100, maxDelayMs: 300 } }))
+        .rejects.toThrow('API error: 500 - Internal Server Error');
+
+      expect(axios.get).toHaveBeenCalledTimes(4);
+      expect(wait.mock.calls.map(([ms]) => ms)).toEqual([100, 200, 300]);
+    });
+
+    test('waits at least as long as Retry-After on 429', async () => {
+      axios.get
+        .mockRejectedValueOnce(httpError(429, 'Too Many Requests', { 'retry-after': '3' }))
+        .mockResolvedValueOnce({ data: { ok: true } });
+
+      await getJson(URL, { wait, random: () => 0 });
+
+      expect(wait).toHaveBeenCalledWith(3000);
+    });
+
+    test('gives up immediately when Retry-After exceeds the limit', async () => {
+      axios.get.mockRejectedValue(httpError(429, 'Too Many Requests', { 'retry-after': '120' }));
+
+      const error = await getJson(URL, { wait }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(WeatherApiError);
+      expect(error.retryAfterMs).toBe(120000);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+
+    test('does not retry client errors', async () => {
+      axios.get.mockRejectedValue(httpError(404, 'Not Found'));
+
+      await expect(getJson(URL, { wait })).rejects.toBeInstanceOf(WeatherApiError);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry network errors', async () => {
+      axios.get.mockRejectedValue({ code: 'ENOTFOUND' });
+
+      await expect(getJson(URL, { wait })).rejects.toBeInstanceOf(WeatherNetworkError);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('makes a single attempt when retries is 0', async () => {
+      axios.get.mockRejectedValue({ code: 'ETIMEDOUT' });
+
+      await expect(getJson(URL, { wait, retry: { retries: 0 } })).rejects.toBeInstanceOf(WeatherTimeoutError);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('parses seconds and HTTP dates', () => {
+      const now = Date.parse('2025-06-01T00:00:00Z');
+
+      expect(parseRetryAfter('5', now)).toBe(5000);
+      expect(parseRetryAfter('Sun, 01 Jun 2025 00:00:10 GMT', now)).toBe(10000);
+      expect(parseRetryAfter('Sat, 31 May 2025 23:00:00 GMT', now)).toBe(0);
+    });
+
+    test('returns null for missing or invalid values', () => {
+      expect(parseRetryAfter(undefined, 0)).toBeNull();
+      expect(parseRetryAfter('', 0)).toBeNull();
+      expect(parseRetryAfter('soon', 0)).toBeNull();
+    });
+  });
+
+  describe('exitCodeFor', () => {
+    test('maps each error type to its exit code', () => {
+      expect(exitCodeFor(new CityNotFoundError('Atlantis'))).toBe(EXIT_CODES.cityNotFound);
+      expect(exitCodeFor(new WeatherApiError(500, 'Internal Server Error'))).toBe(EXIT_CODES.api);
+      expect(exitCodeFor(new WeatherTimeoutError())).toBe(EXIT_CODES.timeout);
+      expect(exitCodeFor(new WeatherNetworkError('ENOTFOUND'))).toBe(EXIT_CODES.network);
+      expect(exitCodeFor(new WeatherDataError('missing value'))).toBe(EXIT_CODES.data);
+      expect(exitCodeFor(new LocationMismatchError('Paris, France', 'Paris, Texas'))).toBe(EXIT_CODES.locationMismatch);
+      expect(exitCodeFor(new Error('boom'))).toBe(EXIT_CODES.general);
+    });
+
+    test('uses the shared code of an AggregateError, or the general code when they differ', () => {
+      const timeouts = new AggregateError([new WeatherTimeoutError(), new WeatherTimeoutError()], 'failed');
+      const mixed = new AggregateError([new WeatherTimeoutError(), new CityNotFoundError('Atlantis')], 'failed');
+
+      expect(exitCodeFor(timeouts)).toBe(EXIT_CODES.timeout);
+      expect(exitCodeFor(mixed)).toBe(EXIT_CODES.general);
+    });
+  });
+
+  describe('isTransientError', () => {
+    test('accepts network errors, timeouts, 429 and 5xx responses', () => {
+      expect(isTransientError(new WeatherNetworkError('ECONNRESET'))).toBe(true);
+      expect(isTransientError(new WeatherTimeoutError())).toBe(true);
+      expect(isTransientError(new WeatherApiError(429, 'Too Many Requests'))).toBe(true);
+      expect(isTransientError(new WeatherApiError(503, 'Service Unavailable'))).toBe(true);
+    });
+
+    test('rejects errors that waiting cannot fix', () => {
+      expect(isTransientError(new WeatherApiError(404, 'Not Found'))).toBe(false);
+      expect(isTransientError(new CityNotFoundError('Atlantis'))).toBe(false);
+      expect(isTransientError(new WeatherDataError('missing value'))).toBe(false);
+      expect(isTransientError(new LocationMismatchError('Paris, France', 'Paris, Texas'))).toBe(false);
+      expect(isTransientError(new Error('boom'))).toBe(false);
+    });
+
+    test('treats an AggregateError as transient when any provider failed transiently', () => {
+      expect(isTransientError(new AggregateError([new CityNotFoundError('Atlantis'), new WeatherTimeoutError()])))
+        .toBe(true);
+      expect(isTransientError(new AggregateError([new CityNotFoundError('Atlantis')]))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  collectContributions,
+  parseGitLog,
+  formatContributorsMarkdown,
+  renderBadge,
+  writeContributorsReport,
+  GitError
+} = require('../utils/insight');
+const { parseDate } = require('../utils/git-insight');
+
+/**
+ * Creates an empty repository
+ * @param {string} dir - Directory to initialize
+ */
+function initRepo(dir) {
+  execFileSync('git', ['init', '-q', dir]);
+}
+
+/**
+ * Writes files and commits them as the given author
+ * @param {string} dir - Repository path
+ * @param {object} commit
+ * @param {string} commit.author - Author as "Name <email>"
+ * @param {string} commit.date - Author and committer date, ISO 8601
+ * @param {Object<string, string>} commit.files - File contents keyed by path
+ */
+function commit(dir, { author, date, files }) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  const [, name, email] = /^(.*) <(.*)>$/.exec(author);
+  execFileSync('git', ['-C', dir, 'add', '-A']);
+  execFileSync('git', ['-C', dir, 'commit', '-q', '-m', `Change by ${name}`], {
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: name,
+      GIT_AUTHOR_EMAIL: email,
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: name,
+      GIT_COMMITTER_EMAIL: email,
+      GIT_COMMITTER_DATE: date
+    }
+  });
+}
+
+/**
+ * Builds n numbered lines
+ * @param {number} n - Number of lines
+ * @param {string} [prefix='line'] - Text before each number
+ * @returns {string} Lines ending in a newline
+ */
+function lines(n, prefix = 'line') {
+  return Array.from({ length: n }, (_, i) => `${prefix} ${i + 1}\n`).join('');
+}
+
+describe('insight module', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-insight-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('collectContributions', () => {
+    beforeEach(() => {
+      initRepo(dir);
+      commit(dir, { author: 'Alice <alice@example.com>', date: '2025-01-10T10:00:00Z', files: { 'src/a.js': lines(10) } });
+      commit(dir, { author: 'Bob <bob@example.com>', date: '2025-02-10T10:00:00Z', files: { 'docs/guide.md': lines(4) } });
+      commit(dir, { author: 'alice <alice@old.example.com>', date: '2025-03-10T10:00:00Z', files: { 'src/a.js': lines(6) } });
+      commit(dir, { author: 'Alice <alice@example.com>', date: '2025-04-10T10:00:00Z', files: { 'src/b.js': lines(3) } });
+    });
+
+    test('counts commits and lines per author', async () => {
+      const { authors, totals } = await collectContributions(dir);
+
+      expect(authors.map(({ name, email, commits, added, deleted }) => ({ name, email, commits, added, deleted }))).toEqual([
+        { name: 'Alice', email: 'alice@example.com', commits: 2, added: 13, deleted: 0 },
+        { name: 'Bob', email: 'bob@example.com', commits: 1, added: 4, deleted: 0 },
+        { name: 'alice', email: 'alice@old.example.com', commits: 1, added: 0, deleted: 4 }
+      ]);
+      expect(authors[0].firstCommit).toBe('2025-01-10T10:00:00+00:00');
+      expect(authors[0].lastCommit).toBe('2025-04-10T10:00:00+00:00');
+      expect(totals).toEqual({ commits: 4, added: 17, deleted: 4 });
+    });
+
+    test('merges aliases through .mailmap', async () => {
+      fs.writeFileSync(path.join(dir, '.mailmap'), 'Alice <alice@example.com> <alice@old.example.com>\n');
+
+      const { authors } = await collectContributions(dir);
+      const unmerged = await collectContributions(dir, { mailmap: false });
+
+      expect(authors.map((a) => [a.name, a.commits, a.added, a.deleted])).toEqual([['Alice', 3, 13, 4], ['Bob', 1, 4, 0]]);
+      expect(unmerged.authors).toHaveLength(3);
+    });
+
+    test('reads an extra mailmap file', async () => {
+      const mailmap = path.join(dir, 'extra.mailmap');
+      fs.writeFileSync(mailmap, 'Alice <alice@example.com> <alice@old.example.com>\n');
+
+      const { authors } = await collectContributions(dir, { mailmapFile: mailmap });
+
+      expect(authors.map((a) => a.name)).toEqual(['Alice', 'Bob']);
+    });
+
+    test('filters by date range, including whole days', async () => {
+      const { totals } = await collectContributions(dir, { since: '2025-02-10', until: '2025-03-10' });
+      const { authors } = await collectContributions(dir, { since: '2025-04-01' });
+
+      expect(totals.commits).toBe(2);
+      expect(authors.map((a) => [a.name, a.commits])).toEqual([['Alice', 1]]);
+    });
+
+    test('filters by path', async () => {
+      const { authors, totals } = await collectContributions(dir, { paths: ['docs'] });
+
+      expect(authors.map((a) => a.name)).toEqual(['Bob']);
+      expect(totals).toEqual({ commits: 1, added: 4, deleted: 0 });
+    });
+
+    test('rejects invalid dates before running git', async () => {
+      await expect(collectContributions(dir, { since: 'last tuesday' })).rejects.toThrow('Invalid date: last tuesday');
+    });
+  });
+
+  test('collectContributions returns nothing for a repository without commits', async () => {
+    initRepo(dir);
+
+    await expect(collectContributions(dir)).resolves.toEqual({ authors: [], totals: { commits: 0, added: 0, deleted: 0 } });
+  });
+
+  test('collectContributions fails outside a repository', async () => {
+    const error = await collectContributions(path.join(dir, 'missing')).catch((e) => e);
+
+    expect(error).toBeInstanceOf(GitError);
+    expect(error.message).toMatch(/^git rev-parse failed: /);
+  });
+
+  test('parseGitLog ignores line counts of binary files', () => {
+    const output = '\x1eAlice\x1falice@example.com\x1f2025-01-10T10:00:00Z\n\n5\t1\tsrc/a.js\n-\t-\tlogo.png\n';
+
+    expect(parseGitLog(output).totals).toEqual({ commits: 1, added: 5, deleted: 1 });
+  });
+
+  describe('formatContributorsMarkdown', () => {
+    const stats = {
+      authors: [
+        { name: 'Alice', email: 'alice@example.com', commits: 3, added: 13, deleted: 4 },
+        { name: 'Bob | Docs', email: '', commits: 1, added: 0, deleted: 2 }
+      ],
+      totals: { commits: 4, added: 13, deleted: 6 }
+    };
+
+    test('renders a table with totals and the badge', () => {
+      expect(formatContributorsMarkdown(stats, { badge: 'commits.svg' })).toBe([
+        '# Contributors',
+        '',
+        '![4 commits](commits.svg)',
+        '',
+        '4 commits by 2 authors.',
+        '',
+        '| Author | Commits | Added | Deleted | Net |',
+        '| --- | ---: | ---: | ---: | ---: |',
+        '| Alice &lt;alice@example.com&gt; | 3 | 13 | 4 | +9 |',
+        '| Bob \\| Docs | 1 | 0 | 2 | -2 |',
+        '| **Total** | 4 | 13 | 6 | +7 |',
+        ''
+      ].join('\n'));
+    });
+
+    test('describes the filters', () => {
+      const markdown = formatContributorsMarkdown(stats, { since: '2025-01-01', paths: ['src', 'docs'] });
+
+      expect(markdown).toContain('4 commits by 2 authors from 2025-01-01 to today in `src`, `docs`.');
+      expect(markdown).not.toContain('![');
+    });
+  });
+
+  test('renderBadge draws a self-contained SVG', () => {
+    const svg = renderBadge('commits', 42);
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="\d+" height="20"/);
+    expect(svg).toContain('<title>commits: 42</title>');
+    expect(svg).toContain('>42</text>');
+    expect(svg).not.toMatch(/href|<script|<image/);
+    expect(renderBadge('a<b', 'x&y')).toContain('<title>a&lt;b: x&amp;y</title>');
+  });
+
+  test('writeContributorsReport writes the report and badge into the repository', async () => {
+    initRepo(dir);
+    commit(dir, { author: 'Alice <alice@example.com>', date: '2025-01-10T10:00:00Z', files: { 'a.txt': lines(2) } });
+
+    const result = await writeContributorsReport(dir);
+    const custom = await writeContributorsReport(dir, {
+      output: path.join(dir, 'reports', 'team.md'),
+      badge: path.join(dir, 'badges', 'commits.svg')
+    });
+
+    expect(result.output).toBe(path.join(fs.realpathSync(dir), 'contributors.md'));
+    expect(fs.readFileSync(result.output, 'utf8')).toContain('| Alice &lt;alice@example.com&gt; | 1 | 2 | 0 | +2 |');
+    expect(fs.readFileSync(result.badge, 'utf8')).toContain('>1</text>');
+    expect(fs.readFileSync(custom.output, 'utf8')).toContain('![1 commit](../badges/commits.svg)');
+  });
+
+  test('parseDate accepts dates and ISO date-times', () => {
+    expect(parseDate('2025-06-01')).toBe('2025-06-01');
+    expect(parseDate('2025-06-01T12:00:00Z')).toBe('2025-06-01T12:00:00Z');
+    expect(() => parseDate('yesterday')).toThrow('Must be a date such as 2025-06-01.');
+    expect(() => parseDate('2025-13-01')).toThrow('Must be a date such as 2025-06-01.');
+  });
+});
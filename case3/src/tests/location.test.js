@@ -0,0 +1,133 @@
+const { parseLocationQuery, locationMatches, describeMismatch, pickPlace, HERE } = require('../utils/location');
+const { InvalidLocationError } = require('../utils/errors');
+
+/**
+ * Builds a report location
+ * @param {string} name - Area name
+ * @param {string} region - Region
+ * @param {string} country - Country
+ * @param {number|null} [latitude=null] - Latitude
+ * @param {number|null} [longitude=null] - Longitude
+ * @returns {import('../utils/report').WeatherLocation} Location
+ */
+function place(name, region, country, latitude = null, longitude = null) {
+  return { name, region, country, latitude, longitude };
+}
+
+describe('location module', () => {
+  describe('parseLocationQuery', () => {
+    test('recognizes city names', () => {
+      expect(parseLocationQuery('  New York ')).toEqual({ type: 'city', text: 'New York' });
+      expect(parseLocationQuery('Paris, France')).toEqual({ type: 'city', text: 'Paris, France' });
+    });
+
+    test('recognizes coordinates', () => {
+      expect(parseLocationQuery('35.6895, 139.6917')).toEqual({
+        type: 'coordinates',
+        text: '35.6895,139.6917',
+        latitude: 35.6895,
+        longitude: 139.6917
+      });
+      expect(parseLocationQuery('-33.87,+151.21').text).toBe('-33.87,151.21');
+    });
+
+    test('recognizes airport codes and the IP location', () => {
+      expect(parseLocationQuery('NRT')).toEqual({ type: 'airport', text: 'NRT' });
+      expect(parseLocationQuery('@HERE')).toEqual({ type: 'here', text: HERE });
+    });
+
+    test('reads three letters that are not upper-case as a city', () => {
+      expect(parseLocationQuery('Rio')).toEqual({ type: 'city', text: 'Rio' });
+      expect(parseLocationQuery('goa')).toEqual({ type: 'city', text: 'goa' });
+    });
+
+    test('reads three letters in any case as an airport when flagged', () => {
+      expect(parseLocationQuery('nrt', { airport: true })).toEqual({ type: 'airport', text: 'NRT' });
+      expect(() => parseLocationQuery('Narita', { airport: true }))
+        .toThrow(new InvalidLocationError('Airport codes have three letters, got "Narita"'));
+    });
+
+    test('rejects empty input and coordinates out of range', () => {
+      expect(() => parseLocationQuery('  ')).toThrow('City name is required');
+      expect(() => parseLocationQuery(undefined)).toThrow('City name is required');
+      expect(() => parseLocationQuery('95,10')).toThrow(InvalidLocationError);
+      expect(() => parseLocationQuery('95,10')).toThrow('Latitude must be between -90 and 90, got 95');
+      expect(() => parseLocationQuery('10,-181')).toThrow('Longitude must be between -180 and 180, got -181');
+    });
+  });
+
+  describe('locationMatches', () => {
+    test('compares city names without case or accents', () => {
+      expect(locationMatches('sao paulo', place('São Paulo', 'Sao Paulo', 'Brazil'))).toBe(true);
+      expect(locationMatches('New York', place('New York City', 'New York', 'United States of America'))).toBe(true);
+      expect(locationMatches('Shibuya', place('Tokyo', 'Tokyo', 'Japan'))).toBe(false);
+    });
+
+    test('checks longer qualifiers against the region and country', () => {
+      const texas = place('Paris', 'Texas', 'United States of America');
+
+      expect(locationMatches('Paris, France', texas)).toBe(false);
+      expect(locationMatches('Paris, Texas', texas)).toBe(true);
+      expect(locationMatches('Paris, TX', texas)).toBe(true);
+    });
+
+    test('accepts coordinates within range of the request', () => {
+      expect(locationMatches('35.68,139.69', place('Tokyo', '', 'Japan', 35.69, 139.7))).toBe(true);
+      expect(locationMatches('35.68,139.69', place('Osaka', '', 'Japan', 34.69, 135.5))).toBe(false);
+      expect(locationMatches('35.68,139.69', place('', '', ''))).toBe(true);
+    });
+
+    test('compares cities with the geocoded place by distance', () => {
+      const parisFrance = place('Paris', 'Ile-de-France', 'France', 48.85, 2.35);
+      const parisTexas = place('Paris', 'Texas', 'United States of America', 33.66, -95.56);
+
+      expect(locationMatches('Paris', parisTexas)).toBe(true);
+      expect(locationMatches('Paris', parisTexas, { expected: parisFrance })).toBe(false);
+      expect(locationMatches('Paris', place('Paris', 'Ile-de-France', 'France', 48.86, 2.34), { expected: parisFrance }))
+        .toBe(true);
+    });
+
+    test('compares countries when coordinates are missing', () => {
+      const expected = place('Rio de Janeiro', 'Rio de Janeiro', 'Brazil', -22.91, -43.18);
+
+      expect(locationMatches('Rio', place('Rio', '', 'Brazil'), { expected })).toBe(true);
+      expect(locationMatches('Rio', place('Rio', '', 'Greece'), { expected })).toBe(false);
+    });
+
+    test('cannot check airports, the IP location or names without Latin letters', () => {
+      expect(locationMatches('NRT', place('Narita', 'Chiba', 'Japan'))).toBe(true);
+      expect(locationMatches(HERE, place('Osaka', '', 'Japan'))).toBe(true);
+      expect(locationMatches('Tokyo', place('東京都', '', '日本'))).toBe(true);
+    });
+  });
+
+  describe('pickPlace', () => {
+    const places = [
+      { name: 'Paris', admin1: 'Île-de-France', country: 'France', country_code: 'FR', latitude: 48.85, longitude: 2.35 },
+      { name: 'Paris', admin1: 'Texas', country: 'United States', country_code: 'US', latitude: 33.66, longitude: -95.56 }
+    ];
+
+    test('takes the most relevant place without qualifiers', () => {
+      expect(pickPlace('Paris', places)).toEqual(place('Paris', 'Île-de-France', 'France', 48.85, 2.35));
+    });
+
+    test('narrows the places down by region, country or country code', () => {
+      expect(pickPlace('Paris, Texas', places).region).toBe('Texas');
+      expect(pickPlace('Paris, US', places).region).toBe('Texas');
+      expect(pickPlace('Paris, Germany', places)).toBeNull();
+      expect(pickPlace('Paris', [])).toBeNull();
+    });
+  });
+
+  describe('describeMismatch', () => {
+    test('labels the resolved location, or returns null when it matches', () => {
+      expect(describeMismatch('Paris, France', place('Paris', 'Texas', 'United States of America')))
+        .toBe('Paris, Texas, United States of America');
+      expect(describeMismatch('Shibuya', place('Tokyo', 'Tokyo', 'Japan'))).toBe('Tokyo, Japan');
+      expect(describeMismatch('Paris', place('Paris', 'Ile-de-France', 'France'))).toBeNull();
+      expect(describeMismatch('Paris', place('Paris', 'Texas', 'United States of America', 33.66, -95.56), {
+        expected: place('Paris', 'Ile-de-France', 'France', 48.85, 2.35)
+      })).toBe('Paris, Texas, United States of America');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const http = require('http');
+const { createWttrProvider } = require('../utils/wttr');
+const { createOpenMeteoProvider, parseOpenMeteoReport } = require('../utils/openmeteo');
+const {
+  parseProviderList,
+  createProviders,
+  getReportFromProviders,
+  DEFAULT_PROVIDERS
+} = require('../utils/providers');
+
+const wttrPayload = {
+  current_condition: [
+    { temp_C: '20', FeelsLikeC: '19', humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+  ],
+  nearest_area: [{ areaName: [{ value: 'Tokyo' }], country: [{ value: 'Japan' }] }]
+};
+
+const geocodingPayload = {
+  results: [{ name: 'Tokyo', admin1: 'Tokyo', country: 'Japan', latitude: 35.6895, longitude: 139.69171 }]
+};
+
+const openMeteoPayload = {
+  current: {
+    time: '2025-06-01T12:00',
+    temperature_2m: 24.3,
+    apparent_temperature: 25.1,
+    relative_humidity_2m: 55,
+    wind_speed_10m: 12.2,
+    wind_direction_10m: 315,
+    weather_code: 2,
+    pressure_msl: 1012.4,
+    precipitation: 0,
+    cloud_cover: 40,
+    uv_index: 6.1
+  },
+  hourly: {
+    time: ['2025-06-01T00:00', '2025-06-01T12:00', '2025-06-02T00:00'],
+    temperature_2m: [18.2, 24.3, 17.5],
+    apparent_temperature: [18, 25.1, 17],
+    precipitation_probability: [0, 20, 70],
+    weather_code: [0, 2, 61],
+    wind_speed_10m: [5, 12.2, 8],
+    relative_humidity_2m: [80, 55, 90]
+  },
+  daily: {
+    time: ['2025-06-01', '2025-06-02'],
+    weather_code: [2, 61],
+    temperature_2m_max: [26.1, 22],
+    temperature_2m_min: [17.9, 16.5],
+    temperature_2m_mean: [21.5, 19],
+    precipitation_probability_max: [20, 70],
+    sunrise: ['2025-06-01T04:26', '2025-06-02T04:25'],
+    sunset: ['2025-06-01T18:52', '2025-06-02T18:53']
+  }
+};
+
+describe('providers module', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (url.pathname.startsWith('/down/')) {
+        send(503, { error: 'unavailable' });
+      } else if (url.pathname === '/geo/v1/search') {
+        send(200, url.searchParams.get('name') === 'Tokyo' ? geocodingPayload : {});
+      } else if (url.pathname === '/om/v1/forecast') {
+        send(200, openMeteoPayload);
+      } else if (url.pathname.startsWith('/wttr/')) {
+        send(200, wttrPayload);
+      } else {
+        send(404, {});
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const openMeteoOptions = () => ({
+    geocodingUrl: `${baseUrl}/geo/v1/search`,
+    forecastUrl: `${baseUrl}/om/v1/forecast`
+  });
+
+  describe('wttr provider', () => {
+    test('fetches and normalizes a report', async () => {
+      const provider = createWttrProvider({ baseUrl: `${baseUrl}/wttr` });
+
+      const report = await provider.getReport('Tokyo');
+
+      expect(provider.name).toBe('wttr');
+      expect(report.location.name).toBe('Tokyo');
+      expect(report.current.temperature).toBe(20);
+      expect(requests[0].pathname).toBe('/wttr/Tokyo');
+      expect(requests[0].searchParams.get('format')).toBe('j1');
+    });
+  });
+
+  describe('open-meteo provider', () => {
+    test('geocodes the city and normalizes the forecast', async () => {
+      const provider = createOpenMeteoProvider(openMeteoOptions());
+
+      const report = await provider.getReport(' Tokyo ');
+
+      expect(provider.name).toBe('open-meteo');
+      expect(requests[0].searchParams.get('name')).toBe('Tokyo');
+      expect(requests[1].searchParams.get('latitude')).toBe('35.6895');
+      expect(requests[1].searchParams.get('longitude')).toBe('139.69171');
+      expect(report.location).toEqual({
+        name: 'Tokyo',
+        region: 'Tokyo',
+        country: 'Japan',
+        latitude: 35.6895,
+        longitude: 139.69171
+      });
+      expect(report.current).toEqual({
+        condition: 'Partly cloudy',
+        temperature: 24.3,
+        feelsLike: 25.1,
+        humidity: 55,
+        windSpeed: 12.2,
+        windDirection: 'NW',
+        pressure: 1012.4,
+        precipitation: 0,
+        visibility: null,
+        uvIndex: 6.1,
+        cloudCover: 40,
+        observedAt: '2025-06-01T12:00',
+        localTime: '2025-06-01 12:00'
+      });
+      expect(report.forecast).toHaveLength(2);
+      expect(report.forecast[0]).toMatchObject({
+        date: '2025-06-01',
+        condition: 'Partly cloudy',
+        minTemperature: 17.9,
+        maxTemperature: 26.1,
+        avgTemperature: 21.5,
+        chanceOfRain: 20,
+        astronomy: { sunrise: '04:26 AM', sunset: '06:52 PM' }
+      });
+      expect(report.forecast[0].hourly.map((hour) => hour.time)).toEqual(['00:00', '12:00']);
+      expect(report.forecast[1].hourly[0]).toEqual({
+        time: '00:00',
+        condition: 'Slight rain',
+        temperature: 17.5,
+        feelsLike: 17,
+        chanceOfRain: 70,
+        windSpeed: 8,
+        humidity: 90
+      });
+    });
+
+    test('uses coordinates without geocoding', async () => {
+      const provider = createOpenMeteoProvider(openMeteoOptions());
+
+      const report = await provider.getReport('35.68,139.69');
+
+      expect(requests.map((url) => url.pathname)).toEqual(['/om/v1/forecast']);
+      expect(requests[0].searchParams.get('latitude')).toBe('35.68');
+      expect(report.location).toEqual({ name: '', region: '', country: '', latitude: 35.68, longitude: 139.69 });
+    });
+
+    test('does not support airport codes or the IP location', async () => {
+      const provider = createOpenMeteoProvider(openMeteoOptions());
+
+      await expect(provider.getReport('NRT')).rejects.toThrow('City not found: NRT (Open-Meteo does not know airport codes)');
+      await expect(provider.getReport('@here')).rejects.toThrow('Open-Meteo cannot locate by IP address');
+      expect(requests).toEqual([]);
+    });
+
+    test('throws error when the city cannot be geocoded', async () => {
+      const provider = createOpenMeteoProvider(openMeteoOptions());
+
+      await expect(provider.getReport('Atlantis')).rejects.toThrow('City not found: Atlantis');
+    });
+
+    test('throws error when the forecast is malformed', () => {
+      expect(() => parseOpenMeteoReport(geocodingPayload.results[0], {}))
+        .toThrow('Malformed weather data at current: expected an object');
+      expect(() => parseOpenMeteoReport(geocodingPayload.results[0], { current: { temperature_2m: 'hot' } }))
+        .toThrow('Malformed weather data at current.temperature_2m: expected a number, got "hot"');
+    });
+  });
+
+  describe('getReportFromProviders', () => {
+    test('uses the first provider that succeeds', async () => {
+      const providers = [
+        createWttrProvider({ baseUrl: `${baseUrl}/down`, retry: { retries: 0 } }),
+        createOpenMeteoProvider(openMeteoOptions())
+      ];
+
+      const report = await getReportFromProviders('Tokyo', providers);
+
+      expect(report.provider).toBe('open-meteo');
+      expect(report.current.temperature).toBe(24.3);
+    });
+
+    test('does not call later providers after a success', async () => {
+      const providers = [
+        createWttrProvider({ baseUrl: `${baseUrl}/wttr` }),
+        createOpenMeteoProvider(openMeteoOptions())
+      ];
+
+      const report = await getReportFromProviders('Tokyo', providers);
+
+      expect(report.provider).toBe('wttr');
+      expect(requests).toHaveLength(1);
+    });
+
+    test('reports every failure when all providers fail', async () => {
+      const providers = [
+        createWttrProvider({ baseUrl: `${baseUrl}/down`, retry: { retries: 0 } }),
+        createOpenMeteoProvider(openMeteoOptions())
+      ];
+
+      const error = await getReportFromProviders('Atlantis', providers).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.errors).toHaveLength(2);
+      expect(error.message).toBe(
+        'All weather providers failed (wttr: API error: 503 - Service Unavailable; open-meteo: City not found: Atlantis)'
+      );
+    });
+
+    test('rethrows the error of a single provider unchanged', async () => {
+      const providers = [createWttrProvider({ baseUrl: `${baseUrl}/down`, retry: { retries: 0 } })];
+
+      await expect(getReportFromProviders('Tokyo', providers)).rejects.toThrow('API error: 503 - Service Unavailable');
+    });
+
+    test('validates the city before calling any provider', async () => {
+      await expect(getReportFromProviders('  ', createProviders(DEFAULT_PROVIDERS))).rejects.toThrow('City name is required');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('parseProviderList', () => {
+    test('accepts comma-separated names and arrays', () => {
+      expect(parseProviderList('open-meteo,wttr,open-meteo')).toEqual(['open-meteo', 'wttr']);
+      expect(parseProviderList(['wttr'])).toEqual(['wttr']);
+    });
+
+    test('rejects empty and unknown lists', () => {
+      expect(() => parseProviderList(' , ')).toThrow('At least one provider is required');
+      expect(() => parseProviderList('wttr,foo')).toThrow('Unknown provider: foo');
+    });
+  });
+
+  describe('createProviders', () => {
+    test('passes per-provider options to each factory', async () => {
+      const [provider] = createProviders(['wttr'], { wttr: { baseUrl: `${baseUrl}/wttr` } });
+
+      await provider.getReport('Tokyo');
+
+      expect(requests[0].pathname).toBe('/wttr/Tokyo');
+    });
+  });
+});
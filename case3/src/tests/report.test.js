@@ -0,0 +1,210 @@
+const { parseWeatherReport, formatLocation, upcomingHours, WeatherDataError, METRIC_UNITS } = require('../utils/report');
+
+describe('report module', () => {
+  const makePayload = () => ({
+    current_condition: [
+      {
+        temp_C: '20',
+        FeelsLikeC: '19',
+        humidity: '65',
+        windspeedKmph: '11',
+        winddir16Point: 'NW',
+        pressure: '1012',
+        precipMM: '0.1',
+        visibility: '10',
+        uvIndex: '5',
+        cloudcover: '25',
+        observation_time: '03:00 AM',
+        localObsDateTime: '2025-06-01 12:00 PM',
+        weatherDesc: [{ value: 'Partly cloudy ' }]
+      }
+    ],
+    nearest_area: [
+      {
+        areaName: [{ value: 'Hiroshima' }],
+        region: [{ value: 'Hirosima' }],
+        country: [{ value: 'Japan' }],
+        latitude: '34.396',
+        longitude: '132.459'
+      }
+    ],
+    weather: [
+      {
+        date: '2025-06-01',
+        mintempC: '16',
+        maxtempC: '25',
+        avgtempC: '21',
+        astronomy: [{ sunrise: '05:02 AM', sunset: '07:20 PM', moonrise: '10:01 AM', moonset: '11:55 PM', moon_phase: 'Waxing Crescent' }],
+        hourly: [
+          { time: '0', tempC: '17', FeelsLikeC: '17', chanceofrain: '0', windspeedKmph: '5', humidity: '80', weatherDesc: [{ value: 'Clear' }] },
+          { time: '1200', tempC: '24', FeelsLikeC: '26', chanceofrain: '30', windspeedKmph: '12', humidity: '55', weatherDesc: [{ value: 'Sunny' }] }
+        ]
+      }
+    ]
+  });
+
+  describe('parseWeatherReport', () => {
+    test('converts a j1 payload into a normalized report', () => {
+      expect(parseWeatherReport(makePayload())).toEqual({
+        location: { name: 'Hiroshima', region: 'Hirosima', country: 'Japan', latitude: 34.396, longitude: 132.459 },
+        units: METRIC_UNITS,
+        current: {
+          condition: 'Partly cloudy',
+          temperature: 20,
+          feelsLike: 19,
+          humidity: 65,
+          windSpeed: 11,
+          windDirection: 'NW',
+          pressure: 1012,
+          precipitation: 0.1,
+          visibility: 10,
+          uvIndex: 5,
+          cloudCover: 25,
+          observedAt: '03:00 AM',
+          localTime: '2025-06-01 12:00'
+        },
+        forecast: [
+          {
+            date: '2025-06-01',
+            condition: 'Sunny',
+            minTemperature: 16,
+            maxTemperature: 25,
+            avgTemperature: 21,
+            chanceOfRain: 30,
+            astronomy: { sunrise: '05:02 AM', sunset: '07:20 PM', moonrise: '10:01 AM', moonset: '11:55 PM', moonPhase: 'Waxing Crescent' },
+            hourly: [
+              { time: '00:00', condition: 'Clear', temperature: 17, feelsLike: 17, chanceOfRain: 0, windSpeed: 5, humidity: 80 },
+              { time: '12:00', condition: 'Sunny', temperature: 24, feelsLike: 26, chanceOfRain: 30, windSpeed: 12, humidity: 55 }
+            ]
+          }
+        ]
+      });
+    });
+
+    test('fills optional fields with defaults', () => {
+      const payload = makePayload();
+      delete payload.nearest_area;
+      delete payload.weather;
+      delete payload.current_condition[0].pressure;
+      delete payload.current_condition[0].weatherDesc;
+
+      const report = parseWeatherReport(payload);
+
+      expect(report.location).toEqual({ name: '', region: '', country: '', latitude: null, longitude: null });
+      expect(report.forecast).toEqual([]);
+      expect(report.current.pressure).toBeNull();
+      expect(report.current.condition).toBe('Unknown');
+    });
+
+    test('uses localized descriptions for the requested language', () => {
+      const payload = makePayload();
+      payload.current_condition[0].lang_ja = [{ value: '晴れ' }];
+      payload.weather[0].hourly[1].lang_ja = [{ value: '快晴' }];
+
+      const report = parseWeatherReport(payload, { lang: 'JA' });
+
+      expect(report.current.condition).toBe('晴れ');
+      expect(report.forecast[0].hourly[1].condition).toBe('快晴');
+      expect(report.forecast[0].hourly[0].condition).toBe('Clear');
+      expect(parseWeatherReport(payload).current.condition).toBe('Partly cloudy');
+    });
+
+    test('returns units that callers cannot use to mutate the defaults', () => {
+      parseWeatherReport(makePayload()).units.temperature = '°F';
+
+      expect(METRIC_UNITS.temperature).toBe('°C');
+    });
+
+    test('throws WeatherDataError when the payload is not an object', () => {
+      expect(() => parseWeatherReport(null)).toThrow(WeatherDataError);
+      expect(() => parseWeatherReport([])).toThrow('Malformed weather data: expected a JSON object');
+      expect(() => parseWeatherReport('<html>')).toThrow(WeatherDataError);
+    });
+
+    test('throws WeatherDataError when current conditions are missing', () => {
+      const payload = makePayload();
+      payload.current_condition = [];
+
+      expect(() => parseWeatherReport(payload))
+        .toThrow('Malformed weather data at current_condition: expected a non-empty array');
+    });
+
+    test('reports the path of a missing required field', () => {
+      const payload = makePayload();
+      delete payload.current_condition[0].temp_C;
+
+      let error;
+      try {
+        parseWeatherReport(payload);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(WeatherDataError);
+      expect(error.path).toBe('current_condition[0].temp_C');
+      expect(error.message).toBe('Malformed weather data at current_condition[0].temp_C: missing value');
+    });
+
+    test('reports the path of a non-numeric field', () => {
+      const payload = makePayload();
+      payload.weather[0].hourly[1].tempC = 'warm';
+
+      expect(() => parseWeatherReport(payload))
+        .toThrow('Malformed weather data at weather[0].hourly[1].tempC: expected a number, got "warm"');
+    });
+
+    test('reads the local observation time in 24-hour form', () => {
+      const payload = makePayload();
+      payload.current_condition[0].localObsDateTime = '2025-06-01 12:05 AM';
+      expect(parseWeatherReport(payload).current.localTime).toBe('2025-06-01 00:05');
+
+      payload.current_condition[0].localObsDateTime = 'yesterday';
+      expect(parseWeatherReport(payload).current.localTime).toBe('');
+    });
+
+    test('rejects a forecast that is not an array', () => {
+      const payload = makePayload();
+      payload.weather = {};
+
+      expect(() => parseWeatherReport(payload)).toThrow('Malformed weather data at weather: expected an array');
+    });
+  });
+
+  describe('upcomingHours', () => {
+    const makeReport = (localObsDateTime) => {
+      const payload = makePayload();
+      payload.current_condition[0].localObsDateTime = localObsDateTime;
+      payload.weather.push({ ...payload.weather[0], date: '2025-06-02' });
+      return parseWeatherReport(payload);
+    };
+    const list = (report) => upcomingHours(report).map(({ date, hour, offset }) => [`${date} ${hour.time}`, offset]);
+
+    test('starts at the current local hour', () => {
+      expect(list(makeReport('2025-06-01 12:40 PM'))).toEqual([
+        ['2025-06-01 12:00', 0],
+        ['2025-06-02 00:00', 12],
+        ['2025-06-02 12:00', 24]
+      ]);
+      expect(list(makeReport('2025-06-01 01:00 PM'))[0]).toEqual(['2025-06-02 00:00', 11]);
+    });
+
+    test('counts from the first midnight without a local time', () => {
+      expect(list(makeReport(undefined))).toEqual([
+        ['2025-06-01 00:00', 0],
+        ['2025-06-01 12:00', 12],
+        ['2025-06-02 00:00', 24],
+        ['2025-06-02 12:00', 36]
+      ]);
+    });
+  });
+
+  describe('formatLocation', () => {
+    test('joins name, region and country', () => {
+      expect(formatLocation({ name: 'Paris', region: 'Texas', country: 'United States of America' }))
+        .toBe('Paris, Texas, United States of America');
+      expect(formatLocation({ name: 'Tokyo', region: 'Tokyo', country: 'Japan' })).toBe('Tokyo, Japan');
+      expect(formatLocation({ name: 'Hiroshima', country: 'Japan' })).toBe('Hiroshima, Japan');
+      expect(formatLocation({ name: 'Hiroshima', country: '' })).toBe('Hiroshima');
+      expect(formatLocation({ name: '', country: '' })).toBe('');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const http = require('http');
+const { createWeatherServer, coalesce, statusFor, BadRequestError } = require('../utils/serve');
+const {
+  WeatherTimeoutError,
+  WeatherApiError,
+  WeatherNetworkError,
+  CityNotFoundError,
+  WeatherDataError,
+  InvalidLocationError
+} = require('../utils/errors');
+const { parseWeatherReport } = require('../utils/report');
+
+const report = parseWeatherReport({
+  current_condition: [
+    { temp_C: '20', FeelsLikeC: '19', humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+  ],
+  nearest_area: [{ areaName: [{ value: 'Tokyo' }], country: [{ value: 'Japan' }] }],
+  weather: ['2025-06-01', '2025-06-02', '2025-06-03'].map((date) => ({
+    date,
+    mintempC: '18',
+    maxtempC: '26',
+    hourly: [{ time: '1200', tempC: '24', chanceofrain: '10', weatherDesc: [{ value: 'Sunny' }] }]
+  }))
+});
+
+/**
+ * Sends a request to the test server
+ * @param {http.Server} server - Listening server
+ * @param {string} path - Request path
+ * @param {string} [method='GET'] - HTTP method
+ * @returns {Promise<{status: number, headers: object, body: *}>} Response with the parsed JSON body
+ */
+function request(server, path, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, host: '127.0.0.1', path, method }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('serve module', () => {
+  describe('coalesce', () => {
+    test('shares one call between concurrent calls with the same key', async () => {
+      let resolveCall;
+      const fn = jest.fn(() => new Promise((resolve) => { resolveCall = resolve; }));
+      const wrapped = coalesce(fn, (city) => city.toLowerCase());
+
+      const first = wrapped('Tokyo');
+      const second = wrapped('tokyo');
+      await Promise.resolve();
+      expect(wrapped.inFlight()).toBe(1);
+      resolveCall('report');
+
+      await expect(Promise.all([first, second])).resolves.toEqual(['report', 'report']);
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(wrapped.inFlight()).toBe(0);
+    });
+
+    test('starts a new call once the previous one settled', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce('report');
+      const wrapped = coalesce(fn, (city) => city);
+
+      await expect(wrapped('Tokyo')).rejects.toThrow('Network error');
+      await expect(wrapped('Tokyo')).resolves.toBe('report');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('statusFor', () => {
+    test('maps every error type to an HTTP status', () => {
+      expect(statusFor(new BadRequestError('bad'))).toBe(400);
+      expect(statusFor(new CityNotFoundError('Nowhere'))).toBe(404);
+      expect(statusFor(new WeatherApiError(500, 'Internal Server Error'))).toBe(502);
+      expect(statusFor(new WeatherApiError(429, 'Too Many Requests'))).toBe(503);
+      expect(statusFor(new WeatherNetworkError('ECONNREFUSED'))).toBe(502);
+      expect(statusFor(new WeatherDataError('Invalid data', 'current_condition'))).toBe(502);
+      expect(statusFor(new WeatherTimeoutError())).toBe(504);
+      expect(statusFor(new Error('boom'))).toBe(500);
+    });
+
+    test('uses the shared status of every provider error, or 502', () => {
+      expect(statusFor(new AggregateError([new CityNotFoundError('a'), new CityNotFoundError('b')]))).toBe(404);
+      expect(statusFor(new AggregateError([new CityNotFoundError('a'), new WeatherTimeoutError()]))).toBe(502);
+    });
+  });
+
+  describe('createWeatherServer', () => {
+    let server;
+    let getReport;
+
+    beforeEach(async () => {
+      getReport = jest.fn(async () => report);
+      server = createWeatherServer({ getReport: (...args) => getReport(...args) });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('GET /healthz reports ok', async () => {
+      const res = await request(server, '/healthz');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(res.body).toEqual({ status: 'ok' });
+    });
+
+    test('GET /weather/:city returns the normalized report', async () => {
+      const res = await request(server, '/weather/New%20York?units=imperial&lang=JA');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(JSON.parse(JSON.stringify(report)));
+      expect(getReport).toHaveBeenCalledWith('New York', { units: 'imperial', lang: 'ja' });
+    });
+
+    test('GET /forecast/:city returns the requested number of days', async () => {
+      const res = await request(server, '/forecast/Tokyo?days=2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.location).toEqual(report.location);
+      expect(res.body.units).toEqual(report.units);
+      expect(res.body.forecast.map((day) => day.date)).toEqual(['2025-06-01', '2025-06-02']);
+      expect(getReport).toHaveBeenCalledWith('Tokyo', { units: 'metric', lang: 'en' });
+    });
+
+    test('concurrent requests for the same city share one lookup', async () => {
+      let resolveLookup;
+      getReport = jest.fn(() => new Promise((resolve) => { resolveLookup = resolve; }));
+
+      const responses = Promise.all([
+        request(server, '/weather/Tokyo'),
+        request(server, '/weather/tokyo'),
+        request(server, '/forecast/TOKYO')
+      ]);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      resolveLookup(report);
+
+      expect((await responses).map((res) => res.status)).toEqual([200, 200, 200]);
+      expect(getReport).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects invalid query parameters with 400', async () => {
+      const units = await request(server, '/weather/Tokyo?units=kelvin');
+      const days = await request(server, '/forecast/Tokyo?days=7');
+
+      expect(units.status).toBe(400);
+      expect(units.body.error).toEqual({ type: 'BadRequestError', message: 'Unknown units: kelvin. Expected one of metric, imperial, si' });
+      expect(days.status).toBe(400);
+      expect(getReport).not.toHaveBeenCalled();
+    });
+
+    test('rejects malformed locations and the IP location with 400', async () => {
+      getReport = jest.fn().mockRejectedValue(new InvalidLocationError('Latitude must be between -90 and 90, got 91'));
+
+      const coordinates = await request(server, '/weather/91,0');
+      const here = await request(server, '/weather/@here');
+
+      expect(coordinates.status).toBe(400);
+      expect(coordinates.body.error.type).toBe('InvalidLocationError');
+      expect(here.status).toBe(400);
+      expect(here.body.error.message).toBe('@here is not available over HTTP');
+    });
+
+    test('returns the lookup error with its status', async () => {
+      getReport = jest.fn().mockRejectedValue(new CityNotFoundError('Atlantis'));
+
+      const res = await request(server, '/weather/Atlantis');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.type).toBe('CityNotFoundError');
+    });
+
+    test('passes on the upstream Retry-After delay when rate limited', async () => {
+      getReport = jest.fn().mockRejectedValue(new WeatherApiError(429, 'Too Many Requests', { retryAfterMs: 2500 }));
+
+      const res = await request(server, '/weather/Tokyo');
+
+      expect(res.status).toBe(503);
+      expect(res.headers['retry-after']).toBe('3');
+    });
+
+    test('hides the message of unexpected errors', async () => {
+      getReport = jest.fn().mockRejectedValue(new TypeError('Cannot read properties of undefined'));
+
+      const res = await request(server, '/weather/Tokyo');
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toEqual({ type: 'TypeError', message: 'Internal server error' });
+    });
+
+    test('answers unknown routes with 404 and other methods with 405', async () => {
+      const missing = await request(server, '/weather');
+      const post = await request(server, '/weather/Tokyo', 'POST');
+
+      expect(missing.status).toBe(404);
+      expect(post.status).toBe(405);
+      expect(post.headers.allow).toBe('GET, HEAD');
+    });
+  });
+});
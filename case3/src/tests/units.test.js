@@ -0,0 +1,90 @@
+const { convertReport, getUnitSystem, toCelsius, UNIT_NAMES } = require('../utils/units');
+const { parseWeatherReport, METRIC_UNITS } = require('../utils/report');
+
+describe('units module', () => {
+  const report = parseWeatherReport({
+    current_condition: [
+      {
+        temp_C: '20',
+        FeelsLikeC: '19',
+        humidity: '65',
+        windspeedKmph: '36',
+        winddir16Point: 'NW',
+        pressure: '1013',
+        precipMM: '2.54',
+        visibility: '10',
+        weatherDesc: [{ value: 'Partly cloudy' }]
+      }
+    ],
+    weather: [
+      {
+        date: '2025-06-01',
+        mintempC: '-5',
+        maxtempC: '25',
+        hourly: [
+          { time: '1200', tempC: '24', FeelsLikeC: '26', chanceofrain: '30', windspeedKmph: '18', weatherDesc: [{ value: 'Sunny' }] }
+        ]
+      }
+    ]
+  });
+
+  describe('convertReport', () => {
+    test('returns metric reports unchanged', () => {
+      expect(convertReport(report, 'metric')).toBe(report);
+    });
+
+    test('converts every measurement to imperial units', () => {
+      const imperial = convertReport(report, 'imperial');
+
+      expect(imperial.units).toEqual({ temperature: '°F', speed: 'mph', pressure: 'inHg', precipitation: 'in', visibility: 'mi' });
+      expect(imperial.current).toMatchObject({
+        temperature: 68,
+        feelsLike: 66.2,
+        windSpeed: 22.4,
+        pressure: 29.9,
+        precipitation: 0.1,
+        visibility: 6.2,
+        uvIndex: null,
+        humidity: 65
+      });
+      expect(imperial.forecast[0]).toMatchObject({ minTemperature: 23, maxTemperature: 77, avgTemperature: null });
+      expect(imperial.forecast[0].hourly[0]).toMatchObject({ temperature: 75.2, feelsLike: 78.8, windSpeed: 11.2 });
+    });
+
+    test('converts wind speed to m/s for SI units', () => {
+      const si = convertReport(report, 'si');
+
+      expect(si.units.speed).toBe('m/s');
+      expect(si.current.windSpeed).toBe(10);
+      expect(si.current.temperature).toBe(20);
+      expect(si.forecast[0].hourly[0].windSpeed).toBe(5);
+    });
+
+    test('does not modify the input report', () => {
+      convertReport(report, 'imperial');
+
+      expect(report.units).toEqual(METRIC_UNITS);
+      expect(report.current.temperature).toBe(20);
+    });
+
+    test('rejects unknown unit systems and non-metric input', () => {
+      expect(() => convertReport(report, 'kelvin')).toThrow('Unknown units: kelvin. Expected one of metric, imperial, si');
+      expect(() => convertReport(convertReport(report, 'imperial'), 'si'))
+        .toThrow('Expected a metric report, got temperature in °F');
+    });
+  });
+
+  test('getUnitSystem returns the units of a system', () => {
+    expect(getUnitSystem('metric')).toEqual(METRIC_UNITS);
+    expect(() => getUnitSystem('toString')).toThrow('Unknown units: toString');
+  });
+
+  test('toCelsius converts Fahrenheit and passes Celsius through', () => {
+    expect(toCelsius(86, '°F')).toBe(30);
+    expect(toCelsius(30, '°C')).toBe(30);
+  });
+
+  test('exports the supported unit systems', () => {
+    expect(UNIT_NAMES).toEqual(['metric', 'imperial', 'si']);
+  });
+});
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  watchWeather,
+  toSample,
+  diffSamples,
+  appendHistory,
+  nextDelay,
+  getHistoryPath,
+  MAX_BACKOFF_MS
+} = require('../utils/watch');
+const { parseWeatherReport } = require('../utils/report');
+const {
+  WeatherNetworkError,
+  WeatherApiError,
+  CityNotFoundError,
+  LocationMismatchError,
+  EXIT_CODES,
+  exitCodeFor
+} = require('../utils/errors');
+
+/**
+ * Builds a report with the given current conditions and today's rain chance
+ * @param {string} condition - Weather description
+ * @param {number} temp - Temperature in Celsius
+ * @param {number} rain - Chance of rain in percent
+ * @returns {import('../utils/report').WeatherReport} Report
+ */
+function makeReport(condition, temp, rain) {
+  return parseWeatherReport({
+    current_condition: [
+      { temp_C: String(temp), FeelsLikeC: String(temp), humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: condition }] }
+    ],
+    nearest_area: [{ areaName: [{ value: 'Tokyo' }], country: [{ value: 'Japan' }] }],
+    weather: [
+      {
+        date: '2025-06-01',
+        mintempC: '18',
+        maxtempC: '26',
+        hourly: [{ time: '1200', tempC: '24', chanceofrain: String(rain), weatherDesc: [{ value: condition }] }]
+      }
+    ]
+  });
+}
+
+describe('watch module', () => {
+  const NOW = Date.parse('2025-06-01T03:00:00Z');
+
+  describe('toSample', () => {
+    test('keeps the values watch mode compares', () => {
+      expect(toSample(makeReport('Sunny', 20, 10), NOW)).toEqual({
+        time: '2025-06-01T03:00:00.000Z',
+        location: 'Tokyo, Japan',
+        condition: 'Sunny',
+        temperature: 20,
+        feelsLike: 20,
+        chanceOfRain: 10,
+        unit: '°C'
+      });
+    });
+
+    test('uses null for the rain chance without a forecast', () => {
+      const report = { ...makeReport('Sunny', 20, 10), forecast: [] };
+
+      expect(toSample(report, NOW).chanceOfRain).toBeNull();
+    });
+  });
+
+  describe('diffSamples', () => {
+    const first = toSample(makeReport('Sunny', 20, 10), NOW);
+
+    test('describes every value for the first sample', () => {
+      expect(diffSamples(null, first)).toEqual(['Condition: Sunny', 'Temperature: 20°C', 'Rain chance: 10%']);
+    });
+
+    test('lists only the values that changed', () => {
+      expect(diffSamples(first, toSample(makeReport('Light rain', 18.5, 60), NOW))).toEqual([
+        'Condition: Sunny → Light rain',
+        'Temperature: 20°C → 18.5°C (-1.5)',
+        'Rain chance: 10% → 60%'
+      ]);
+      expect(diffSamples(first, toSample(makeReport('Sunny', 22, 10), NOW))).toEqual(['Temperature: 20°C → 22°C (+2)']);
+    });
+
+    test('returns nothing when nothing changed', () => {
+      expect(diffSamples(first, toSample(makeReport('Sunny', 20, 10), NOW + 600_000))).toEqual([]);
+    });
+  });
+
+  describe('nextDelay', () => {
+    test('doubles the interval for every consecutive failure', () => {
+      expect(nextDelay(60_000, 0)).toBe(60_000);
+      expect(nextDelay(60_000, 1)).toBe(120_000);
+      expect(nextDelay(60_000, 3)).toBe(480_000);
+    });
+
+    test('caps the delay at MAX_BACKOFF_MS, or the interval when that is longer', () => {
+      expect(nextDelay(600_000, 10)).toBe(MAX_BACKOFF_MS);
+      expect(nextDelay(2 * MAX_BACKOFF_MS, 3)).toBe(2 * MAX_BACKOFF_MS);
+    });
+  });
+
+  describe('history', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-watch-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('appendHistory writes one JSON object per line', async () => {
+      const file = path.join(dir, 'state', 'history.jsonl');
+
+      await appendHistory(file, { n: 1 });
+      await appendHistory(file, { n: 2 });
+
+      expect(fs.readFileSync(file, 'utf8')).toBe('{"n":1}\n{"n":2}\n');
+    });
+
+    test('getHistoryPath uses XDG_STATE_HOME when set', () => {
+      expect(getHistoryPath({ XDG_STATE_HOME: '/tmp/state' })).toBe(path.join('/tmp/state', 'weather', 'history.jsonl'));
+      expect(getHistoryPath({})).toBe(path.join(os.homedir(), '.local', 'state', 'weather', 'history.jsonl'));
+    });
+
+    describe('watchWeather', () => {
+      /**
+       * Runs watchWeather over a scripted sequence of poll outcomes
+       * @param {Array<object|Error>} outcomes - Report to return or error to throw, per poll
+       * @param {object} [options] - Extra watchWeather options
+       * @returns {Promise<object>} Totals, waits, samples and errors seen
+       */
+      async function run(outcomes, options = {}) {
+        const controller = new AbortController();
+        const waits = [];
+        const samples = [];
+        const errors = [];
+        let poll = 0;
+        const totals = await watchWeather({
+          fetchReport: async () => {
+            const outcome = outcomes[poll++];
+            if (outcome instanceof Error) throw outcome;
+            return outcome;
+          },
+          intervalMs: 60_000,
+          signal: controller.signal,
+          now: () => NOW + poll * 60_000,
+          wait: async (ms) => {
+            waits.push(ms);
+            if (poll >= outcomes.length) controller.abort();
+          },
+          onSample: (sample, changes) => samples.push(changes),
+          onError: (error, retryInMs) => errors.push([error.message, retryInMs]),
+          ...options
+        });
+        return { totals, waits, samples, errors };
+      }
+
+      test('reports changes and records every sample', async () => {
+        const historyFile = path.join(dir, 'history.jsonl');
+
+        const { totals, samples } = await run([
+          makeReport('Sunny', 20, 10),
+          makeReport('Sunny', 20, 10),
+          makeReport('Cloudy', 19, 10)
+        ], { historyFile });
+
+        expect(totals).toEqual({ samples: 3, failures: 0 });
+        expect(samples).toEqual([
+          ['Condition: Sunny', 'Temperature: 20°C', 'Rain chance: 10%'],
+          [],
+          ['Condition: Sunny → Cloudy', 'Temperature: 20°C → 19°C (-1)']
+        ]);
+        const lines = fs.readFileSync(historyFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        expect(lines.map((line) => line.condition)).toEqual(['Sunny', 'Sunny', 'Cloudy']);
+        expect(lines[0].time).toBe('2025-06-01T03:01:00.000Z');
+      });
+
+      test('backs off while polls fail and resets after a success', async () => {
+        const { totals, waits, errors, samples } = await run([
+          makeReport('Sunny', 20, 10),
+          new WeatherNetworkError('ECONNRESET'),
+          new WeatherApiError(503, 'Service Unavailable'),
+          makeReport('Sunny', 21, 10)
+        ]);
+
+        expect(totals).toEqual({ samples: 2, failures: 2 });
+        expect(waits).toEqual([60_000, 120_000, 240_000, 60_000]);
+        expect(errors).toEqual([
+          ['Network error: Unable to reach weather API', 120_000],
+          ['API error: 503 - Service Unavailable', 240_000]
+        ]);
+        expect(samples[1]).toEqual(['Temperature: 20°C → 21°C (+1)']);
+      });
+
+      test.each([
+        ['an unknown city', new CityNotFoundError('Atlantis'), EXIT_CODES.cityNotFound],
+        ['a strict location mismatch', new LocationMismatchError('Paris, France', 'Paris, Texas'), EXIT_CODES.locationMismatch],
+        ['a client error', new WeatherApiError(400, 'Bad Request'), EXIT_CODES.api]
+      ])('stops retrying after %s', async (_, error, exitCode) => {
+        const outcomes = [makeReport('Sunny', 20, 10), error, makeReport('Sunny', 21, 10)];
+        const onError = jest.fn();
+
+        const thrown = await run(outcomes, { onError }).catch((e) => e);
+
+        expect(thrown).toBe(error);
+        expect(exitCodeFor(thrown)).toBe(exitCode);
+        expect(onError).not.toHaveBeenCalled();
+      });
+
+      test('stops without waiting for a poll in flight', async () => {
+        const controller = new AbortController();
+        const onSample = jest.fn();
+
+        const watching = watchWeather({
+          fetchReport: () => new Promise(() => {}),
+          intervalMs: 60_000,
+          signal: controller.signal,
+          onSample
+        });
+        controller.abort();
+
+        await expect(watching).resolves.toEqual({ samples: 0, failures: 0 });
+        expect(onSample).not.toHaveBeenCalled();
+      });
+
+      test('does not poll when the signal is already aborted', async () => {
+        const fetchReport = jest.fn();
+        const controller = new AbortController();
+        controller.abort();
+
+        await watchWeather({ fetchReport, intervalMs: 60_000, signal: controller.signal });
+
+        expect(fetchReport).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -1,5 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
-const { fetchWeather, WTTR_BASE_URL } = require('../utils/weather');
+const { createCache } = require('../utils/cache');
+const { CityNotFoundError, WeatherTimeoutError, LocationMismatchError, EXIT_CODES } = require('../utils/errors');
+const { parseAlert: parseAlertRule } = require('../utils/alerts');
+const {
+  fetchWeather,
+  getWeatherReport,
+  getWeatherReports,
+  findLocationMismatch,
+  warnIfMismatched,
+  exitCodeForResults,
+  parseCityList,
+  resolveCities,
+  parseConcurrency,
+  parseInterval,
+  parseHours,
+  parseWidth,
+  collectAlert,
+  applyAlerts,
+  parseDays,
+  parseProviders,
+  parseLang,
+  formatCacheStats,
+  WTTR_BASE_URL
+} = require('../utils/weather');
 
 jest.mock('axios');
 
@@ -73,6 +99,48 @@ describe('weather module', () => {
         );
       });
 
+      test('requests localized descriptions for other languages', async () => {
+        axios.get.mockResolvedValue({ data: mockWeatherData });
+
+        await fetchWeather('Hiroshima', { lang: 'ja' });
+
+        expect(axios.get).toHaveBeenCalledWith(
+          `${WTTR_BASE_URL}/Hiroshima?format=j1&lang=ja`,
+          expect.any(Object)
+        );
+      });
+
+      test('requests coordinates, airport codes and the IP location', async () => {
+        axios.get.mockResolvedValue({ data: mockWeatherData });
+
+        await fetchWeather('35.68, 139.69');
+        await fetchWeather('NRT');
+        await fetchWeather('@here');
+
+        expect(axios.get.mock.calls.map(([url]) => url)).toEqual([
+          `${WTTR_BASE_URL}/35.68%2C139.69?format=j1`,
+          `${WTTR_BASE_URL}/NRT?format=j1`,
+          `${WTTR_BASE_URL}/?format=j1`
+        ]);
+      });
+
+      test('searches three-letter city names instead of reading them as airports', async () => {
+        axios.get.mockResolvedValue({ data: mockWeatherData });
+
+        await fetchWeather('Rio');
+        await fetchWeather('goa');
+
+        expect(axios.get.mock.calls.map(([url]) => url)).toEqual([
+          `${WTTR_BASE_URL}/~Rio?format=j1`,
+          `${WTTR_BASE_URL}/~goa?format=j1`
+        ]);
+      });
+
+      test('rejects coordinates out of range', async () => {
+        await expect(fetchWeather('91,0')).rejects.toThrow('Latitude must be between -90 and 90');
+        expect(axios.get).not.toHaveBeenCalled();
+      });
+
       test('encodes special characters in city name', async () => {
         axios.get.mockResolvedValue({ data: mockWeatherData });
 
@@ -103,6 +171,21 @@ describe('weather module', () => {
         await expect(fetchWeather('InvalidCity')).rejects.toThrow('API error: 404 - Not Found');
       });
 
+      test('reports a 404 as an unknown city without retrying', async () => {
+        axios.get.mockRejectedValue({
+          response: {
+            status: 404,
+            statusText: 'Not Found'
+          }
+        });
+
+        const error = await fetchWeather('Atlantis').catch((e) => e);
+
+        expect(error).toBeInstanceOf(CityNotFoundError);
+        expect(error.city).toBe('Atlantis');
+        expect(axios.get).toHaveBeenCalledTimes(1);
+      });
+
       test('throws timeout error when request times out', async () => {
         axios.get.mockRejectedValue({
           code: 'ECONNABORTED'
@@ -128,6 +211,502 @@ describe('weather module', () => {
     });
   });
 
+  describe('getWeatherReport', () => {
+    test('returns a normalized report for valid city', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          current_condition: [
+            { temp_C: '20', FeelsLikeC: '19', humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+          ],
+          nearest_area: [{ areaName: [{ value: 'Hiroshima' }], country: [{ value: 'Japan' }] }]
+        }
+      });
+
+      const report = await getWeatherReport('Hiroshima');
+
+      expect(report.location.name).toBe('Hiroshima');
+      expect(report.current.temperature).toBe(20);
+      expect(report.current.condition).toBe('Sunny');
+      expect(report.provider).toBe('wttr');
+    });
+
+    test('converts units and localizes descriptions', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          current_condition: [
+            {
+              temp_C: '20',
+              FeelsLikeC: '19',
+              humidity: '60',
+              windspeedKmph: '8',
+              weatherDesc: [{ value: 'Sunny' }],
+              lang_ja: [{ value: '晴れ' }]
+            }
+          ]
+        }
+      });
+
+      const report = await getWeatherReport('Hiroshima', { providers: ['wttr'], units: 'imperial', lang: 'ja' });
+
+      expect(report.units.temperature).toBe('°F');
+      expect(report.current.temperature).toBe(68);
+      expect(report.current.condition).toBe('晴れ');
+      expect(axios.get).toHaveBeenCalledWith(`${WTTR_BASE_URL}/Hiroshima?format=j1&lang=ja`, expect.any(Object));
+    });
+
+    test('fails in strict mode when the provider resolves another location', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          current_condition: [
+            { temp_C: '20', FeelsLikeC: '19', humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+          ],
+          nearest_area: [{ areaName: [{ value: 'Paris' }], region: [{ value: 'Texas' }], country: [{ value: 'United States of America' }] }]
+        }
+      });
+
+      await expect(getWeatherReport('Paris, France', { providers: ['wttr'] })).resolves.toMatchObject({ provider: 'wttr' });
+      const error = await getWeatherReport('Paris, France', { providers: ['wttr'], strict: true }).catch((e) => e);
+      expect(error).toBeInstanceOf(LocationMismatchError);
+      expect(error.message).toBe('Location mismatch: "Paris, France" resolved to Paris, Texas, United States of America');
+      await expect(getWeatherReport('Paris, Texas', { providers: ['wttr'], strict: true })).resolves.toBeDefined();
+    });
+
+    describe('strict mode with geocoding', () => {
+      const paris = { name: 'Paris', admin1: 'Île-de-France', country: 'France', country_code: 'FR', latitude: 48.85, longitude: 2.35 };
+      const parisTexas = { name: 'Paris', admin1: 'Texas', country: 'United States', country_code: 'US', latitude: 33.66, longitude: -95.56 };
+      const rio = { name: 'Rio de Janeiro', admin1: 'Rio de Janeiro', country: 'Brazil', country_code: 'BR', latitude: -22.91, longitude: -43.18 };
+
+      /**
+       * Answers geocoding requests with places and wttr.in requests with a report for a resolved area
+       * @param {object[]} places - Geocoding results
+       * @param {object} area - nearest_area entry of the wttr.in report
+       */
+      function mockLookup(places, area) {
+        axios.get.mockImplementation(async (url) => {
+          if (url.startsWith('https://geocoding-api.open-meteo.com')) {
+            return { data: { results: places } };
+          }
+          return {
+            data: {
+              current_condition: [
+                { temp_C: '20', FeelsLikeC: '19', humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+              ],
+              nearest_area: [area]
+            }
+          };
+        });
+      }
+      const area = (name, region, country, latitude, longitude) => ({
+        areaName: [{ value: name }],
+        region: [{ value: region }],
+        country: [{ value: country }],
+        latitude: String(latitude),
+        longitude: String(longitude)
+      });
+
+      test('rejects Paris resolving to Paris, Texas even though the name matches', async () => {
+        mockLookup([paris, parisTexas], area('Paris', 'Texas', 'United States of America', 33.66, -95.56));
+
+        const error = await getWeatherReport('Paris', { providers: ['wttr'], strict: true }).catch((e) => e);
+
+        expect(error).toBeInstanceOf(LocationMismatchError);
+        expect(error.message).toBe('Location mismatch: "Paris" resolved to Paris, Texas, United States of America');
+        await expect(getWeatherReport('Paris, US', { providers: ['wttr'], strict: true })).resolves.toBeDefined();
+      });
+
+      test('warns without --strict when a same-named city in another country is returned', async () => {
+        mockLookup([paris, parisTexas], area('Paris', 'Texas', 'United States of America', 33.66, -95.56));
+        const warn = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+          const report = await getWeatherReport('Paris', { providers: ['wttr'] });
+          await warnIfMismatched('Paris', report, { providers: ['wttr'] });
+
+          expect(warn).toHaveBeenCalledWith('Warning: "Paris" resolved to Paris, Texas, United States of America');
+        } finally {
+          warn.mockRestore();
+        }
+      });
+
+      test('compares names for the warning when geocoding fails', async () => {
+        const report = { location: { name: 'Paris', region: 'Texas', country: 'United States of America', latitude: 33.66, longitude: -95.56 } };
+        axios.get.mockRejectedValue({ code: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND' });
+
+        await expect(findLocationMismatch('Paris', report, { retry: { retries: 0 }, lenient: true })).resolves.toBeNull();
+        await expect(findLocationMismatch('Paris, France', report, { retry: { retries: 0 }, lenient: true }))
+          .resolves.toBe('Paris, Texas, United States of America');
+        await expect(findLocationMismatch('Paris', report, { retry: { retries: 0 } })).rejects.toThrow('Network error');
+      });
+
+      test('accepts Rio as a city resolving near the geocoded place', async () => {
+        mockLookup([rio], area('Rio De Janeiro', 'Rio de Janeiro', 'Brazil', -22.9, -43.23));
+
+        const report = await getWeatherReport('Rio', { providers: ['wttr'], strict: true });
+
+        expect(report.location.name).toBe('Rio De Janeiro');
+        expect(axios.get).toHaveBeenCalledWith(`${WTTR_BASE_URL}/~Rio?format=j1`, expect.any(Object));
+      });
+    });
+
+    test('throws error when API response is malformed', async () => {
+      axios.get.mockResolvedValue({ data: { current_condition: 'oops' } });
+
+      await expect(getWeatherReport('Hiroshima', { providers: ['wttr'] }))
+        .rejects.toThrow('Malformed weather data at current_condition');
+    });
+  });
+
+  describe('getWeatherReports', () => {
+    const payloadFor = (temp) => ({
+      current_condition: [
+        { temp_C: String(temp), FeelsLikeC: String(temp), humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+      ]
+    });
+
+    test('reports failures per city without stopping the others', async () => {
+      axios.get.mockImplementation(async (url) => {
+        if (url.includes('Atlantis')) {
+          throw { response: { status: 404, statusText: 'Not Found' } };
+        }
+        return { data: payloadFor(url.includes('Tokyo') ? 25 : 10) };
+      });
+
+      const results = await getWeatherReports(['Tokyo', 'Atlantis', 'Oslo'], { providers: ['wttr'] });
+
+      expect(results.map((result) => result.city)).toEqual(['Tokyo', 'Atlantis', 'Oslo']);
+      expect(results[0].report.current.temperature).toBe(25);
+      expect(results[1].error).toBeInstanceOf(CityNotFoundError);
+      expect(results[2].report.current.temperature).toBe(10);
+    });
+
+    test('looks up cities that differ only in case or spacing once', async () => {
+      axios.get.mockResolvedValue({ data: payloadFor(20) });
+
+      const results = await getWeatherReports(['Tokyo', ' tokyo ', 'New  York', 'new york'], { providers: ['wttr'] });
+
+      expect(results.map((result) => result.city)).toEqual(['Tokyo', 'New  York']);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('limits the number of lookups in flight', async () => {
+      let active = 0;
+      let peak = 0;
+      axios.get.mockImplementation(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return { data: payloadFor(20) };
+      });
+
+      await getWeatherReports(['A', 'B', 'C', 'D', 'E'], { providers: ['wttr'], concurrency: 2 });
+
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('exitCodeForResults', () => {
+    test('returns 0 when every city succeeded', () => {
+      expect(exitCodeForResults([{ city: 'Tokyo', report: {} }])).toBe(0);
+    });
+
+    test('returns the partial failure code when some cities failed', () => {
+      expect(exitCodeForResults([
+        { city: 'Tokyo', report: {} },
+        { city: 'Atlantis', error: new CityNotFoundError('Atlantis') }
+      ])).toBe(EXIT_CODES.partial);
+    });
+
+    test('returns the code of the failures when every city failed', () => {
+      expect(exitCodeForResults([
+        { city: 'Tokyo', error: new WeatherTimeoutError() },
+        { city: 'Oslo', error: new WeatherTimeoutError() }
+      ])).toBe(EXIT_CODES.timeout);
+    });
+  });
+
+  describe('city lists', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-cities-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('parseCityList skips blank lines and comments', () => {
+      expect(parseCityList('Tokyo\r\n\n# Europe\n  Oslo  \nNew York\n')).toEqual(['Tokyo', 'Oslo', 'New York']);
+    });
+
+    test('resolveCities appends cities from the file to the arguments', async () => {
+      const file = path.join(dir, 'cities.txt');
+      fs.writeFileSync(file, 'Oslo\nLima\n');
+
+      await expect(resolveCities(['Tokyo'], { file })).resolves.toEqual(['Tokyo', 'Oslo', 'Lima']);
+    });
+
+    test('resolveCities requires at least one city', async () => {
+      const file = path.join(dir, 'empty.txt');
+      fs.writeFileSync(file, '# nothing yet\n');
+
+      await expect(resolveCities([], { file })).rejects.toThrow('At least one city is required (pass cities or --file');
+      await expect(resolveCities([])).rejects.toThrow('At least one city is required');
+    });
+
+    test('resolveCities expands favorites and falls back to the default city', async () => {
+      const config = { favorites: { home: 'Hiroshima', work: 'Osaka' } };
+
+      await expect(resolveCities(['@home', 'Tokyo', '@work'], { config })).resolves.toEqual(['Hiroshima', 'Tokyo', 'Osaka']);
+      await expect(resolveCities([], { config, defaultCity: '@work' })).resolves.toEqual(['Osaka']);
+      await expect(resolveCities(['Oslo'], { defaultCity: 'Lima' })).resolves.toEqual(['Oslo']);
+      await expect(resolveCities(['@gym'], { config })).rejects.toThrow('Unknown favorite: @gym');
+    });
+
+    test('resolveCities uses the IP location for --here and @here', async () => {
+      await expect(resolveCities([], { here: true, defaultCity: 'Lima' })).resolves.toEqual(['@here']);
+      await expect(resolveCities(['@Here'], { config: { favorites: {} } })).resolves.toEqual(['@here']);
+      await expect(resolveCities(['Oslo'], { here: true })).rejects.toThrow('--here cannot be combined with cities');
+    });
+
+    test('resolveCities upper-cases airport codes for --airport', async () => {
+      await expect(resolveCities(['nrt', ' cdg '], { airport: true })).resolves.toEqual(['NRT', 'CDG']);
+      await expect(resolveCities(['Tokyo'], { airport: true })).rejects.toThrow('Airport codes have three letters, got "Tokyo"');
+      await expect(resolveCities([], { here: true, airport: true })).rejects.toThrow('--here cannot be combined with --airport');
+    });
+  });
+
+  describe('getWeatherReport with cache', () => {
+    const weatherData = {
+      current_condition: [
+        { temp_C: '20', FeelsLikeC: '19', humidity: '60', windspeedKmph: '8', weatherDesc: [{ value: 'Sunny' }] }
+      ]
+    };
+    let dir;
+    let now;
+    let cache;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-test-'));
+      now = 1_700_000_000_000;
+      cache = createCache({ dir, ttlMs: 60_000, now: () => now });
+      axios.get.mockResolvedValue({ data: weatherData });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('serves a fresh cached report without a request', async () => {
+      const first = await getWeatherReport('Hiroshima', { cache });
+      const second = await getWeatherReport('  hiroshima ', { cache });
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(first.cachedAt).toBeUndefined();
+      expect(second).toEqual({ ...first, cachedAt: new Date(now).toISOString(), stale: false });
+    });
+
+    test('still returns the report when the cache cannot be written', async () => {
+      const file = path.join(dir, 'not-a-dir');
+      fs.writeFileSync(file, '');
+      const brokenCache = createCache({ dir: path.join(file, 'cache'), now: () => now });
+      const onCacheError = jest.fn();
+
+      const report = await getWeatherReport('Hiroshima', { cache: brokenCache, onCacheError });
+
+      expect(report.current.temperature).toBe(20);
+      expect(onCacheError).toHaveBeenCalledWith(expect.objectContaining({ code: 'ENOTDIR' }));
+    });
+
+    test('warns on stderr by default when the cache cannot be written', async () => {
+      const file = path.join(dir, 'not-a-dir');
+      fs.writeFileSync(file, '');
+      const brokenCache = createCache({ dir: path.join(file, 'cache'), now: () => now });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        await expect(getWeatherReport('Hiroshima', { cache: brokenCache })).resolves.toBeDefined();
+        expect(errorSpy).toHaveBeenCalledTimes(1);
+        expect(errorSpy.mock.calls[0][0]).toMatch(/^Warning: could not write the cache: .*ENOTDIR/);
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+
+    test('refetches once the cached report is stale', async () => {
+      await getWeatherReport('Hiroshima', { cache });
+      now += 60_000;
+
+      const report = await getWeatherReport('Hiroshima', { cache });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(report.stale).toBeUndefined();
+    });
+
+    test('caches each unit system and language separately', async () => {
+      await getWeatherReport('Hiroshima', { cache });
+      const imperial = await getWeatherReport('Hiroshima', { cache, units: 'imperial' });
+      const cached = await getWeatherReport('Hiroshima', { cache, units: 'imperial' });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(imperial.current.temperature).toBe(68);
+      expect(cached.current.temperature).toBe(68);
+    });
+
+    test('serves stale data in offline mode', async () => {
+      await getWeatherReport('Hiroshima', { cache });
+      now += 3_600_000;
+
+      const report = await getWeatherReport('Hiroshima', { cache, offline: true });
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(report.stale).toBe(true);
+      expect(report.current.temperature).toBe(20);
+    });
+
+    test('throws error in offline mode when nothing is cached', async () => {
+      await expect(getWeatherReport('Hiroshima', { cache, offline: true }))
+        .rejects.toThrow('No cached weather for "Hiroshima" (offline mode)');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('throws error in offline mode without a cache', async () => {
+      await expect(getWeatherReport('Hiroshima', { offline: true })).rejects.toThrow('Offline mode requires the cache');
+    });
+  });
+
+  describe('formatCacheStats', () => {
+    test('formats one statistic per line', () => {
+      expect(formatCacheStats({
+        dir: '/tmp/weather',
+        entries: 3,
+        fresh: 2,
+        stale: 1,
+        bytes: 1200,
+        oldest: '2025-06-01T00:00:00.000Z',
+        newest: null
+      })).toBe([
+        'Directory: /tmp/weather',
+        'Entries:   3 (2 fresh, 1 stale)',
+        'Size:      1200 bytes',
+        'Oldest:    2025-06-01T00:00:00.000Z',
+        'Newest:    -'
+      ].join('\n'));
+    });
+  });
+
+  describe('parseProviders', () => {
+    test('parses an ordered provider list', () => {
+      expect(parseProviders('open-meteo, wttr')).toEqual(['open-meteo', 'wttr']);
+    });
+
+    test('rejects unknown providers', () => {
+      expect(() => parseProviders('metoffice')).toThrow('Unknown provider: metoffice. Expected one of wttr, open-meteo.');
+    });
+  });
+
+  describe('parseLang', () => {
+    test('accepts language codes and lower-cases them', () => {
+      expect(parseLang('ja')).toBe('ja');
+      expect(parseLang('zh-TW')).toBe('zh-tw');
+    });
+
+    test('rejects values that are not language codes', () => {
+      expect(() => parseLang('japanese')).toThrow('Must be a language code such as en, ja or zh-tw.');
+      expect(() => parseLang('ja&format=3')).toThrow('Must be a language code such as en, ja or zh-tw.');
+    });
+  });
+
+  describe('alert options', () => {
+    const report = {
+      location: { name: 'Tokyo', region: '', country: '', latitude: null, longitude: null },
+      units: { temperature: '°C', speed: 'km/h', pressure: 'hPa', precipitation: 'mm', visibility: 'km' },
+      current: { condition: 'Sunny', temperature: 35, feelsLike: 38, humidity: 50, windSpeed: 10 },
+      forecast: []
+    };
+
+    test('collectAlert accumulates rules', () => {
+      const rules = collectAlert('humidity>90', collectAlert('temp_C>30', []));
+
+      expect(rules.map((rule) => rule.expression)).toEqual(['temp_C>30', 'humidity>90']);
+      expect(() => collectAlert('temp_C', [])).toThrow('Invalid alert: "temp_C"');
+    });
+
+    test('applyAlerts returns alert lines and reports in the display units', () => {
+      const results = [
+        { city: 'Tokyo', report },
+        { city: 'Atlantis', error: new CityNotFoundError('Atlantis') }
+      ];
+
+      const applied = applyAlerts(results, [parseAlertRule('temp_C>30')], 'imperial');
+
+      expect(applied.alerts).toEqual(['ALERT Tokyo: temp_C>30 matched at current (35)']);
+      expect(applied.results[0].report.current.temperature).toBe(95);
+      expect(applied.results[1]).toBe(results[1]);
+    });
+
+    test('applyAlerts leaves results untouched without rules', () => {
+      const results = [{ city: 'Tokyo', report }];
+
+      expect(applyAlerts(results, [], 'imperial')).toEqual({ results, alerts: [] });
+    });
+  });
+
+  describe('parseInterval', () => {
+    test('parses durations of at least 30 seconds', () => {
+      expect(parseInterval('30s')).toBe(30_000);
+      expect(parseInterval('10m')).toBe(600_000);
+    });
+
+    test('rejects shorter or invalid intervals', () => {
+      expect(() => parseInterval('10s')).toThrow('Must be at least 30s.');
+      expect(() => parseInterval('often')).toThrow('Invalid duration: often');
+    });
+  });
+
+  describe('chart options', () => {
+    test('parseHours accepts 24 to 72 hours', () => {
+      expect(parseHours('24')).toBe(24);
+      expect(parseHours('72')).toBe(72);
+      expect(() => parseHours('12')).toThrow('Must be an integer between 24 and 72.');
+      expect(() => parseHours('96')).toThrow('Must be an integer between 24 and 72.');
+    });
+
+    test('parseWidth requires at least 20 columns', () => {
+      expect(parseWidth('120')).toBe(120);
+      expect(() => parseWidth('10')).toThrow('Must be an integer of at least 20.');
+      expect(() => parseWidth('wide')).toThrow('Must be an integer of at least 20.');
+    });
+  });
+
+  describe('parseConcurrency', () => {
+    test('accepts integers from 1 to 16', () => {
+      expect(parseConcurrency('1')).toBe(1);
+      expect(parseConcurrency('16')).toBe(16);
+    });
+
+    test('rejects values outside 1 to 16', () => {
+      expect(() => parseConcurrency('0')).toThrow('Must be an integer between 1 and 16.');
+      expect(() => parseConcurrency('17')).toThrow('Must be an integer between 1 and 16.');
+      expect(() => parseConcurrency('two')).toThrow('Must be an integer between 1 and 16.');
+    });
+  });
+
+  describe('parseDays', () => {
+    test('accepts integers from 1 to 3', () => {
+      expect(parseDays('1')).toBe(1);
+      expect(parseDays('3')).toBe(3);
+    });
+
+    test('rejects values outside 1 to 3', () => {
+      expect(() => parseDays('0')).toThrow('Must be an integer between 1 and 3.');
+      expect(() => parseDays('4')).toThrow('Must be an integer between 1 and 3.');
+      expect(() => parseDays('1.5')).toThrow('Must be an integer between 1 and 3.');
+      expect(() => parseDays('abc')).toThrow('Must be an integer between 1 and 3.');
+    });
+  });
+
   describe('module exports', () => {
     test('exports fetchWeather function', () => {
       expect(typeof fetchWeather).toBe('function');
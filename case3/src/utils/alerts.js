@@ -0,0 +1,134 @@
+const { METRIC_UNITS, upcomingHours } = require('./report');
+const { convertValue } = require('./units');
+
+// Alert fields use wttr.in's j1 names. Each maps to a WeatherReport field and
+// the unit the threshold is given in; `null` means the value is unit-less.
+const ALERT_FIELDS = {
+  temp_C: { key: 'temperature', unit: '°C' },
+  temp_F: { key: 'temperature', unit: '°F' },
+  FeelsLikeC: { key: 'feelsLike', unit: '°C' },
+  FeelsLikeF: { key: 'feelsLike', unit: '°F' },
+  humidity: { key: 'humidity', unit: null },
+  windspeedKmph: { key: 'windSpeed', unit: 'km/h' },
+  windspeedMiles: { key: 'windSpeed', unit: 'mph' },
+  chanceofrain: { key: 'chanceOfRain', unit: null },
+  precipMM: { key: 'precipitation', unit: 'mm' },
+  pressure: { key: 'pressure', unit: 'hPa' },
+  visibility: { key: 'visibility', unit: 'km' },
+  uvIndex: { key: 'uvIndex', unit: null },
+  cloudcover: { key: 'cloudCover', unit: null }
+};
+
+const ALERT_FIELD_NAMES = Object.keys(ALERT_FIELDS);
+
+const OPERATORS = {
+  '>=': (value, threshold) => value >= threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '!=': (value, threshold) => value !== threshold,
+  '==': (value, threshold) => value === threshold,
+  '>': (value, threshold) => value > threshold,
+  '<': (value, threshold) => value < threshold
+};
+
+const MAX_LISTED_MATCHES = 3;
+
+/**
+ * @typedef {object} AlertRule
+ * @property {string} expression - Rule as written, without spaces, e.g. "temp_C>30"
+ * @property {string} field - Field name from ALERT_FIELD_NAMES
+ * @property {string} operator - One of >, >=, <, <=, ==, !=
+ * @property {number} threshold - Value to compare against
+ */
+
+/**
+ * @typedef {object} AlertMatch
+ * @property {AlertRule} rule - Rule that matched
+ * @property {Array<{when: string, value: number}>} matches - "current" or "YYYY-MM-DD HH:MM", with the compared value
+ */
+
+/**
+ * Parses an alert expression such as "temp_C>30" or "chanceofrain >= 70"
+ *
+ * Field names are matched case-insensitively.
+ * @param {string} expression - Alert expression
+ * @returns {AlertRule} Parsed rule
+ * @throws {Error} If the expression is malformed or names an unknown field
+ */
+function parseAlert(expression) {
+  const text = String(expression).replace(/\s+/g, '');
+  const match = /^([A-Za-z_]+)(>=|<=|!=|==|>|<)(-?\d+(?:\.\d+)?)$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid alert: "${expression}". Use <field><operator><number>, e.g. temp_C>30`);
+  }
+  const field = ALERT_FIELD_NAMES.find((name) => name.toLowerCase() === match[1].toLowerCase());
+  if (!field) {
+    throw new Error(`Unknown alert field: ${match[1]}. Expected one of ${ALERT_FIELD_NAMES.join(', ')}`);
+  }
+  const operator = match[2];
+  const threshold = Number(match[3]);
+  return { expression: `${field}${operator}${threshold}`, field, operator, threshold };
+}
+
+/**
+ * Reads the value an alert field compares from a report entry
+ * @param {object} entry - Current conditions or an hourly entry of a metric report
+ * @param {string} field - Field name from ALERT_FIELD_NAMES
+ * @returns {number|null} Value in the field's unit, or null when the entry has none
+ */
+function readField(entry, field) {
+  const { key, unit } = ALERT_FIELDS[field];
+  const value = entry[key];
+  if (typeof value !== 'number') return null;
+  return unit === null ? value : convertValue(value, unit);
+}
+
+/**
+ * Evaluates alert rules against the current conditions and the hourly forecast entries still ahead
+ *
+ * Hourly entries before the location's current local hour are skipped, since they have already passed.
+ * @param {import('./report').WeatherReport} report - Report in METRIC_UNITS
+ * @param {AlertRule[]} rules - Rules to evaluate
+ * @returns {AlertMatch[]} Rules that matched at least once, in the order given
+ * @throws {Error} If the report is not metric
+ */
+function evaluateAlerts(report, rules) {
+  if (report.units.temperature !== METRIC_UNITS.temperature || report.units.speed !== METRIC_UNITS.speed) {
+    throw new Error('Alerts must be evaluated against a metric report');
+  }
+  const entries = [
+    { when: 'current', entry: report.current },
+    ...upcomingHours(report).map(({ date, hour }) => ({ when: `${date} ${hour.time}`, entry: hour }))
+  ];
+
+  const results = [];
+  for (const rule of rules) {
+    const matches = [];
+    for (const { when, entry } of entries) {
+      const value = readField(entry, rule.field);
+      if (value !== null && OPERATORS[rule.operator](value, rule.threshold)) {
+        matches.push({ when, value });
+      }
+    }
+    if (matches.length > 0) {
+      results.push({ rule, matches });
+    }
+  }
+  return results;
+}
+
+/**
+ * Formats matched alerts, one line per rule
+ * @param {AlertMatch[]} alerts - Output of evaluateAlerts
+ * @param {string} [city] - City the alerts are for, when several are printed
+ * @returns {string} Alert lines, or an empty string when nothing matched
+ */
+function formatAlerts(alerts, city) {
+  const prefix = city ? `${city}: ` : '';
+  return alerts.map(({ rule, matches }) => {
+    const listed = matches.slice(0, MAX_LISTED_MATCHES).map(({ when, value }) => `${when} (${value})`).join(', ');
+    const more = matches.length > MAX_LISTED_MATCHES ? ` and ${matches.length - MAX_LISTED_MATCHES} more` : '';
+    return `ALERT ${prefix}${rule.expression} matched at ${listed}${more}`;
+  }).join('\n');
+}
+
+module.exports = { parseAlert, evaluateAlerts, formatAlerts, ALERT_FIELD_NAMES };
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Resolves the directory used for cached responses
+ * @param {object} [env=process.env] - Environment variables
+ * @returns {string} $XDG_CACHE_HOME/weather, or ~/.cache/weather
+ */
+function getCacheDir(env = process.env) {
+  const base = env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'weather');
+}
+
+/**
+ * Builds the cache key for a weather query
+ * @param {object} query
+ * @param {string} query.city - City as typed by the user
+ * @param {string} [query.units='metric'] - Unit system
+ * @param {string} [query.lang='en'] - Language code
+ * @returns {string} Key that is the same for equivalent queries
+ */
+function cacheKey({ city, units = 'metric', lang = 'en' }) {
+  const normalizedCity = city.trim().replace(/\s+/g, ' ').toLowerCase();
+  return `${normalizedCity}|${units}|${lang.toLowerCase()}`;
+}
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {*} value - Cached value
+ * @property {number} storedAt - Time the value was stored, in ms since the epoch
+ * @property {boolean} fresh - Whether the entry is younger than the TTL
+ */
+
+/**
+ * Creates a JSON file cache with one file per key
+ * @param {object} [options]
+ * @param {string} [options.dir=getCacheDir()] - Directory holding the cache files
+ * @param {number} [options.ttlMs=DEFAULT_CACHE_TTL_MS] - Age after which entries are stale
+ * @param {() => number} [options.now=Date.now] - Clock, for tests
+ * @returns {{get: (key: string) => Promise<CacheEntry|null>, set: (key: string, value: *) => Promise<void>, clear: () => Promise<number>, stats: () => Promise<object>, dir: string, ttlMs: number}}
+ *   Cache instance
+ */
+function createCache({ dir = getCacheDir(), ttlMs = DEFAULT_CACHE_TTL_MS, now = Date.now } = {}) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  /**
+   * Reads every cache file, skipping ones that are unreadable
+   * @returns {Promise<Array<{file: string, size: number, storedAt: number}>>} Entries found on disk
+   */
+  async function listEntries() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const entries = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const file = path.join(dir, name);
+      try {
+        const text = await fs.promises.readFile(file, 'utf8');
+        entries.push({ file, size: Buffer.byteLength(text), storedAt: JSON.parse(text).storedAt });
+      } catch {
+        // Ignore files that vanished or were corrupted since readdir
+      }
+    }
+    return entries;
+  }
+
+  return {
+    dir,
+    ttlMs,
+
+    async get(key) {
+      let record;
+      try {
+        record = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch {
+        return null;
+      }
+      if (!record || record.key !== key || typeof record.storedAt !== 'number') {
+        return null;
+      }
+      return { value: record.value, storedAt: record.storedAt, fresh: now() - record.storedAt < ttlMs };
+    },
+
+    async set(key, value) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(tmpFile, JSON.stringify({ key, storedAt: now(), value }));
+        await fs.promises.rename(tmpFile, file);
+      } catch (error) {
+        await fs.promises.rm(tmpFile, { force: true }).catch(() => {});
+        throw error;
+      }
+    },
+
+    async clear() {
+      const entries = await listEntries();
+      await Promise.all(entries.map(({ file }) => fs.promises.rm(file, { force: true })));
+      return entries.length;
+    },
+
+    async stats() {
+      const entries = await listEntries();
+      const times = entries.map((entry) => entry.storedAt);
+      const fresh = times.filter((storedAt) => now() - storedAt < ttlMs).length;
+      return {
+        dir,
+        ttlMs,
+        entries: entries.length,
+        fresh,
+        stale: entries.length - fresh,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        oldest: times.length ? new Date(Math.min(...times)).toISOString() : null,
+        newest: times.length ? new Date(Math.max(...times)).toISOString() : null
+      };
+    }
+  };
+}
+
+module.exports = { createCache, cacheKey, getCacheDir, DEFAULT_CACHE_TTL_MS };
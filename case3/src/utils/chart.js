@@ -0,0 +1,201 @@
+const { formatLocation, upcomingHours } = require('./report');
+const { paint, temperatureStyle } = require('./format');
+
+const DEFAULT_CHART_HOURS = 48;
+const MIN_CHART_HOURS = 24;
+const MAX_CHART_HOURS = 72;
+
+/**
+ * Characters used to draw charts
+ *
+ * `levels` fills one cell from empty to full, so a cell can show
+ * `levels.length - 1` steps of a bar.
+ */
+const CHARSETS = {
+  unicode: { levels: [' ', '▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'], axis: '│', corner: '└', rule: '─' },
+  ascii: { levels: [' ', '.', ':', '#'], axis: '|', corner: '+', rule: '-' }
+};
+
+/**
+ * @typedef {object} ChartPoint
+ * @property {string} date - Date in YYYY-MM-DD
+ * @property {string} time - Time of day in HH:MM
+ * @property {number} temperature - Air temperature
+ * @property {number} chanceOfRain - Chance of rain in percent
+ */
+
+/**
+ * Decides whether the terminal can be expected to draw Unicode block characters
+ * @param {object} [env=process.env] - Environment variables
+ * @param {string} [platform=process.platform] - Operating system
+ * @returns {boolean} True for UTF-8 locales and modern Windows terminals
+ */
+function supportsUnicode(env = process.env, platform = process.platform) {
+  if (env.TERM === 'dumb') return false;
+  if (platform === 'win32') {
+    return Boolean(env.WT_SESSION) || env.TERM_PROGRAM === 'vscode';
+  }
+  return /utf-?8/i.test(env.LC_ALL || env.LC_CTYPE || env.LANG || '');
+}
+
+/**
+ * Collects the hourly entries that fall within the next hours at the location
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {number} hours - Number of hours to cover, counted from the location's current local hour
+ *   (or from midnight of the first forecast day when the report has no local time)
+ * @returns {ChartPoint[]} Points in time order
+ */
+function hourlySeries(report, hours) {
+  return upcomingHours(report)
+    .filter(({ offset }) => offset < hours)
+    .map(({ date, hour }) => ({ date, time: hour.time, temperature: hour.temperature, chanceOfRain: hour.chanceOfRain }));
+}
+
+/**
+ * Assigns points to chart columns
+ *
+ * With room to spare every point gets the same number of columns; with too
+ * little room neighbouring points share a column.
+ * @param {number} count - Number of points
+ * @param {number} width - Columns available
+ * @returns {number[][]} Point indexes for each column
+ */
+function layoutColumns(count, width) {
+  const columns = [];
+  if (count <= width) {
+    const span = Math.floor(width / count);
+    for (let i = 0; i < count; i++) {
+      for (let s = 0; s < span; s++) columns.push([i]);
+    }
+    return columns;
+  }
+  for (let c = 0; c < width; c++) {
+    const start = Math.floor((c * count) / width);
+    const end = Math.floor(((c + 1) * count) / width);
+    columns.push(Array.from({ length: end - start }, (_, i) => start + i));
+  }
+  return columns;
+}
+
+/**
+ * Draws one bar chart
+ * @param {number[]} values - Value of each column
+ * @param {object} options
+ * @param {number} options.min - Value drawn as an empty column
+ * @param {number} options.max - Value drawn as a full column
+ * @param {number} options.height - Rows of the chart
+ * @param {{levels: string[], axis: string}} options.charset - Characters to draw with
+ * @param {[string, string]} options.labels - Labels of the top and bottom rows
+ * @param {number} options.labelWidth - Width the labels are padded to
+ * @param {(value: number) => string[]} options.style - ANSI styles for a column's value
+ * @param {boolean} options.color - Whether to use ANSI colors
+ * @returns {string[]} Rows from top to bottom
+ */
+function drawBars(values, { min, max, height, charset, labels, labelWidth, style, color }) {
+  const steps = charset.levels.length - 1;
+  const units = values.map((value) => (max === min
+    ? Math.round((height * steps) / 2)
+    : Math.round(((value - min) / (max - min)) * height * steps)));
+  const rows = [];
+  for (let row = 0; row < height; row++) {
+    const base = (height - 1 - row) * steps;
+    const label = row === 0 ? labels[0] : row === height - 1 ? labels[1] : '';
+    const cells = units.map((unit, c) => {
+      const level = Math.min(Math.max(unit - base, 0), steps);
+      return level === 0 ? ' ' : paint(charset.levels[level], style(values[c]), color);
+    });
+    rows.push(`${label.padStart(labelWidth)} ${charset.axis}${cells.join('')}`.trimEnd());
+  }
+  return rows;
+}
+
+/**
+ * Formats charts of hourly temperature and chance of rain
+ *
+ * Both charts share one time axis that marks the start of every day. The
+ * temperature chart spans the lowest to highest value shown, with the lowest
+ * value kept one step above the axis; the rain chart always spans 0-100%.
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {object} [options]
+ * @param {number} [options.hours=DEFAULT_CHART_HOURS] - Hours to cover, from the location's current local hour
+ * @param {number} [options.width=80] - Terminal width in columns
+ * @param {number} [options.height=5] - Rows of each chart
+ * @param {boolean} [options.unicode=true] - Whether to draw with Unicode blocks instead of plain ASCII
+ * @param {boolean} [options.color=false] - Whether to use ANSI colors
+ * @returns {string} Chart text
+ * @throws {Error} If the report has no hourly forecast
+ */
+function formatChart(report, {
+  hours = DEFAULT_CHART_HOURS,
+  width = 80,
+  height = 5,
+  unicode = true,
+  color = false
+} = {}) {
+  const points = hourlySeries(report, hours);
+  if (points.length === 0) {
+    throw new Error('Weather data has no hourly forecast');
+  }
+  const charset = unicode ? CHARSETS.unicode : CHARSETS.ascii;
+  const unit = report.units.temperature;
+  const temperatures = points.map((point) => point.temperature);
+  const low = Math.min(...temperatures);
+  const high = Math.max(...temperatures);
+  const tempLabels = [`${high}${unit}`, `${low}${unit}`];
+  const labelWidth = Math.max(...tempLabels.map((label) => label.length), '100%'.length);
+
+  const columns = layoutColumns(points.length, Math.max(width - labelWidth - 2, 10));
+  const reduce = (key, pick) => columns.map((indexes) => pick(indexes.map((i) => points[i][key])));
+  const average = (values) => Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+  const step = (high - low) / (height * (charset.levels.length - 1));
+
+  const axis = Array(columns.length).fill(' ');
+  let nextFree = 0;
+  columns.forEach((indexes, c) => {
+    const dayStart = indexes.find((i) => i === 0 || points[i].date !== points[i - 1].date);
+    if (dayStart === undefined || (c > 0 && columns[c - 1].includes(dayStart))) return;
+    const label = points[dayStart].date.slice(5);
+    if (c >= nextFree && c + label.length <= axis.length) {
+      axis.splice(c, label.length, ...label);
+      nextFree = c + label.length + 1;
+    }
+  });
+
+  const lines = [];
+  const location = formatLocation(report.location);
+  lines.push(paint(`${location ? `${location}: ` : ''}${hours} hours from ${points[0].date} ${points[0].time}`, ['bold'], color));
+  lines.push(paint('Temperature', ['dim'], color));
+  lines.push(...drawBars(reduce('temperature', average), {
+    min: low - step,
+    max: high,
+    height,
+    charset,
+    labels: tempLabels,
+    labelWidth,
+    style: (value) => [temperatureStyle(value, unit)],
+    color
+  }));
+  lines.push(paint('Chance of rain', ['dim'], color));
+  lines.push(...drawBars(reduce('chanceOfRain', (values) => Math.max(...values)), {
+    min: 0,
+    max: 100,
+    height,
+    charset,
+    labels: ['100%', '0%'],
+    labelWidth,
+    style: () => ['blue'],
+    color
+  }));
+  lines.push(`${' '.repeat(labelWidth)} ${charset.corner}${charset.rule.repeat(columns.length)}`);
+  lines.push(`${' '.repeat(labelWidth + 2)}${axis.join('')}`.trimEnd());
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatChart,
+  hourlySeries,
+  supportsUnicode,
+  DEFAULT_CHART_HOURS,
+  MIN_CHART_HOURS,
+  MAX_CHART_HOURS
+};
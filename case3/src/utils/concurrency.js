@@ -0,0 +1,27 @@
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {(item: T, index: number) => Promise<R>} fn - Async mapper
+ * @returns {Promise<R[]>} Results in the order of items
+ * @throws {RangeError} If limit is not a positive integer
+ * @throws {*} The first error thrown by fn; calls already started still finish
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new RangeError(`Concurrency must be a positive integer, got ${limit}`);
+  }
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDuration } = require('./duration');
+const { HERE } = require('./location');
+const { parseProviderList } = require('./providers');
+const { UNIT_NAMES } = require('./units');
+const { OUTPUT_FORMATS } = require('./format');
+
+const FAVORITE_PREFIX = 'favorites.';
+const FAVORITE_NAME_PATTERN = /^[\w-]+$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/i;
+
+/**
+ * Builds a validator that only accepts one of a list of values
+ * @param {string[]} choices - Allowed values
+ * @returns {(value: string) => string} Validator
+ */
+function oneOf(choices) {
+  return (value) => {
+    if (!choices.includes(value)) {
+      throw new Error(`Expected one of ${choices.join(', ')}, got ${value}`);
+    }
+    return value;
+  };
+}
+
+/**
+ * Requires a non-empty string and trims it
+ * @param {string} value - Value to check
+ * @returns {string} Trimmed value
+ */
+function nonEmpty(value) {
+  const text = String(value).trim();
+  if (text === '') {
+    throw new Error('Expected a non-empty value');
+  }
+  return text;
+}
+
+// Settings that can be stored in the config file. Every validator returns the
+// value in the form it is stored, and each setting can be overridden by `env`.
+const CONFIG_KEYS = {
+  city: {
+    env: 'WEATHER_CITY',
+    validate: nonEmpty
+  },
+  units: {
+    env: 'WEATHER_UNITS',
+    validate: oneOf(UNIT_NAMES)
+  },
+  lang: {
+    env: 'WEATHER_LANG',
+    validate: (value) => {
+      if (!LANGUAGE_PATTERN.test(value)) {
+        throw new Error('Expected a language code such as en, ja or zh-tw');
+      }
+      return value.toLowerCase();
+    }
+  },
+  format: {
+    env: 'WEATHER_FORMAT',
+    validate: oneOf(OUTPUT_FORMATS)
+  },
+  provider: {
+    env: 'WEATHER_PROVIDER',
+    validate: (value) => parseProviderList(value).join(',')
+  },
+  cacheTtl: {
+    env: 'WEATHER_CACHE_TTL',
+    validate: (value) => {
+      parseDuration(value);
+      return String(value).trim();
+    }
+  },
+  retries: {
+    env: 'WEATHER_RETRIES',
+    validate: (value) => {
+      const retries = Number(value);
+      if (!Number.isInteger(retries) || retries < 0 || retries > 10) {
+        throw new Error(`Expected an integer between 0 and 10, got ${value}`);
+      }
+      return retries;
+    }
+  }
+};
+
+const CONFIG_KEY_NAMES = Object.keys(CONFIG_KEYS);
+
+/**
+ * Resolves the path of the config file
+ * @param {object} [env=process.env] - Environment variables
+ * @returns {string} $WEATHER_CONFIG, $XDG_CONFIG_HOME/weather/config.json, or ~/.config/weather/config.json
+ */
+function getConfigPath(env = process.env) {
+  if (env.WEATHER_CONFIG) return env.WEATHER_CONFIG;
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'weather', 'config.json');
+}
+
+/**
+ * Checks that a key names a setting or a favorite
+ * @param {string} key - Setting name, or "favorites.<name>"
+ * @throws {Error} If the key is unknown or the favorite name is invalid or reserved
+ */
+function assertConfigKey(key) {
+  if (key.startsWith(FAVORITE_PREFIX)) {
+    const name = key.slice(FAVORITE_PREFIX.length);
+    if (!FAVORITE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid favorite name: ${name}. Use letters, digits, "_" and "-"`);
+    }
+    if (`@${name}`.toLowerCase() === HERE) {
+      throw new Error(`Reserved favorite name: ${name}. ${HERE} always means the current location`);
+    }
+  } else if (!Object.hasOwn(CONFIG_KEYS, key)) {
+    throw new Error(`Unknown config key: ${key}. Expected one of ${CONFIG_KEY_NAMES.join(', ')} or favorites.<name>`);
+  }
+}
+
+/**
+ * Validates one config value
+ * @param {string} key - Setting name, or "favorites.<name>"
+ * @param {*} value - Raw value
+ * @returns {string|number} Value in the form it is stored
+ * @throws {Error} If the key is unknown or the value is invalid
+ */
+function normalizeConfigValue(key, value) {
+  assertConfigKey(key);
+  if (key.startsWith(FAVORITE_PREFIX)) {
+    return nonEmpty(value);
+  }
+  try {
+    return CONFIG_KEYS[key].validate(value);
+  } catch (error) {
+    throw new Error(`Invalid value for ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads and validates the config file
+ *
+ * With `onInvalid`, problems are reported to it and the offending part is dropped instead of
+ * thrown, so the `config` subcommands can still repair a broken file.
+ * @param {string} [file=getConfigPath()] - Config file path
+ * @param {object} [options]
+ * @param {(message: string, details: {discarded: boolean}) => void} [options.onInvalid] - Called with each problem's
+ *   message; `discarded` is true when the whole file was unusable and an empty config is returned
+ * @returns {Promise<object>} Stored settings, with favorites under `favorites`; empty when the file does not exist
+ * @throws {Error} If the file is not valid JSON or holds an invalid setting, unless `onInvalid` is given
+ */
+async function loadConfig(file = getConfigPath(), { onInvalid } = {}) {
+  const invalid = (message, discarded = false) => {
+    const text = `Invalid config file ${file}: ${message}`;
+    if (!onInvalid) throw new Error(text);
+    onInvalid(text, { discarded });
+  };
+
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    invalid(error.message, true);
+    return {};
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    invalid('expected a JSON object', true);
+    return {};
+  }
+
+  const config = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key !== 'favorites') {
+      try {
+        config[key] = normalizeConfigValue(key, value);
+      } catch (error) {
+        invalid(error.message);
+      }
+      continue;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      invalid('favorites must be an object');
+      continue;
+    }
+    config.favorites = {};
+    for (const [name, city] of Object.entries(value)) {
+      try {
+        config.favorites[name] = normalizeConfigValue(`${FAVORITE_PREFIX}${name}`, city);
+      } catch (error) {
+        invalid(error.message);
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Writes the config file atomically, creating its directory when needed
+ * @param {object} config - Settings as returned by loadConfig
+ * @param {string} [file=getConfigPath()] - Config file path
+ * @returns {Promise<void>}
+ */
+async function saveConfig(config, file = getConfigPath()) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpFile, `${JSON.stringify(config, null, 2)}\n`);
+  await fs.promises.rename(tmpFile, file);
+}
+
+/**
+ * Returns a copy of the config with one setting changed
+ * @param {object} config - Current settings
+ * @param {string} key - Setting name, or "favorites.<name>"
+ * @param {string} value - Raw value
+ * @returns {object} Updated settings
+ * @throws {Error} If the key is unknown or the value is invalid
+ */
+function setConfigValue(config, key, value) {
+  const normalized = normalizeConfigValue(key, value);
+  if (key.startsWith(FAVORITE_PREFIX)) {
+    return { ...config, favorites: { ...config.favorites, [key.slice(FAVORITE_PREFIX.length)]: normalized } };
+  }
+  return { ...config, [key]: normalized };
+}
+
+/**
+ * Returns a copy of the config without one setting
+ * @param {object} config - Current settings
+ * @param {string} key - Setting name, or "favorites.<name>"
+ * @returns {object} Updated settings
+ * @throws {Error} If the key is unknown
+ */
+function unsetConfigValue(config, key) {
+  assertConfigKey(key);
+  if (key.startsWith(FAVORITE_PREFIX)) {
+    const { [key.slice(FAVORITE_PREFIX.length)]: _, ...favorites } = config.favorites || {};
+    return { ...config, favorites };
+  }
+  const { [key]: _, ...rest } = config;
+  return rest;
+}
+
+/**
+ * Combines stored settings with environment overrides
+ * @param {object} config - Settings as returned by loadConfig
+ * @param {object} [env=process.env] - Environment variables
+ * @returns {Object<string, {value: *, source: string}>} Effective value and its source ("env WEATHER_X" or "config")
+ *   per setting and favorite that has a value
+ * @throws {Error} If an environment override is invalid
+ */
+function resolveSettings(config, env = process.env) {
+  const settings = {};
+  for (const [key, { env: name }] of Object.entries(CONFIG_KEYS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      settings[key] = { value: normalizeConfigValue(key, env[name]), source: `env ${name}` };
+    } else if (config[key] !== undefined) {
+      settings[key] = { value: config[key], source: 'config' };
+    }
+  }
+  for (const [name, city] of Object.entries(config.favorites || {})) {
+    settings[`${FAVORITE_PREFIX}${name}`] = { value: city, source: 'config' };
+  }
+  return settings;
+}
+
+/**
+ * Resolves a city argument, expanding "@name" favorites
+ * @param {string} city - City or "@name"
+ * @param {object} config - Settings as returned by loadConfig
+ * @returns {string} City name
+ * @throws {Error} If the favorite does not exist
+ */
+function resolveFavorite(city, config) {
+  if (typeof city !== 'string' || !city.startsWith('@')) return city;
+  const name = city.slice(1);
+  const favorites = config.favorites || {};
+  if (!Object.hasOwn(favorites, name)) {
+    throw new Error(`Unknown favorite: ${city}. Add it with "weather config set favorites.${name} <city>"`);
+  }
+  return favorites[name];
+}
+
+/**
+ * Parses the contents of a .env file
+ * @param {string} text - File contents
+ * @returns {Object<string, string>} Variables in the file
+ */
+function parseDotEnv(text) {
+  const variables = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) continue;
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    variables[match[1]] = value;
+  }
+  return variables;
+}
+
+/**
+ * Loads WEATHER_* variables from a .env file into the environment
+ *
+ * Variables that are already set win over the file, so the shell can still
+ * override a project's .env.
+ * @param {string} [file='.env'] - Path of the .env file
+ * @param {object} [env=process.env] - Environment to update
+ * @returns {string[]} Names of the variables that were set
+ */
+function loadDotEnv(file = '.env', env = process.env) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const applied = [];
+  for (const [name, value] of Object.entries(parseDotEnv(text))) {
+    if (name.startsWith('WEATHER_') && env[name] === undefined) {
+      env[name] = value;
+      applied.push(name);
+    }
+  }
+  return applied;
+}
+
+module.exports = {
+  getConfigPath,
+  loadConfig,
+  saveConfig,
+  assertConfigKey,
+  normalizeConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  resolveSettings,
+  resolveFavorite,
+  parseDotEnv,
+  loadDotEnv,
+  CONFIG_KEYS,
+  CONFIG_KEY_NAMES,
+  LANGUAGE_PATTERN
+};
@@ -0,0 +1,42 @@
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a duration such as "90s", "10m", "1h" or "500ms"
+ * @param {string|number} value - Duration; a bare number is taken as seconds
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the value is not a non-negative duration
+ */
+function parseDuration(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}. Use a number followed by ms, s, m, h or d (e.g. 10m)`);
+  }
+  return Math.round(Number(match[1]) * UNIT_MS[match[2] || 's']);
+}
+
+/**
+ * Formats a duration compactly, e.g. 5400000 as "1h30m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The non-zero days, hours, minutes and seconds; durations under a second in ms
+ */
+function formatDuration(ms) {
+  if (ms < UNIT_MS.s) return `${Math.round(ms)}ms`;
+  let rest = Math.round(ms / UNIT_MS.s) * UNIT_MS.s;
+  const parts = [];
+  for (const unit of ['d', 'h', 'm', 's']) {
+    const count = Math.floor(rest / UNIT_MS[unit]);
+    if (count > 0) {
+      parts.push(`${count}${unit}`);
+      rest -= count * UNIT_MS[unit];
+    }
+  }
+  return parts.join('');
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,161 @@
+/**
+ * Base class for every error raised while looking up weather
+ */
+class WeatherError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Error thrown when the weather API does not respond in time
+ */
+class WeatherTimeoutError extends WeatherError {
+  constructor(message = 'Request timeout: Weather API did not respond in time') {
+    super(message);
+  }
+}
+
+/**
+ * Error thrown when the weather API answers with an error status
+ */
+class WeatherApiError extends WeatherError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} [statusText] - HTTP status text
+   * @param {object} [options]
+   * @param {number|null} [options.retryAfterMs=null] - Delay requested by a Retry-After header
+   */
+  constructor(status, statusText = '', { retryAfterMs = null } = {}) {
+    super(`API error: ${status} - ${statusText}`);
+    this.status = status;
+    this.statusText = statusText;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Error thrown when the weather API cannot be reached at all
+ */
+class WeatherNetworkError extends WeatherError {
+  /**
+   * @param {string} [code] - Node.js error code such as "ENOTFOUND"
+   */
+  constructor(code) {
+    super('Network error: Unable to reach weather API');
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown when the provider does not know the requested location
+ */
+class CityNotFoundError extends WeatherError {
+  /**
+   * @param {string} city - Location that was requested
+   * @param {string} [detail] - Extra context, e.g. the API error message
+   */
+  constructor(city, detail) {
+    super(detail ? `City not found: ${city} (${detail})` : `City not found: ${city}`);
+    this.city = city;
+  }
+}
+
+/**
+ * Error thrown when a weather API response does not have the expected shape
+ */
+class WeatherDataError extends WeatherError {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {string} [path] - Location of the problem in the payload, e.g. "current_condition[0].temp_C"
+   */
+  constructor(message, path) {
+    super(path ? `Malformed weather data at ${path}: ${message}` : `Malformed weather data: ${message}`);
+    this.path = path;
+  }
+}
+
+/**
+ * Error thrown when a location argument is malformed, e.g. coordinates out of range
+ */
+class InvalidLocationError extends WeatherError {}
+
+/**
+ * Error thrown in strict mode when the provider resolved a different location than requested
+ */
+class LocationMismatchError extends WeatherError {
+  /**
+   * @param {string} requested - Location that was requested
+   * @param {string} resolved - Location the provider returned
+   */
+  constructor(requested, resolved) {
+    super(`Location mismatch: "${requested}" resolved to ${resolved || 'an unnamed location'}`);
+    this.requested = requested;
+    this.resolved = resolved;
+  }
+}
+
+const EXIT_CODES = Object.freeze({
+  general: 1,
+  partial: 2,
+  cityNotFound: 3,
+  api: 4,
+  timeout: 5,
+  network: 6,
+  data: 7,
+  locationMismatch: 8,
+  alert: 10
+});
+
+/**
+ * Picks the process exit code for an error
+ *
+ * When every provider failed, the shared exit code of all failures is used,
+ * falling back to the general code when they differ.
+ * @param {Error} error - Error to map
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  if (error instanceof AggregateError && error.errors.length > 0) {
+    const codes = new Set(error.errors.map(exitCodeFor));
+    return codes.size === 1 ? [...codes][0] : EXIT_CODES.general;
+  }
+  if (error instanceof CityNotFoundError) return EXIT_CODES.cityNotFound;
+  if (error instanceof WeatherApiError) return EXIT_CODES.api;
+  if (error instanceof WeatherTimeoutError) return EXIT_CODES.timeout;
+  if (error instanceof WeatherNetworkError) return EXIT_CODES.network;
+  if (error instanceof WeatherDataError) return EXIT_CODES.data;
+  if (error instanceof LocationMismatchError) return EXIT_CODES.locationMismatch;
+  return EXIT_CODES.general;
+}
+
+/**
+ * Decides whether an error may go away by itself, so trying again later can help
+ *
+ * When every provider failed, the error is transient if any provider's failure was.
+ * @param {Error} error - Error to classify
+ * @returns {boolean} True for network errors, timeouts, rate limiting and 5xx responses
+ */
+function isTransientError(error) {
+  if (error instanceof AggregateError) return error.errors.some(isTransientError);
+  if (error instanceof WeatherNetworkError || error instanceof WeatherTimeoutError) return true;
+  return error instanceof WeatherApiError && (error.status === 429 || error.status >= 500);
+}
+
+module.exports = {
+  WeatherError,
+  WeatherTimeoutError,
+  WeatherApiError,
+  WeatherNetworkError,
+  CityNotFoundError,
+  WeatherDataError,
+  InvalidLocationError,
+  LocationMismatchError,
+  EXIT_CODES,
+  exitCodeFor,
+  isTransientError
+};
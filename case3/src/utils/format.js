@@ -0,0 +1,292 @@
+const { formatLocation } = require('./report');
+const { toCelsius } = require('./units');
+
+const OUTPUT_FORMATS = ['text', 'table', 'oneline', 'json'];
+const FORECAST_FORMATS = ['text', 'json'];
+
+const ANSI = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+// East Asian Wide and Fullwidth characters take two terminal columns
+const WIDE_PATTERN = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u;
+const EMOJI_PATTERN = /\p{Emoji_Presentation}|\uFE0F/u;
+const ZERO_WIDTH_PATTERN = /^[\p{M}\p{Cf}\p{Cc}]*$/u;
+const graphemes = new Intl.Segmenter();
+
+/**
+ * Measures how many terminal columns a string takes
+ *
+ * Counted per grapheme, so emoji sequences and combining marks line up the
+ * way terminals draw them.
+ * @param {string} text - Text without ANSI escape codes
+ * @returns {number} Display width in columns
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const { segment } of graphemes.segment(text)) {
+    if (EMOJI_PATTERN.test(segment) || WIDE_PATTERN.test(String.fromCodePoint(segment.codePointAt(0)))) {
+      width += 2;
+    } else if (!ZERO_WIDTH_PATTERN.test(segment)) {
+      width += 1;
+    }
+  }
+  return width;
+}
+
+/**
+ * Pads text with spaces on the right to a display width
+ * @param {string} text - Text to pad
+ * @param {number} width - Target width in columns
+ * @returns {string} Padded text
+ */
+function padDisplay(text, width) {
+  return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+/**
+ * Wraps text in ANSI style codes when color is enabled
+ * @param {string} text - Text to style
+ * @param {string[]} styles - Keys of ANSI to apply
+ * @param {boolean} color - Whether to emit escape codes at all
+ * @returns {string} Styled (or unchanged) text
+ */
+function paint(text, styles, color) {
+  if (!color || styles.length === 0) return text;
+  return `${styles.map((style) => ANSI[style]).join('')}${text}${ANSI.reset}`;
+}
+
+/**
+ * Picks a color for a temperature
+ * @param {number} value - Temperature
+ * @param {string} unit - Temperature unit of the report, e.g. "°F"
+ * @returns {string} Key of ANSI
+ */
+function temperatureStyle(value, unit) {
+  const tempC = toCelsius(value, unit);
+  if (tempC >= 30) return 'red';
+  if (tempC <= 5) return 'blue';
+  return 'yellow';
+}
+
+/**
+ * Decides whether output written to a stream should be colored
+ * @param {object} [stream=process.stdout] - Output stream
+ * @param {object} [env=process.env] - Environment variables
+ * @returns {boolean} True when the stream is a TTY and NO_COLOR is not set
+ */
+function shouldUseColor(stream = process.stdout, env = process.env) {
+  return Boolean(stream && stream.isTTY) && !env.NO_COLOR;
+}
+
+/**
+ * Formats current conditions as a multi-line summary
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {boolean} color - Whether to use ANSI colors
+ * @returns {string} Summary text
+ */
+function formatText(report, color) {
+  const { current, units } = report;
+  const location = formatLocation(report.location);
+  const lines = [
+    paint(current.condition, ['cyan'], color),
+    `${paint('Temperature:', ['dim'], color)} `
+      + `${paint(`${current.temperature}${units.temperature}`, [temperatureStyle(current.temperature, units.temperature), 'bold'], color)}`
+      + ` (feels like ${paint(`${current.feelsLike}${units.temperature}`, [temperatureStyle(current.feelsLike, units.temperature)], color)})`,
+    `${paint('Humidity:', ['dim'], color)} ${current.humidity}%`,
+    `${paint('Wind:', ['dim'], color)} ${current.windSpeed} ${units.speed} ${current.windDirection}`.trimEnd()
+  ];
+  if (location) {
+    lines.unshift(paint(location, ['bold'], color));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats current conditions as a bordered two-column table
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {boolean} color - Whether to use ANSI colors
+ * @returns {string} Table text
+ */
+function formatTable(report, color) {
+  const { current, units } = report;
+  const rows = [
+    ['Location', formatLocation(report.location)],
+    ['Condition', current.condition],
+    ['Temperature', `${current.temperature}${units.temperature}`],
+    ['Feels like', `${current.feelsLike}${units.temperature}`],
+    ['Humidity', `${current.humidity}%`],
+    ['Wind', `${current.windSpeed} ${units.speed} ${current.windDirection}`.trimEnd()]
+  ].filter(([, value]) => value !== '');
+  const keyWidth = Math.max(...rows.map(([key]) => key.length));
+  const valueWidth = Math.max(...rows.map(([, value]) => displayWidth(value)));
+  const border = `+${'-'.repeat(keyWidth + 2)}+${'-'.repeat(valueWidth + 2)}+`;
+  const body = rows.map(([key, value]) =>
+    `| ${paint(key.padEnd(keyWidth), ['bold'], color)} | ${padDisplay(value, valueWidth)} |`);
+  return [border, ...body, border].join('\n');
+}
+
+/**
+ * Formats current conditions as a single line suitable for status bars
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @returns {string} One-line summary
+ */
+function formatOneline(report) {
+  const { current, units } = report;
+  const location = formatLocation(report.location);
+  const summary = `${current.condition} ${current.temperature}${units.temperature}`
+    + ` (feels ${current.feelsLike}${units.temperature}), ${current.humidity}%, ${current.windSpeed} ${units.speed}`;
+  return location ? `${location}: ${summary}` : summary;
+}
+
+/**
+ * Formats the daily (and optionally hourly) forecast for display
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {object} [options]
+ * @param {number} [options.days=3] - Number of days to show
+ * @param {boolean} [options.hourly=false] - Whether to show a row per hourly entry
+ * @param {'text'|'json'} [options.format='text'] - Output format
+ * @param {boolean} [options.color=false] - Whether to use ANSI colors
+ * @returns {string} Formatted forecast
+ * @throws {Error} If the format is unknown or the report has no forecast
+ */
+function formatForecast(report, { days = 3, hourly = false, format = 'text', color = false } = {}) {
+  if (report.forecast.length === 0) {
+    throw new Error('Weather data has no forecast');
+  }
+  const forecast = report.forecast.slice(0, days);
+  if (format === 'json') {
+    const output = hourly ? forecast : forecast.map(({ hourly: _, ...day }) => day);
+    return JSON.stringify(output, null, 2);
+  }
+  if (format !== 'text') {
+    throw new Error(`Unknown format: ${format}. Expected one of ${FORECAST_FORMATS.join(', ')}`);
+  }
+
+  const unit = report.units.temperature;
+  const lines = [];
+  const location = formatLocation(report.location);
+  if (location) {
+    lines.push(paint(location, ['bold'], color));
+  }
+  for (const day of forecast) {
+    const min = paint(`${day.minTemperature}${unit}`, [temperatureStyle(day.minTemperature, unit)], color);
+    const max = paint(`${day.maxTemperature}${unit}`, [temperatureStyle(day.maxTemperature, unit)], color);
+    lines.push(`${paint(day.date, ['bold'], color)}  ${paint(day.condition, ['cyan'], color)}`);
+    lines.push(`  ${paint('Temp:', ['dim'], color)} ${min} / ${max}`
+      + `  ${paint('Rain:', ['dim'], color)} ${day.chanceOfRain}%`
+      + `  ${paint('Sunrise:', ['dim'], color)} ${day.astronomy.sunrise}`
+      + `  ${paint('Sunset:', ['dim'], color)} ${day.astronomy.sunset}`);
+    if (hourly) {
+      for (const hour of day.hourly) {
+        const temp = paint(`${hour.temperature}${unit}`.padStart(5), [temperatureStyle(hour.temperature, unit)], color);
+        lines.push(`    ${hour.time}  ${temp}  ${`${hour.chanceOfRain}%`.padStart(4)}  ${hour.condition}`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats current conditions for display
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {object} [options]
+ * @param {'text'|'table'|'oneline'|'json'} [options.format='text'] - Output format
+ * @param {boolean} [options.color=false] - Whether to use ANSI colors (ignored by oneline and json)
+ * @returns {string} Formatted output
+ * @throws {Error} If the format is unknown
+ */
+function formatWeather(report, { format = 'text', color = false } = {}) {
+  switch (format) {
+    case 'text':
+      return formatText(report, color);
+    case 'table':
+      return formatTable(report, color);
+    case 'oneline':
+      return formatOneline(report);
+    case 'json':
+      return JSON.stringify(report, null, 2);
+    default:
+      throw new Error(`Unknown format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * @typedef {object} CityResult
+ * @property {string} city - City as given by the user
+ * @property {import('./report').WeatherReport} [report] - Report, when the lookup succeeded
+ * @property {Error} [error] - Error, when the lookup failed
+ */
+
+/**
+ * Formats current conditions of several cities side by side
+ *
+ * Text and table output is a bordered table with one row per successful
+ * city; failed cities are left out and should be reported separately. JSON
+ * output is an object keyed by city, with `{ error }` for failed cities.
+ * @param {CityResult[]} results - Lookup results in display order
+ * @param {object} [options]
+ * @param {'text'|'table'|'oneline'|'json'} [options.format='table'] - Output format
+ * @param {boolean} [options.color=false] - Whether to use ANSI colors (ignored by oneline and json)
+ * @returns {string} Formatted comparison, or an empty string when no text row succeeded
+ * @throws {Error} If the format is unknown
+ */
+function formatComparison(results, { format = 'table', color = false } = {}) {
+  if (format === 'json') {
+    const output = {};
+    for (const { city, report, error } of results) {
+      output[city] = report || { error: error.message };
+    }
+    return JSON.stringify(output, null, 2);
+  }
+  const succeeded = results.filter((result) => result.report);
+  if (format === 'oneline') {
+    return succeeded.map(({ report }) => formatOneline(report)).join('\n');
+  }
+  if (format !== 'text' && format !== 'table') {
+    throw new Error(`Unknown format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (succeeded.length === 0) return '';
+
+  const header = ['City', 'Condition', 'Temp', 'Feels like', 'Humidity', 'Wind'];
+  const rows = succeeded.map(({ city, report: { current, units } }) => [
+    city,
+    current.condition,
+    `${current.temperature}${units.temperature}`,
+    `${current.feelsLike}${units.temperature}`,
+    `${current.humidity}%`,
+    `${current.windSpeed} ${units.speed} ${current.windDirection}`.trimEnd()
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => displayWidth(row[i]))));
+  const border = `+${widths.map((width) => '-'.repeat(width + 2)).join('+')}+`;
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+  const body = rows.map((row, r) => {
+    const { current, units } = succeeded[r].report;
+    return line(row.map((cell, i) => {
+      const padded = padDisplay(cell, widths[i]);
+      if (i === 2) return paint(padded, [temperatureStyle(current.temperature, units.temperature)], color);
+      if (i === 3) return paint(padded, [temperatureStyle(current.feelsLike, units.temperature)], color);
+      return padded;
+    }));
+  });
+  const title = line(header.map((cell, i) => paint(cell.padEnd(widths[i]), ['bold'], color)));
+  return [border, title, border, ...body, border].join('\n');
+}
+
+module.exports = {
+  formatWeather,
+  formatForecast,
+  formatComparison,
+  shouldUseColor,
+  paint,
+  temperatureStyle,
+  displayWidth,
+  OUTPUT_FORMATS,
+  FORECAST_FORMATS
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { program, InvalidArgumentError } = require('commander');
+const { writeContributorsReport } = require('./insight');
+
+/**
+ * Parses the --since and --until options
+ * @param {string} value - Date in YYYY-MM-DD, or an ISO 8601 date-time
+ * @returns {string} The same value
+ * @throws {InvalidArgumentError} If the value is not a date
+ */
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new InvalidArgumentError('Must be a date such as 2025-06-01.');
+  }
+  return value;
+}
+
+/**
+ * Collects repeated --path options
+ * @param {string} value - Pathspec
+ * @param {string[]} [previous=[]] - Pathspecs collected so far
+ * @returns {string[]} Pathspecs including value
+ */
+function collectPath(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Main CLI entry point
+ */
+async function main() {
+  program
+    .name('git-insight')
+    .description('Write a contributors.md table of lines added and deleted per author, with an SVG commit badge')
+    .version('1.0.0')
+    .argument('[repo]', 'Path of the git repository', '.')
+    .option('--since <date>', 'Only count commits on or after this date (YYYY-MM-DD)', parseDate)
+    .option('--until <date>', 'Only count commits on or before this date (YYYY-MM-DD)', parseDate)
+    .option('--path <pathspec>', 'Only count changes under this path, relative to the repository root (repeatable)',
+      collectPath)
+    .option('--mailmap <file>', 'Extra mailmap file for merging author aliases, besides the repository\'s .mailmap')
+    .option('--no-mailmap', 'Do not merge author aliases')
+    .option('-o, --output <file>', 'Report path (default: contributors.md in the repository root)')
+    .option('--badge <file>', 'Badge path (default: commits.svg next to the report)')
+    .option('--no-badge', 'Do not write a badge')
+    .action(async (repo, options) => {
+      try {
+        if (options.since && options.until && Date.parse(options.since) > Date.parse(options.until)) {
+          throw new Error('--since must not be later than --until');
+        }
+        const { stats, output, badge } = await writeContributorsReport(repo, {
+          since: options.since,
+          until: options.until,
+          paths: options.path || [],
+          mailmap: options.mailmap !== false,
+          mailmapFile: typeof options.mailmap === 'string' ? options.mailmap : undefined,
+          output: options.output,
+          badge: options.badge === false ? null : options.badge
+        });
+        const commits = stats.totals.commits === 1 ? 'commit' : 'commits';
+        const authors = stats.authors.length === 1 ? 'author' : 'authors';
+        console.log(`Wrote ${path.relative(process.cwd(), output) || output} `
+          + `(${stats.totals.commits} ${commits} by ${stats.authors.length} ${authors})`);
+        if (badge) {
+          console.log(`Wrote ${path.relative(process.cwd(), badge) || badge}`);
+        }
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  await program.parseAsync(process.argv);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseDate, collectPath };
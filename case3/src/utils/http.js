@@ -0,0 +1,139 @@
+const axios = require('axios');
+const {
+  WeatherError,
+  WeatherTimeoutError,
+  WeatherApiError,
+  WeatherNetworkError,
+  WeatherDataError
+} = require('./errors');
+
+const USER_AGENT = 'weather-cli/1.0.0';
+const REQUEST_TIMEOUT_MS = 10000;
+
+const DEFAULT_RETRY = Object.freeze({
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 30000
+});
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const NETWORK_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH'];
+
+/**
+ * Parses a Retry-After header given in seconds or as an HTTP date
+ * @param {string|undefined} value - Header value
+ * @param {number} now - Current time in ms since the epoch
+ * @returns {number|null} Requested delay in milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Converts an axios failure into a typed weather error
+ * @param {Error} error - Error thrown by axios
+ * @param {number} now - Current time in ms since the epoch
+ * @returns {Error} Typed error, or the original error when it is not a request failure
+ */
+function toWeatherError(error, now) {
+  if (error instanceof WeatherError) return error;
+  if (error.response) {
+    const headers = error.response.headers || {};
+    return new WeatherApiError(error.response.status, error.response.statusText, {
+      retryAfterMs: parseRetryAfter(headers['retry-after'], now)
+    });
+  }
+  if (TIMEOUT_CODES.includes(error.code)) return new WeatherTimeoutError();
+  if (NETWORK_CODES.includes(error.code)) return new WeatherNetworkError(error.code);
+  return error;
+}
+
+/**
+ * Decides whether a failed request is worth retrying
+ * @param {Error} error - Typed error from toWeatherError
+ * @returns {boolean} True for timeouts, 429 and 5xx responses
+ */
+function isRetryable(error) {
+  if (error instanceof WeatherTimeoutError) return true;
+  return error instanceof WeatherApiError && (error.status === 429 || error.status >= 500);
+}
+
+/**
+ * Computes the wait before the next attempt using exponential backoff with full jitter
+ * @param {number} attempt - Zero-based number of the attempt that just failed
+ * @param {object} retry - Retry settings
+ * @param {() => number} random - Random source returning [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, retry, random) {
+  const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * (2 ** attempt));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Performs a GET request and returns the JSON body, retrying transient failures
+ *
+ * Timeouts, 429 and 5xx responses are retried with exponential backoff and
+ * jitter. A Retry-After header is honored, unless it asks for longer than
+ * `maxRetryAfterMs`, in which case the error is thrown right away.
+ * @param {string} url - URL to request
+ * @param {object} [options]
+ * @param {object} [options.params] - Query parameters to append to the URL
+ * @param {object} [options.retry] - Overrides for DEFAULT_RETRY
+ * @param {number} [options.retry.retries] - Extra attempts after the first one
+ * @param {number} [options.retry.baseDelayMs] - Backoff ceiling for the first retry
+ * @param {number} [options.retry.maxDelayMs] - Upper bound of the backoff ceiling
+ * @param {number} [options.retry.maxRetryAfterMs] - Longest Retry-After that is waited for
+ * @param {(ms: number) => Promise<void>} [options.wait=sleep] - Delay function, for tests
+ * @param {() => number} [options.random=Math.random] - Random source, for tests
+ * @returns {Promise<object>} Response body
+ * @throws {WeatherTimeoutError|WeatherApiError|WeatherNetworkError|WeatherDataError} If the request ultimately fails or the response is empty
+ */
+async function getJson(url, { params, retry, wait = sleep, random = Math.random } = {}) {
+  const settings = { ...DEFAULT_RETRY, ...retry };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.get(url, {
+        params,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          'User-Agent': USER_AGENT
+        }
+      });
+
+      if (!response.data) {
+        throw new WeatherDataError('Empty response from weather API');
+      }
+
+      return response.data;
+    } catch (rawError) {
+      const error = toWeatherError(rawError, Date.now());
+      if (attempt >= settings.retries || !isRetryable(error)) {
+        throw error;
+      }
+      let delay = backoffDelay(attempt, settings, random);
+      if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+        if (error.retryAfterMs > settings.maxRetryAfterMs) throw error;
+        delay = Math.max(delay, error.retryAfterMs);
+      }
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = { getJson, parseRetryAfter, USER_AGENT, REQUEST_TIMEOUT_MS, DEFAULT_RETRY };
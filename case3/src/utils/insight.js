@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+/**
+ * Error thrown when a git command fails, e.g. because the path is not a repository
+ */
+class GitError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number|null} [exitCode=null] - Exit code of git
+   */
+  constructor(message, exitCode = null) {
+    super(message);
+    this.name = 'GitError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * @typedef {object} AuthorStats
+ * @property {string} name - Author name, after .mailmap
+ * @property {string} email - Author email, after .mailmap
+ * @property {number} commits - Number of commits
+ * @property {number} added - Lines added
+ * @property {number} deleted - Lines deleted
+ * @property {string} firstCommit - Author date of the oldest commit, as an ISO 8601 string
+ * @property {string} lastCommit - Author date of the newest commit, as an ISO 8601 string
+ */
+
+/**
+ * @typedef {object} ContributionStats
+ * @property {AuthorStats[]} authors - Authors by commits, then lines added, then name
+ * @property {{commits: number, added: number, deleted: number}} totals - Sums over every author
+ */
+
+/**
+ * Runs a git command in a repository
+ * @param {string} repo - Repository path
+ * @param {string[]} args - Arguments after `git -C <repo>`
+ * @returns {Promise<string>} Standard output
+ * @throws {GitError} If git is missing or exits with an error
+ */
+function runGit(repo, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', repo, ...args], { maxBuffer: GIT_MAX_BUFFER }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve(stdout);
+      } else if (error.code === 'ENOENT') {
+        reject(new GitError('git is not installed or not on PATH'));
+      } else {
+        const command = args.find((arg) => !arg.startsWith('-') && !arg.includes('='));
+        const detail = String(stderr).trim().split('\n')[0] || error.message;
+        reject(new GitError(`git ${command} failed: ${detail}`, typeof error.code === 'number' ? error.code : null));
+      }
+    });
+  });
+}
+
+/**
+ * Turns a --since/--until value into a git date
+ *
+ * Git reads a bare date as that day at the current time of day, so dates are
+ * pinned to the start (since) or end (until) of the day.
+ * @param {string} value - Date in YYYY-MM-DD, or any ISO 8601 date-time
+ * @param {'start'|'end'} edge - Which end of the day a bare date means
+ * @returns {string} Date for git's --since or --until
+ * @throws {Error} If the value is not a valid date
+ */
+function toGitDate(value, edge) {
+  if (Number.isNaN(Date.parse(value))) {
+    throw new Error(`Invalid date: ${value}. Use YYYY-MM-DD`);
+  }
+  if (DATE_PATTERN.test(value)) {
+    return `${value} ${edge === 'start' ? '00:00:00' : '23:59:59'}`;
+  }
+  return value;
+}
+
+/**
+ * Builds the git log arguments for collectContributions
+ * @param {object} options - Options of collectContributions
+ * @returns {string[]} Arguments for runGit
+ */
+function logArgs({ since, until, paths = [], mailmap = true, mailmapFile }) {
+  const args = [];
+  if (mailmapFile) {
+    args.push('-c', `mailmap.file=${path.resolve(mailmapFile)}`);
+  }
+  const [name, email] = mailmap ? ['%aN', '%aE'] : ['%an', '%ae'];
+  args.push(
+    'log',
+    `--format=${RECORD_SEPARATOR}${name}${FIELD_SEPARATOR}${email}${FIELD_SEPARATOR}%aI`,
+    '--numstat',
+    '--no-renames'
+  );
+  if (since) args.push(`--since=${toGitDate(since, 'start')}`);
+  if (until) args.push(`--until=${toGitDate(until, 'end')}`);
+  args.push('--');
+  args.push(...paths);
+  return args;
+}
+
+/**
+ * Adds up git log output per author
+ * @param {string} output - Output of the git log command built by logArgs
+ * @returns {ContributionStats} Statistics per author and in total
+ */
+function parseGitLog(output) {
+  const byAuthor = new Map();
+  for (const record of output.split(RECORD_SEPARATOR).slice(1)) {
+    const [header, ...lines] = record.split('\n');
+    const [name, email, date] = header.split(FIELD_SEPARATOR);
+    const key = (email || name).toLowerCase();
+    if (!byAuthor.has(key)) {
+      // git log lists the newest commit first, so the first name seen is the current one
+      byAuthor.set(key, { name, email, commits: 0, added: 0, deleted: 0, firstCommit: date, lastCommit: date });
+    }
+    const author = byAuthor.get(key);
+    author.commits++;
+    // Dates carry the author's UTC offset, so compare them as instants
+    if (Date.parse(date) < Date.parse(author.firstCommit)) author.firstCommit = date;
+    if (Date.parse(date) > Date.parse(author.lastCommit)) author.lastCommit = date;
+    for (const line of lines) {
+      // Binary files are listed as "-\t-\tpath" and count as no lines
+      const match = /^(\d+|-)\t(\d+|-)\t/.exec(line);
+      if (match) {
+        author.added += match[1] === '-' ? 0 : Number(match[1]);
+        author.deleted += match[2] === '-' ? 0 : Number(match[2]);
+      }
+    }
+  }
+
+  const authors = [...byAuthor.values()].sort((a, b) => b.commits - a.commits
+    || b.added - a.added
+    || a.name.localeCompare(b.name));
+  const totals = authors.reduce((sum, author) => ({
+    commits: sum.commits + author.commits,
+    added: sum.added + author.added,
+    deleted: sum.deleted + author.deleted
+  }), { commits: 0, added: 0, deleted: 0 });
+  return { authors, totals };
+}
+
+/**
+ * Collects commits and changed lines per author
+ *
+ * Author aliases are merged through the repository's .mailmap (or
+ * mailmapFile) unless mailmap is false. Merge commits count as commits but
+ * add no lines.
+ * @param {string} repo - Repository path
+ * @param {object} [options]
+ * @param {string} [options.since] - Only count commits on or after this date (YYYY-MM-DD or ISO 8601)
+ * @param {string} [options.until] - Only count commits on or before this date (YYYY-MM-DD or ISO 8601)
+ * @param {string[]} [options.paths=[]] - Only count changes under these pathspecs
+ * @param {boolean} [options.mailmap=true] - Whether to merge author aliases
+ * @param {string} [options.mailmapFile] - Mailmap file used in addition to the repository's .mailmap
+ * @returns {Promise<ContributionStats>} Statistics per author and in total
+ * @throws {Error} If a date is invalid
+ * @throws {GitError} If the path is not a git repository or git fails
+ */
+async function collectContributions(repo, options = {}) {
+  const args = logArgs(options);
+  const root = (await runGit(repo, ['rev-parse', '--show-toplevel'])).trim();
+  const hasCommits = await runGit(root, ['rev-parse', '--verify', '--quiet', 'HEAD']).then(() => true, () => false);
+  if (!hasCommits) {
+    return { authors: [], totals: { commits: 0, added: 0, deleted: 0 } };
+  }
+  return parseGitLog(await runGit(root, args));
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text with pipes, angle brackets and line breaks escaped
+ */
+function escapeCell(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Formats a signed line count such as "+12" or "-3"
+ * @param {number} value - Line count
+ * @returns {string} Count with its sign; zero has none
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Formats the contributors report
+ *
+ * The output only depends on the statistics and options, so regenerating
+ * it without new commits leaves the file unchanged.
+ * @param {ContributionStats} stats - Output of collectContributions
+ * @param {object} [options]
+ * @param {string} [options.badge] - Path of the commit badge relative to the report, omitted when not given
+ * @param {string} [options.since] - Start date of the range, shown in the description
+ * @param {string} [options.until] - End date of the range, shown in the description
+ * @param {string[]} [options.paths=[]] - Path filters, shown in the description
+ * @returns {string} Markdown document ending in a newline
+ */
+function formatContributorsMarkdown(stats, { badge, since, until, paths = [] } = {}) {
+  const commits = `${stats.totals.commits} ${stats.totals.commits === 1 ? 'commit' : 'commits'}`;
+  const lines = ['# Contributors', ''];
+  if (badge) {
+    lines.push(`![${commits}](${encodeURI(badge.split(path.sep).join('/'))})`, '');
+  }
+
+  const scope = [];
+  if (since || until) {
+    scope.push(`from ${since || 'the first commit'} to ${until || 'today'}`);
+  }
+  if (paths.length > 0) {
+    scope.push(`in ${paths.map((p) => `\`${p}\``).join(', ')}`);
+  }
+  const authors = stats.authors.length === 1 ? 'author' : 'authors';
+  lines.push(`${commits} by ${stats.authors.length} ${authors}${scope.length > 0 ? ` ${scope.join(' ')}` : ''}.`, '');
+  if (stats.authors.length === 0) {
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push('| Author | Commits | Added | Deleted | Net |', '| --- | ---: | ---: | ---: | ---: |');
+  for (const author of stats.authors) {
+    const name = author.email ? `${author.name} <${author.email}>` : author.name;
+    lines.push(`| ${escapeCell(name)} | ${author.commits} | ${author.added} | ${author.deleted} | ${signed(author.added - author.deleted)} |`);
+  }
+  const { totals } = stats;
+  lines.push(`| **Total** | ${totals.commits} | ${totals.added} | ${totals.deleted} | ${signed(totals.added - totals.deleted)} |`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escapes text for SVG content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a flat two-part badge such as "commits | 42"
+ *
+ * The SVG has no external fonts, images or scripts, so it displays the same
+ * everywhere. Text widths are estimated from the character count.
+ * @param {string} label - Left-hand text
+ * @param {string|number} value - Right-hand text
+ * @param {object} [options]
+ * @param {string} [options.color='#4c1'] - Fill of the value part
+ * @returns {string} SVG document ending in a newline
+ */
+function renderBadge(label, value, { color = '#4c1' } = {}) {
+  const text = String(value);
+  const width = (s) => s.length * 7 + 10;
+  const labelWidth = width(label);
+  const valueWidth = width(text);
+  const total = labelWidth + valueWidth;
+  const title = escapeXml(`${label}: ${text}`);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${total}" height="20" role="img" aria-label="${title}">`,
+    `  <title>${title}</title>`,
+    '  <linearGradient id="s" x2="0" y2="100%">',
+    '    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>',
+    '    <stop offset="1" stop-opacity=".1"/>',
+    '  </linearGradient>',
+    '  <clipPath id="r">',
+    `    <rect width="${total}" height="20" rx="3" fill="#fff"/>`,
+    '  </clipPath>',
+    '  <g clip-path="url(#r)">',
+    `    <rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${escapeXml(color)}"/>`,
+    `    <rect width="${total}" height="20" fill="url(#s)"/>`,
+    '  </g>',
+    '  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    `    <text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>`,
+    `    <text x="${labelWidth + valueWidth / 2}" y="14">${escapeXml(text)}</text>`,
+    '  </g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes a file through a temporary file so readers never see a partial write
+ * @param {string} file - Destination path
+ * @param {string} content - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, content) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpFile, content);
+  await fs.promises.rename(tmpFile, file);
+}
+
+/**
+ * Collects contributions and writes the Markdown report and commit badge
+ * @param {string} repo - Repository path
+ * @param {object} [options] - Options of collectContributions, plus:
+ * @param {string} [options.output] - Report path; defaults to contributors.md in the repository root
+ * @param {string|null} [options.badge] - Badge path; defaults to commits.svg next to the report, null for none
+ * @returns {Promise<{stats: ContributionStats, output: string, badge: string|null}>} Statistics and written paths
+ * @throws {Error} If a date is invalid
+ * @throws {GitError} If the path is not a git repository or git fails
+ */
+async function writeContributorsReport(repo, { output, badge, ...options } = {}) {
+  const stats = await collectContributions(repo, options);
+  const root = (await runGit(repo, ['rev-parse', '--show-toplevel'])).trim();
+  const outputFile = path.resolve(output || path.join(root, 'contributors.md'));
+  const badgeFile = badge === null ? null : path.resolve(badge || path.join(path.dirname(outputFile), 'commits.svg'));
+
+  if (badgeFile) {
+    await writeFileAtomic(badgeFile, renderBadge('commits', stats.totals.commits));
+  }
+  const markdown = formatContributorsMarkdown(stats, {
+    ...options,
+    badge: badgeFile ? path.relative(path.dirname(outputFile), badgeFile) : undefined
+  });
+  await writeFileAtomic(outputFile, markdown);
+  return { stats, output: outputFile, badge: badgeFile };
+}
+
+module.exports = {
+  collectContributions,
+  parseGitLog,
+  formatContributorsMarkdown,
+  renderBadge,
+  writeContributorsReport,
+  runGit,
+  GitError
+};
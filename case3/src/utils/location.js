@@ -0,0 +1,205 @@
+const { InvalidLocationError } = require('./errors');
+const { formatLocation } = require('./report');
+
+/**
+ * Location argument that asks the provider to locate the caller by IP address
+ */
+const HERE = '@here';
+
+/**
+ * Coordinates further than this from the requested point count as a different location
+ */
+const MAX_COORDINATE_DISTANCE_KM = 50;
+
+const COORDINATES_PATTERN = /^([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)$/;
+const AIRPORT_PATTERN = /^[A-Z]{3}$/;
+const THREE_LETTERS_PATTERN = /^[A-Za-z]{3}$/;
+
+/**
+ * @typedef {object} LocationQuery
+ * @property {'city'|'coordinates'|'airport'|'here'} type - Form of the location argument
+ * @property {string} text - Canonical text: the city name, "lat,lon", the upper-case IATA code, or HERE
+ * @property {number} [latitude] - Latitude in degrees, for coordinates
+ * @property {number} [longitude] - Longitude in degrees, for coordinates
+ */
+
+/**
+ * Works out which form a location argument takes and validates it
+ *
+ * "lat,lon" pairs are coordinates and three upper-case letters are an IATA
+ * airport code; everything else is a city name, so "Rio" and "Goa" stay cities.
+ * With `airport`, three letters in any case are an airport code.
+ * @param {string} input - Location argument
+ * @param {object} [options]
+ * @param {boolean} [options.airport=false] - Require an airport code, e.g. for --airport
+ * @returns {LocationQuery} Parsed location
+ * @throws {Error} If input is not a non-empty string
+ * @throws {InvalidLocationError} If coordinates are out of range, or airport is set and input is not three letters
+ */
+function parseLocationQuery(input, { airport = false } = {}) {
+  if (!input || typeof input !== 'string' || input.trim() === '') {
+    throw new Error('City name is required');
+  }
+  const text = input.trim();
+  if (airport) {
+    if (!THREE_LETTERS_PATTERN.test(text)) {
+      throw new InvalidLocationError(`Airport codes have three letters, got "${text}"`);
+    }
+    return { type: 'airport', text: text.toUpperCase() };
+  }
+  if (text.toLowerCase() === HERE) {
+    return { type: 'here', text: HERE };
+  }
+
+  const coordinates = COORDINATES_PATTERN.exec(text);
+  if (coordinates) {
+    const latitude = Number(coordinates[1]);
+    const longitude = Number(coordinates[2]);
+    if (latitude < -90 || latitude > 90) {
+      throw new InvalidLocationError(`Latitude must be between -90 and 90, got ${coordinates[1]}`);
+    }
+    if (longitude < -180 || longitude > 180) {
+      throw new InvalidLocationError(`Longitude must be between -180 and 180, got ${coordinates[2]}`);
+    }
+    return { type: 'coordinates', text: `${latitude},${longitude}`, latitude, longitude };
+  }
+
+  if (AIRPORT_PATTERN.test(text)) {
+    return { type: 'airport', text };
+  }
+  return { type: 'city', text };
+}
+
+/**
+ * Normalizes a place name for comparison
+ * @param {string} name - Place name
+ * @returns {string} Lower-case name without accents, punctuation or repeated spaces
+ */
+function normalizeName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Computes the great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point in degrees
+ * @param {number} lon1 - Longitude of the first point in degrees
+ * @param {number} lat2 - Latitude of the second point in degrees
+ * @param {number} lon2 - Longitude of the second point in degrees
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = (degrees) => (degrees * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Checks whether the parts of a city query after the first comma fit a place
+ *
+ * Each part must appear in the region or country, or equal the country code.
+ * @param {string[]} qualifiers - Normalized parts, e.g. ["texas"]
+ * @param {{region: string, country: string, countryCode?: string}} place - Place to check
+ * @returns {boolean} True when every part fits
+ */
+function qualifiersMatch(qualifiers, place) {
+  const area = ` ${normalizeName(`${place.region} ${place.country}`)} `;
+  const code = normalizeName(place.countryCode || '');
+  return qualifiers.every((qualifier) => area.includes(` ${qualifier} `) || qualifier === code);
+}
+
+/**
+ * Picks the geocoded place a city query refers to
+ *
+ * Parts after the first comma, such as "France" or "US", narrow the places
+ * down; otherwise the most relevant place wins, e.g. Paris, France for "Paris".
+ * @param {string|LocationQuery} requested - Location argument or parsed query
+ * @param {object[]} places - Open-Meteo geocoding results, most relevant first
+ * @returns {import('./report').WeatherLocation|null} The place, or null when none fits
+ */
+function pickPlace(requested, places) {
+  const query = typeof requested === 'string' ? parseLocationQuery(requested) : requested;
+  const [, ...qualifiers] = query.text.split(',').map(normalizeName).filter(Boolean);
+  const place = places.find((candidate) => qualifiersMatch(qualifiers, {
+    region: candidate.admin1 || '',
+    country: candidate.country || '',
+    countryCode: candidate.country_code
+  }));
+  if (!place) return null;
+  return {
+    name: place.name || '',
+    region: place.admin1 || '',
+    country: place.country || '',
+    latitude: typeof place.latitude === 'number' ? place.latitude : null,
+    longitude: typeof place.longitude === 'number' ? place.longitude : null
+  };
+}
+
+/**
+ * Checks whether the location a provider resolved matches the one requested
+ *
+ * Coordinates match within MAX_COORDINATE_DISTANCE_KM of the request. A city
+ * compared against `expected`, the place geocoding found for the query,
+ * matches within MAX_COORDINATE_DISTANCE_KM of it, or by country when either
+ * side lacks coordinates. Without `expected` a city falls back to its name:
+ * the first part must appear in the resolved name and later parts longer than
+ * three letters in its region or country, so bare "Paris" matches Paris,
+ * Texas. Names without Latin letters cannot be compared and always match, as
+ * do airports and HERE.
+ * @param {string|LocationQuery} requested - Location argument or parsed query
+ * @param {import('./report').WeatherLocation} location - Location of the report
+ * @param {object} [options]
+ * @param {import('./report').WeatherLocation|null} [options.expected=null] - Geocoded place of a city query
+ * @returns {boolean} False when the report is for somewhere else
+ */
+function locationMatches(requested, location, { expected = null } = {}) {
+  const query = typeof requested === 'string' ? parseLocationQuery(requested) : requested;
+  const hasCoordinates = (place) => place.latitude !== null && place.longitude !== null;
+  if (query.type === 'coordinates') {
+    if (!hasCoordinates(location)) return true;
+    const distance = distanceKm(query.latitude, query.longitude, location.latitude, location.longitude);
+    return distance <= MAX_COORDINATE_DISTANCE_KM;
+  }
+  if (query.type !== 'city') return true;
+
+  if (expected) {
+    if (hasCoordinates(expected) && hasCoordinates(location)) {
+      const distance = distanceKm(expected.latitude, expected.longitude, location.latitude, location.longitude);
+      return distance <= MAX_COORDINATE_DISTANCE_KM;
+    }
+    return normalizeName(expected.country) === normalizeName(location.country);
+  }
+
+  const resolvedName = normalizeName(location.name);
+  if (!/[a-z]/.test(resolvedName)) return true;
+  const [name, ...qualifiers] = query.text.split(',').map(normalizeName).filter(Boolean);
+  if (!name) return true;
+  if (!resolvedName.includes(name) && !name.includes(resolvedName)) return false;
+  return qualifiersMatch(qualifiers.filter((qualifier) => qualifier.length > 3), location);
+}
+
+/**
+ * Describes the resolved location of a report whose location does not match the request
+ * @param {string|LocationQuery} requested - Location argument or parsed query
+ * @param {import('./report').WeatherLocation} location - Location of the report
+ * @param {object} [options] - Passed to locationMatches
+ * @returns {string|null} Label such as "Paris, Texas, United States", or null when the locations match
+ */
+function describeMismatch(requested, location, options) {
+  if (locationMatches(requested, location, options)) return null;
+  return formatLocation(location);
+}
+
+module.exports = {
+  parseLocationQuery,
+  locationMatches,
+  describeMismatch,
+  pickPlace,
+  HERE,
+  MAX_COORDINATE_DISTANCE_KM
+};
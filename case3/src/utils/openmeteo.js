@@ -0,0 +1,308 @@
+const { getJson } = require('./http');
+const { METRIC_UNITS } = require('./report');
+const { CityNotFoundError, WeatherDataError } = require('./errors');
+const { parseLocationQuery, pickPlace } = require('./location');
+
+const OPEN_METEO_GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const OPEN_METEO_FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+// WMO weather interpretation codes used by Open-Meteo
+const WEATHER_CODES = {
+  0: 'Clear sky',
+  1: 'Mainly clear',
+  2: 'Partly cloudy',
+  3: 'Overcast',
+  45: 'Fog',
+  48: 'Depositing rime fog',
+  51: 'Light drizzle',
+  53: 'Moderate drizzle',
+  55: 'Dense drizzle',
+  56: 'Light freezing drizzle',
+  57: 'Dense freezing drizzle',
+  61: 'Slight rain',
+  63: 'Moderate rain',
+  65: 'Heavy rain',
+  66: 'Light freezing rain',
+  67: 'Heavy freezing rain',
+  71: 'Slight snow fall',
+  73: 'Moderate snow fall',
+  75: 'Heavy snow fall',
+  77: 'Snow grains',
+  80: 'Slight rain showers',
+  81: 'Moderate rain showers',
+  82: 'Violent rain showers',
+  85: 'Slight snow showers',
+  86: 'Heavy snow showers',
+  95: 'Thunderstorm',
+  96: 'Thunderstorm with slight hail',
+  99: 'Thunderstorm with heavy hail'
+};
+
+/**
+ * Converts a wind direction in degrees to a 16-point compass direction
+ * @param {number} degrees - Direction the wind blows from
+ * @returns {string} Compass direction, e.g. "NW"
+ */
+function toCompass(degrees) {
+  return COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16];
+}
+
+/**
+ * Converts an ISO local time such as "2025-06-01T05:02" to wttr.in style "05:02 AM"
+ * @param {string} isoTime - ISO 8601 local date-time
+ * @returns {string} 12-hour clock time, or an empty string when missing
+ */
+function toClockTime(isoTime) {
+  const match = /T(\d{2}):(\d{2})/.exec(isoTime || '');
+  if (!match) return '';
+  const hours = Number(match[1]);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${String(hours % 12 || 12).padStart(2, '0')}:${match[2]} ${suffix}`;
+}
+
+/**
+ * Reads a numeric field from an Open-Meteo object
+ * @param {object} entry - Object holding the field
+ * @param {string} key - Field name
+ * @param {string} path - Path of entry in the payload, used in errors
+ * @param {boolean} [required=true] - Whether a missing field is an error
+ * @returns {number|null} The number, or null for a missing optional field
+ * @throws {WeatherDataError} If the field is missing (when required) or not numeric
+ */
+function readNumber(entry, key, path, required = true) {
+  const value = entry[key];
+  if (value === undefined || value === null) {
+    if (required) throw new WeatherDataError('missing value', `${path}.${key}`);
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new WeatherDataError(`expected a number, got ${JSON.stringify(value)}`, `${path}.${key}`);
+  }
+  return value;
+}
+
+/**
+ * Requires a field to be an object
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value in the payload, used in errors
+ * @returns {object} The object
+ * @throws {WeatherDataError} If the value is not an object
+ */
+function requireObject(value, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new WeatherDataError('expected an object', path);
+  }
+  return value;
+}
+
+/**
+ * Turns Open-Meteo column arrays into one object per row
+ * @param {object} series - Object of equally long arrays, including `time`
+ * @param {string} path - Path of series in the payload, used in errors
+ * @returns {object[]} Rows keyed by the series field names
+ * @throws {WeatherDataError} If time is not an array
+ */
+function toRows(series, path) {
+  requireObject(series, path);
+  if (!Array.isArray(series.time)) {
+    throw new WeatherDataError('expected an array', `${path}.time`);
+  }
+  return series.time.map((time, i) => {
+    const row = { time };
+    for (const [key, values] of Object.entries(series)) {
+      if (key !== 'time' && Array.isArray(values)) row[key] = values[i];
+    }
+    return row;
+  });
+}
+
+/**
+ * Describes a WMO weather code
+ * @param {number|null} code - WMO weather code
+ * @returns {string} Description, or "Unknown"
+ */
+function describeCode(code) {
+  return WEATHER_CODES[code] || 'Unknown';
+}
+
+/**
+ * Converts Open-Meteo geocoding and forecast responses into a WeatherReport
+ * @param {object} place - First result of the geocoding API, or just latitude and longitude
+ * @param {object} data - Forecast API response
+ * @returns {import('./report').WeatherReport} Normalized weather report
+ * @throws {WeatherDataError} If the forecast response has the wrong shape
+ */
+function parseOpenMeteoReport(place, data) {
+  requireObject(data, 'response');
+  const current = requireObject(data.current, 'current');
+  const hourlyRows = data.hourly === undefined ? [] : toRows(data.hourly, 'hourly');
+  const dailyRows = data.daily === undefined ? [] : toRows(data.daily, 'daily');
+  const visibility = readNumber(current, 'visibility', 'current', false);
+  const windDegrees = readNumber(current, 'wind_direction_10m', 'current', false);
+
+  return {
+    location: {
+      name: place.name || '',
+      region: place.admin1 || '',
+      country: place.country || '',
+      latitude: typeof place.latitude === 'number' ? place.latitude : null,
+      longitude: typeof place.longitude === 'number' ? place.longitude : null
+    },
+    units: { ...METRIC_UNITS },
+    current: {
+      condition: describeCode(readNumber(current, 'weather_code', 'current', false)),
+      temperature: readNumber(current, 'temperature_2m', 'current'),
+      feelsLike: readNumber(current, 'apparent_temperature', 'current'),
+      humidity: readNumber(current, 'relative_humidity_2m', 'current'),
+      windSpeed: readNumber(current, 'wind_speed_10m', 'current'),
+      windDirection: windDegrees === null ? '' : toCompass(windDegrees),
+      pressure: readNumber(current, 'pressure_msl', 'current', false),
+      precipitation: readNumber(current, 'precipitation', 'current', false),
+      visibility: visibility === null ? null : visibility / 1000,
+      uvIndex: readNumber(current, 'uv_index', 'current', false),
+      cloudCover: readNumber(current, 'cloud_cover', 'current', false),
+      observedAt: typeof current.time === 'string' ? current.time : '',
+      // Times are local to the place because the request asks for timezone=auto
+      localTime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(current.time) ? current.time.replace('T', ' ') : ''
+    },
+    forecast: dailyRows.map((day, d) => {
+      const dayPath = `daily[${d}]`;
+      const hourly = hourlyRows
+        .filter((hour) => typeof hour.time === 'string' && hour.time.startsWith(day.time))
+        .map((hour) => ({
+          time: hour.time.slice(11, 16),
+          condition: describeCode(hour.weather_code),
+          temperature: readNumber(hour, 'temperature_2m', `hourly[${hour.time}]`),
+          feelsLike: readNumber(hour, 'apparent_temperature', `hourly[${hour.time}]`, false),
+          chanceOfRain: readNumber(hour, 'precipitation_probability', `hourly[${hour.time}]`, false) || 0,
+          windSpeed: readNumber(hour, 'wind_speed_10m', `hourly[${hour.time}]`, false),
+          humidity: readNumber(hour, 'relative_humidity_2m', `hourly[${hour.time}]`, false)
+        }));
+      return {
+        date: day.time,
+        condition: describeCode(readNumber(day, 'weather_code', dayPath, false)),
+        minTemperature: readNumber(day, 'temperature_2m_min', dayPath),
+        maxTemperature: readNumber(day, 'temperature_2m_max', dayPath),
+        avgTemperature: readNumber(day, 'temperature_2m_mean', dayPath, false),
+        chanceOfRain: readNumber(day, 'precipitation_probability_max', dayPath, false) || 0,
+        astronomy: {
+          sunrise: toClockTime(day.sunrise),
+          sunset: toClockTime(day.sunset),
+          moonrise: '',
+          moonset: '',
+          moonPhase: ''
+        },
+        hourly
+      };
+    })
+  };
+}
+
+/**
+ * Searches Open-Meteo's geocoder for places with a name
+ * @param {string} name - Place name
+ * @param {object} [options]
+ * @param {string} [options.geocodingUrl=OPEN_METEO_GEOCODING_URL] - Geocoding search endpoint
+ * @param {string} [options.lang='en'] - Language of the place names
+ * @param {number} [options.count=1] - Maximum number of results
+ * @param {object} [options.retry] - Retry settings passed to getJson
+ * @returns {Promise<object[]>} Geocoding results, most relevant first; empty when nothing matches
+ */
+async function searchPlaces(name, { geocodingUrl = OPEN_METEO_GEOCODING_URL, lang = 'en', count = 1, retry } = {}) {
+  const geocoding = await getJson(geocodingUrl, {
+    params: { name, count, language: lang, format: 'json' },
+    retry
+  });
+  return Array.isArray(geocoding.results) ? geocoding.results : [];
+}
+
+/**
+ * Geocodes a city query such as "Paris" or "Paris, France" to the place it most likely means
+ *
+ * Used by strict mode as a reference that does not depend on the weather provider.
+ * @param {string} city - City query
+ * @param {object} [options] - Passed to searchPlaces, except count
+ * @returns {Promise<import('./report').WeatherLocation|null>} The place, or null when nothing fits the query
+ */
+async function geocodeCity(city, options = {}) {
+  const [name] = city.split(',');
+  const places = await searchPlaces(name.trim(), { ...options, count: 10 });
+  return pickPlace({ type: 'city', text: city }, places);
+}
+
+/**
+ * Creates the Open-Meteo weather provider
+ * @param {object} [options]
+ * @param {string} [options.geocodingUrl=OPEN_METEO_GEOCODING_URL] - Geocoding search endpoint
+ * @param {string} [options.forecastUrl=OPEN_METEO_FORECAST_URL] - Forecast endpoint
+ * @param {object} [options.retry] - Retry settings passed to getJson
+ * @returns {import('./providers').WeatherProvider} Provider backed by the Open-Meteo APIs.
+ *   The language only localizes place names; descriptions stay in English. Coordinates skip
+ *   geocoding and get a report without a place name; airport codes and HERE are not supported
+ */
+function createOpenMeteoProvider({
+  geocodingUrl = OPEN_METEO_GEOCODING_URL,
+  forecastUrl = OPEN_METEO_FORECAST_URL,
+  retry
+} = {}) {
+  /**
+   * Looks up the first place matching a name
+   * @param {string} name - City name
+   * @param {string} lang - Language of the place name
+   * @returns {Promise<object>} First geocoding result
+   * @throws {CityNotFoundError} If nothing matches
+   */
+  async function geocode(name, lang) {
+    const [place] = await searchPlaces(name, { geocodingUrl, lang, retry });
+    if (!place) {
+      throw new CityNotFoundError(name);
+    }
+    return place;
+  }
+
+  return {
+    name: 'open-meteo',
+    async getReport(city, { lang = 'en' } = {}) {
+      const location = parseLocationQuery(city);
+      if (location.type === 'airport' || location.type === 'here') {
+        throw new CityNotFoundError(location.text, location.type === 'airport'
+          ? 'Open-Meteo does not know airport codes'
+          : 'Open-Meteo cannot locate by IP address');
+      }
+      const place = location.type === 'coordinates'
+        ? { latitude: location.latitude, longitude: location.longitude }
+        : await geocode(location.text, lang);
+
+      const data = await getJson(forecastUrl, {
+        params: {
+          latitude: place.latitude,
+          longitude: place.longitude,
+          timezone: 'auto',
+          forecast_days: 3,
+          current: 'temperature_2m,apparent_temperature,relative_humidity_2m,wind_speed_10m,wind_direction_10m,'
+            + 'weather_code,pressure_msl,precipitation,cloud_cover,uv_index',
+          hourly: 'temperature_2m,apparent_temperature,precipitation_probability,weather_code,wind_speed_10m,'
+            + 'relative_humidity_2m',
+          daily: 'weather_code,temperature_2m_max,temperature_2m_min,temperature_2m_mean,'
+            + 'precipitation_probability_max,sunrise,sunset'
+        },
+        retry
+      });
+      return parseOpenMeteoReport(place, data);
+    }
+  };
+}
+
+module.exports = {
+  createOpenMeteoProvider,
+  parseOpenMeteoReport,
+  searchPlaces,
+  geocodeCity,
+  OPEN_METEO_GEOCODING_URL,
+  OPEN_METEO_FORECAST_URL
+};
@@ -0,0 +1,88 @@
+const { createWttrProvider, assertCity } = require('./wttr');
+const { createOpenMeteoProvider } = require('./openmeteo');
+
+/**
+ * @typedef {object} WeatherProvider
+ * @property {string} name - Name used by --provider, e.g. "wttr"
+ * @property {(city: string, query?: {lang?: string}) => Promise<import('./report').WeatherReport>} getReport
+ *   Fetches a normalized metric report
+ */
+
+const PROVIDER_FACTORIES = {
+  wttr: createWttrProvider,
+  'open-meteo': createOpenMeteoProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+const DEFAULT_PROVIDERS = ['wttr', 'open-meteo'];
+
+/**
+ * Parses a comma-separated provider list such as "wttr,open-meteo"
+ * @param {string|string[]} value - Provider names in fallback order
+ * @returns {string[]} Provider names without duplicates
+ * @throws {Error} If the list is empty or names an unknown provider
+ */
+function parseProviderList(value) {
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map((name) => name.trim())
+    .filter(Boolean);
+  if (names.length === 0) {
+    throw new Error('At least one provider is required');
+  }
+  for (const name of names) {
+    if (!PROVIDER_FACTORIES[name]) {
+      throw new Error(`Unknown provider: ${name}. Expected one of ${PROVIDER_NAMES.join(', ')}`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Creates providers by name
+ * @param {string[]} names - Provider names in fallback order
+ * @param {object} [options] - Per-provider options keyed by provider name, e.g. { wttr: { baseUrl } }
+ * @param {object} [shared] - Options passed to every provider, e.g. { retry }
+ * @returns {WeatherProvider[]} Providers in the same order
+ * @throws {Error} If a name is unknown
+ */
+function createProviders(names, options = {}, shared = {}) {
+  return parseProviderList(names).map((name) => PROVIDER_FACTORIES[name]({ ...shared, ...options[name] }));
+}
+
+/**
+ * Fetches a report from the first provider that succeeds
+ * @param {string} city - The city name to fetch weather for
+ * @param {WeatherProvider[]} providers - Providers in fallback order
+ * @param {object} [query] - Passed to every provider's getReport
+ * @param {string} [query.lang] - Language code for descriptions
+ * @returns {Promise<import('./report').WeatherReport>} Report from the first successful provider, with its name in `provider`
+ * @throws {Error} If city is not provided
+ * @throws {AggregateError} If every provider fails; `errors` holds each provider's error in order
+ */
+async function getReportFromProviders(city, providers, query = {}) {
+  assertCity(city);
+
+  const errors = [];
+  for (const provider of providers) {
+    try {
+      const report = await provider.getReport(city, query);
+      return { ...report, provider: provider.name };
+    } catch (error) {
+      errors.push(error);
+    }
+  }
+
+  if (errors.length === 1) {
+    throw errors[0];
+  }
+  const details = providers.map((provider, i) => `${provider.name}: ${errors[i].message}`).join('; ');
+  throw new AggregateError(errors, `All weather providers failed (${details})`);
+}
+
+module.exports = {
+  parseProviderList,
+  createProviders,
+  getReportFromProviders,
+  PROVIDER_NAMES,
+  DEFAULT_PROVIDERS
+};
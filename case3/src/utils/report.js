@@ -0,0 +1,321 @@
+const { WeatherDataError } = require('./errors');
+
+/**
+ * @typedef {object} WeatherUnits
+ * @property {string} temperature - Temperature unit, e.g. "°C"
+ * @property {string} speed - Wind speed unit, e.g. "km/h"
+ * @property {string} pressure - Pressure unit, e.g. "hPa"
+ * @property {string} precipitation - Precipitation unit, e.g. "mm"
+ * @property {string} visibility - Visibility unit, e.g. "km"
+ */
+
+/**
+ * @typedef {object} WeatherLocation
+ * @property {string} name - Area name, e.g. "Hiroshima"
+ * @property {string} region - Region or prefecture, or an empty string
+ * @property {string} country - Country, or an empty string
+ * @property {number|null} latitude - Latitude in degrees, or null when unknown
+ * @property {number|null} longitude - Longitude in degrees, or null when unknown
+ */
+
+/**
+ * @typedef {object} CurrentConditions
+ * @property {string} condition - Weather description, e.g. "Sunny"
+ * @property {number} temperature - Air temperature
+ * @property {number} feelsLike - Apparent temperature
+ * @property {number} humidity - Relative humidity in percent
+ * @property {number} windSpeed - Wind speed
+ * @property {string} windDirection - 16-point compass direction, e.g. "NW"
+ * @property {number|null} pressure - Air pressure
+ * @property {number|null} precipitation - Precipitation
+ * @property {number|null} visibility - Visibility
+ * @property {number|null} uvIndex - UV index
+ * @property {number|null} cloudCover - Cloud cover in percent
+ * @property {string} observedAt - Observation time as reported by the provider
+ * @property {string} localTime - Observation time at the location in "YYYY-MM-DD HH:MM", or '' when unknown
+ */
+
+/**
+ * @typedef {object} HourlyForecast
+ * @property {string} time - Time of day in HH:MM
+ * @property {string} condition - Weather description
+ * @property {number} temperature - Air temperature
+ * @property {number|null} feelsLike - Apparent temperature
+ * @property {number} chanceOfRain - Chance of rain in percent
+ * @property {number|null} windSpeed - Wind speed
+ * @property {number|null} humidity - Relative humidity in percent
+ */
+
+/**
+ * @typedef {object} ForecastDay
+ * @property {string} date - Date in YYYY-MM-DD
+ * @property {string} condition - Weather description around midday
+ * @property {number} minTemperature - Minimum temperature
+ * @property {number} maxTemperature - Maximum temperature
+ * @property {number|null} avgTemperature - Average temperature
+ * @property {number} chanceOfRain - Highest hourly chance of rain in percent
+ * @property {{sunrise: string, sunset: string, moonrise: string, moonset: string, moonPhase: string}} astronomy - Astronomy times
+ * @property {HourlyForecast[]} hourly - Hourly entries in order
+ */
+
+/**
+ * @typedef {object} WeatherReport
+ * @property {WeatherLocation} location - Location the provider resolved the query to
+ * @property {WeatherUnits} units - Units of every measurement in the report
+ * @property {CurrentConditions} current - Current conditions
+ * @property {ForecastDay[]} forecast - Forecast days in order
+ * @property {string} [provider] - Name of the provider that produced the report
+ */
+
+const METRIC_UNITS = Object.freeze({
+  temperature: '°C',
+  speed: 'km/h',
+  pressure: 'hPa',
+  precipitation: 'mm',
+  visibility: 'km'
+});
+
+/**
+ * Reads a numeric field that wttr.in encodes as a string
+ * @param {object} entry - Object holding the field
+ * @param {string} key - Field name
+ * @param {string} path - Path of entry in the payload, used in errors
+ * @param {boolean} [required=true] - Whether a missing field is an error
+ * @returns {number|null} Parsed number, or null for a missing optional field
+ * @throws {WeatherDataError} If the field is missing (when required) or not numeric
+ */
+function readNumber(entry, key, path, required = true) {
+  const raw = entry[key];
+  if (raw === undefined || raw === null || raw === '') {
+    if (required) throw new WeatherDataError('missing value', `${path}.${key}`);
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new WeatherDataError(`expected a number, got ${JSON.stringify(raw)}`, `${path}.${key}`);
+  }
+  return value;
+}
+
+/**
+ * Reads the first `value` of a wttr.in `[{ value }]` field
+ * @param {object} entry - Object holding the field
+ * @param {string} key - Field name, e.g. "weatherDesc"
+ * @returns {string} The value, or an empty string when absent
+ */
+function readValue(entry, key) {
+  const field = entry[key];
+  return (Array.isArray(field) && field[0] && typeof field[0].value === 'string') ? field[0].value.trim() : '';
+}
+
+/**
+ * Reads the weather description, preferring wttr.in's localized `lang_xx` field
+ * @param {object} entry - current_condition or hourly entry
+ * @param {string} lang - Language code, e.g. "ja"
+ * @returns {string} Description, or "Unknown" when absent
+ */
+function readDescription(entry, lang) {
+  const localized = lang === 'en' ? '' : readValue(entry, `lang_${lang}`);
+  return localized || readValue(entry, 'weatherDesc') || 'Unknown';
+}
+
+/**
+ * Converts a wttr.in hourly time such as "0", "900" or "2100" to "HH:MM"
+ * @param {string} time - wttr.in hourly time
+ * @returns {string} Time of day in HH:MM
+ */
+function formatHour(time) {
+  const padded = String(time).padStart(4, '0');
+  return `${padded.slice(0, 2)}:${padded.slice(2)}`;
+}
+
+/**
+ * Converts wttr.in's localObsDateTime such as "2025-06-01 02:20 PM" to "2025-06-01 14:20"
+ * @param {*} text - localObsDateTime value
+ * @returns {string} Local date-time in "YYYY-MM-DD HH:MM", or '' when missing or malformed
+ */
+function parseLocalTime(text) {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{1,2}):(\d{2})(?: ?([AP]M))?$/i.exec(typeof text === 'string' ? text.trim() : '');
+  if (!match) return '';
+  let hours = Number(match[2]);
+  if (match[4]) {
+    hours = (hours % 12) + (match[4].toUpperCase() === 'PM' ? 12 : 0);
+  }
+  return `${match[1]} ${String(hours).padStart(2, '0')}:${match[3]}`;
+}
+
+/**
+ * Requires a field to be an array of objects
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value in the payload, used in errors
+ * @param {boolean} [nonEmpty=false] - Whether an empty array is an error
+ * @returns {object[]} The array
+ * @throws {WeatherDataError} If the value is not an array (or is empty when nonEmpty is set)
+ */
+function requireArray(value, path, nonEmpty = false) {
+  if (!Array.isArray(value) || (nonEmpty && value.length === 0)) {
+    throw new WeatherDataError(nonEmpty ? 'expected a non-empty array' : 'expected an array', path);
+  }
+  value.forEach((item, i) => {
+    if (!item || typeof item !== 'object') {
+      throw new WeatherDataError('expected an object', `${path}[${i}]`);
+    }
+  });
+  return value;
+}
+
+/**
+ * @param {object} data - Raw j1 payload
+ * @returns {WeatherLocation} Location from nearest_area
+ */
+function parseLocation(data) {
+  if (data.nearest_area === undefined) {
+    return { name: '', region: '', country: '', latitude: null, longitude: null };
+  }
+  const [area] = requireArray(data.nearest_area, 'nearest_area', true);
+  return {
+    name: readValue(area, 'areaName'),
+    region: readValue(area, 'region'),
+    country: readValue(area, 'country'),
+    latitude: readNumber(area, 'latitude', 'nearest_area[0]', false),
+    longitude: readNumber(area, 'longitude', 'nearest_area[0]', false)
+  };
+}
+
+/**
+ * @param {object} data - Raw j1 payload
+ * @param {string} lang - Language code for descriptions
+ * @returns {CurrentConditions} Current conditions from current_condition
+ */
+function parseCurrent(data, lang) {
+  const [current] = requireArray(data.current_condition, 'current_condition', true);
+  const path = 'current_condition[0]';
+  return {
+    condition: readDescription(current, lang),
+    temperature: readNumber(current, 'temp_C', path),
+    feelsLike: readNumber(current, 'FeelsLikeC', path),
+    humidity: readNumber(current, 'humidity', path),
+    windSpeed: readNumber(current, 'windspeedKmph', path),
+    windDirection: typeof current.winddir16Point === 'string' ? current.winddir16Point : '',
+    pressure: readNumber(current, 'pressure', path, false),
+    precipitation: readNumber(current, 'precipMM', path, false),
+    visibility: readNumber(current, 'visibility', path, false),
+    uvIndex: readNumber(current, 'uvIndex', path, false),
+    cloudCover: readNumber(current, 'cloudcover', path, false),
+    observedAt: typeof current.observation_time === 'string' ? current.observation_time : '',
+    localTime: parseLocalTime(current.localObsDateTime)
+  };
+}
+
+/**
+ * @param {object} data - Raw j1 payload
+ * @param {string} lang - Language code for descriptions
+ * @returns {ForecastDay[]} Forecast days from weather
+ */
+function parseForecast(data, lang) {
+  if (data.weather === undefined) return [];
+  return requireArray(data.weather, 'weather').map((day, d) => {
+    const dayPath = `weather[${d}]`;
+    const hourly = requireArray(day.hourly || [], `${dayPath}.hourly`).map((hour, h) => {
+      const hourPath = `${dayPath}.hourly[${h}]`;
+      return {
+        time: formatHour(hour.time),
+        condition: readDescription(hour, lang),
+        temperature: readNumber(hour, 'tempC', hourPath),
+        feelsLike: readNumber(hour, 'FeelsLikeC', hourPath, false),
+        chanceOfRain: readNumber(hour, 'chanceofrain', hourPath, false) || 0,
+        windSpeed: readNumber(hour, 'windspeedKmph', hourPath, false),
+        humidity: readNumber(hour, 'humidity', hourPath, false)
+      };
+    });
+    const astronomy = (Array.isArray(day.astronomy) && day.astronomy[0]) || {};
+    const midday = hourly[Math.floor(hourly.length / 2)];
+    return {
+      date: typeof day.date === 'string' ? day.date : '',
+      condition: midday ? midday.condition : 'Unknown',
+      minTemperature: readNumber(day, 'mintempC', dayPath),
+      maxTemperature: readNumber(day, 'maxtempC', dayPath),
+      avgTemperature: readNumber(day, 'avgtempC', dayPath, false),
+      chanceOfRain: hourly.reduce((max, hour) => Math.max(max, hour.chanceOfRain), 0),
+      astronomy: {
+        sunrise: astronomy.sunrise || '',
+        sunset: astronomy.sunset || '',
+        moonrise: astronomy.moonrise || '',
+        moonset: astronomy.moonset || '',
+        moonPhase: astronomy.moon_phase || ''
+      },
+      hourly
+    };
+  });
+}
+
+/**
+ * Converts a raw wttr.in j1 payload into a normalized WeatherReport
+ * @param {object} data - Raw weather data from fetchWeather
+ * @param {object} [options]
+ * @param {string} [options.lang='en'] - Language of the descriptions; wttr.in's `lang_xx` fields are used when present
+ * @returns {WeatherReport} Normalized report with numeric values and explicit units
+ * @throws {WeatherDataError} If the payload is missing required fields or has the wrong shape
+ */
+function parseWeatherReport(data, { lang = 'en' } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new WeatherDataError('expected a JSON object');
+  }
+  return {
+    location: parseLocation(data),
+    units: { ...METRIC_UNITS },
+    current: parseCurrent(data, lang.toLowerCase()),
+    forecast: parseForecast(data, lang.toLowerCase())
+  };
+}
+
+/**
+ * Builds a "City, Region, Country" label for a report location
+ *
+ * The region is left out when it repeats the name, as in "Tokyo, Japan".
+ * @param {WeatherLocation} location - Report location
+ * @returns {string} Location label, or an empty string when unknown
+ */
+function formatLocation(location) {
+  const region = location.region && location.region !== location.name ? location.region : '';
+  return [location.name, region, location.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Counts whole hours since the Unix epoch for a date and time, ignoring time zones
+ * @param {string} date - Date in YYYY-MM-DD
+ * @param {string} time - Time of day in HH:MM
+ * @returns {number} Hours, with minutes as a fraction; NaN when malformed
+ */
+function toHours(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes) / 3600000;
+}
+
+/**
+ * Lists the hourly forecast entries from the location's current local hour onwards
+ *
+ * Entries before the hour of `current.localTime` have already passed. Without
+ * a local time every entry is kept, counted from midnight of the first forecast day.
+ * @param {WeatherReport} report - Normalized weather report
+ * @returns {Array<{date: string, hour: HourlyForecast, offset: number}>} Entries in time order, with
+ *   `offset` the hours from the current local hour (or the first midnight) to the entry
+ */
+function upcomingHours(report) {
+  const entries = report.forecast.flatMap((day) => day.hourly.map((hour) => ({
+    date: day.date,
+    hour,
+    at: toHours(day.date, hour.time)
+  })));
+  if (entries.length === 0) return [];
+
+  const [localDate, localTime] = (report.current.localTime || '').split(' ');
+  const now = localTime ? toHours(localDate, localTime) : NaN;
+  const start = Number.isNaN(now) ? toHours(entries[0].date, '00:00') : Math.floor(now);
+  return entries
+    .filter(({ at }) => at >= start)
+    .map(({ date, hour, at }) => ({ date, hour, offset: at - start }));
+}
+
+module.exports = { parseWeatherReport, formatLocation, upcomingHours, WeatherDataError, METRIC_UNITS };
@@ -0,0 +1,193 @@
+const http = require('http');
+const {
+  WeatherTimeoutError,
+  WeatherApiError,
+  WeatherNetworkError,
+  CityNotFoundError,
+  WeatherDataError,
+  InvalidLocationError
+} = require('./errors');
+const { cacheKey } = require('./cache');
+const { UNIT_NAMES } = require('./units');
+const { LANGUAGE_PATTERN } = require('./config');
+const { HERE } = require('./location');
+
+/**
+ * Error for a request the server rejects before looking anything up
+ */
+class BadRequestError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BadRequestError';
+  }
+}
+
+/**
+ * Wraps an async function so that concurrent calls with the same key share one call
+ *
+ * The shared promise is forgotten once it settles, so later calls start a
+ * new request.
+ * @template T
+ * @param {(...args: *[]) => Promise<T>} fn - Function to wrap
+ * @param {(...args: *[]) => string} keyFor - Builds the key for a call's arguments
+ * @returns {((...args: *[]) => Promise<T>) & {inFlight: () => number}} Wrapped function; inFlight counts pending keys
+ */
+function coalesce(fn, keyFor) {
+  const pending = new Map();
+  const wrapped = (...args) => {
+    const key = keyFor(...args);
+    if (!pending.has(key)) {
+      const promise = Promise.resolve()
+        .then(() => fn(...args))
+        .finally(() => pending.delete(key));
+      pending.set(key, promise);
+    }
+    return pending.get(key);
+  };
+  wrapped.inFlight = () => pending.size;
+  return wrapped;
+}
+
+/**
+ * Picks the HTTP status for a failed lookup
+ * @param {Error} error - Error from the lookup
+ * @returns {number} 400 for bad input, 404 for unknown cities, 502/503/504 for upstream failures, otherwise 500
+ */
+function statusFor(error) {
+  if (error instanceof AggregateError && error.errors.length > 0) {
+    const statuses = new Set(error.errors.map(statusFor));
+    return statuses.size === 1 ? [...statuses][0] : 502;
+  }
+  if (error instanceof BadRequestError || error instanceof InvalidLocationError) return 400;
+  if (error instanceof CityNotFoundError) return 404;
+  if (error instanceof WeatherTimeoutError) return 504;
+  if (error instanceof WeatherApiError) return error.status === 429 ? 503 : 502;
+  if (error instanceof WeatherNetworkError || error instanceof WeatherDataError) return 502;
+  return 500;
+}
+
+/**
+ * Finds the Retry-After delay an upstream API asked for
+ * @param {Error} error - Error from the lookup
+ * @returns {number|null} Delay in milliseconds, or null
+ */
+function retryAfterFor(error) {
+  const errors = error instanceof AggregateError ? error.errors : [error];
+  const delays = errors.map((e) => e.retryAfterMs).filter((ms) => typeof ms === 'number');
+  return delays.length > 0 ? Math.max(...delays) : null;
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Value to serialize
+ * @param {object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    ...headers
+  });
+  res.end(text);
+}
+
+/**
+ * Reads and validates the units, lang and days query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @param {{units: string, lang: string}} defaults - Values used when a parameter is absent
+ * @returns {{units: string, lang: string, days: number}} Validated parameters
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+function readQuery(params, defaults) {
+  const units = params.get('units') || defaults.units;
+  if (!UNIT_NAMES.includes(units)) {
+    throw new BadRequestError(`Unknown units: ${units}. Expected one of ${UNIT_NAMES.join(', ')}`);
+  }
+  const lang = params.get('lang') || defaults.lang;
+  if (!LANGUAGE_PATTERN.test(lang)) {
+    throw new BadRequestError(`Invalid language code: ${lang}`);
+  }
+  const days = params.has('days') ? Number(params.get('days')) : 3;
+  if (!Number.isInteger(days) || days < 1 || days > 3) {
+    throw new BadRequestError('days must be an integer between 1 and 3');
+  }
+  return { units, lang: lang.toLowerCase(), days };
+}
+
+/**
+ * Creates the HTTP API server
+ *
+ * Routes:
+ * - `GET /weather/:city` returns the normalized report
+ * - `GET /forecast/:city` returns the location, units and forecast days (`?days=1-3`)
+ * - `GET /healthz` returns `{ "status": "ok" }`
+ *
+ * The weather routes accept `?units=` and `?lang=`. Concurrent requests for
+ * the same city, units and language share one upstream lookup. Failures are
+ * returned as `{ "error": { "type", "message" } }` with a status from
+ * statusFor.
+ * @param {object} options
+ * @param {(city: string, query: {units: string, lang: string}) => Promise<import('./report').WeatherReport>} options.getReport
+ *   Looks up a report
+ * @param {{units?: string, lang?: string}} [options.defaults] - Query values used when a request has none
+ * @returns {http.Server} Server that is not listening yet
+ */
+function createWeatherServer({ getReport, defaults = {} }) {
+  const queryDefaults = { units: defaults.units || 'metric', lang: defaults.lang || 'en' };
+  const lookup = coalesce(getReport, (city, query) => cacheKey({ city, ...query }));
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const match = /^\/(weather|forecast)\/([^/]+)\/?$/.exec(url.pathname);
+      if (url.pathname !== '/healthz' && !match) {
+        sendJson(res, 404, { error: { type: 'NotFound', message: `No route for ${url.pathname}` } });
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(res, 405, { error: { type: 'MethodNotAllowed', message: `${req.method} is not allowed` } }, { Allow: 'GET, HEAD' });
+        return;
+      }
+      if (!match) {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+
+      let city;
+      try {
+        city = decodeURIComponent(match[2]).trim();
+      } catch {
+        throw new BadRequestError('City is not valid URL encoding');
+      }
+      if (city === '') {
+        throw new BadRequestError('City name is required');
+      }
+      if (city.toLowerCase() === HERE) {
+        // IP lookups would locate this server, not the client
+        throw new BadRequestError(`${HERE} is not available over HTTP`);
+      }
+      const { days, ...query } = readQuery(url.searchParams, queryDefaults);
+      const report = await lookup(city, query);
+      if (match[1] === 'weather') {
+        sendJson(res, 200, report);
+      } else {
+        sendJson(res, 200, { location: report.location, units: report.units, forecast: report.forecast.slice(0, days) });
+      }
+    } catch (error) {
+      const status = statusFor(error);
+      const retryAfterMs = retryAfterFor(error);
+      const headers = status === 503 && retryAfterMs !== null ? { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) } : {};
+      // Unexpected errors may carry internal details, so only their type is returned
+      const message = status === 500 ? 'Internal server error' : error.message;
+      sendJson(res, status, { error: { type: error.name || 'Error', message } }, headers);
+    }
+  });
+}
+
+module.exports = { createWeatherServer, coalesce, statusFor, BadRequestError };
@@ -0,0 +1,124 @@
+const { METRIC_UNITS } = require('./report');
+
+const UNIT_SYSTEMS = Object.freeze({
+  metric: METRIC_UNITS,
+  imperial: Object.freeze({
+    temperature: '°F',
+    speed: 'mph',
+    pressure: 'inHg',
+    precipitation: 'in',
+    visibility: 'mi'
+  }),
+  si: Object.freeze({
+    temperature: '°C',
+    speed: 'm/s',
+    pressure: 'hPa',
+    precipitation: 'mm',
+    visibility: 'km'
+  })
+});
+
+const UNIT_NAMES = Object.keys(UNIT_SYSTEMS);
+
+const KM_PER_MILE = 1.609344;
+const MM_PER_INCH = 25.4;
+const INHG_PER_HPA = 0.0295299830714;
+
+// Converters from the metric unit to each unit a report can use, keyed by unit label
+const CONVERTERS = {
+  '°C': (value) => value,
+  '°F': (value) => value * 9 / 5 + 32,
+  'km/h': (value) => value,
+  mph: (value) => value / KM_PER_MILE,
+  'm/s': (value) => value / 3.6,
+  hPa: (value) => value,
+  inHg: (value) => value * INHG_PER_HPA,
+  mm: (value) => value,
+  in: (value) => value / MM_PER_INCH,
+  km: (value) => value,
+  mi: (value) => value / KM_PER_MILE
+};
+
+/**
+ * Looks up a unit system by name
+ * @param {string} name - One of UNIT_NAMES
+ * @returns {import('./report').WeatherUnits} Units of the system
+ * @throws {Error} If the name is unknown
+ */
+function getUnitSystem(name) {
+  if (!Object.hasOwn(UNIT_SYSTEMS, name)) {
+    throw new Error(`Unknown units: ${name}. Expected one of ${UNIT_NAMES.join(', ')}`);
+  }
+  return UNIT_SYSTEMS[name];
+}
+
+/**
+ * Converts a metric measurement into another unit, rounded to one decimal place
+ * @param {number|null} value - Value in the matching METRIC_UNITS unit
+ * @param {string} unit - Target unit label, e.g. "mph"
+ * @returns {number|null} Converted value; null and undefined are passed through
+ */
+function convertValue(value, unit) {
+  if (value === null || value === undefined) return value;
+  return Math.round(CONVERTERS[unit](value) * 10) / 10;
+}
+
+/**
+ * Converts a temperature in any supported unit to Celsius
+ * @param {number} value - Temperature
+ * @param {string} unit - Unit label, e.g. "°F"
+ * @returns {number} Temperature in Celsius
+ */
+function toCelsius(value, unit) {
+  return unit === '°F' ? (value - 32) * 5 / 9 : value;
+}
+
+/**
+ * Converts a metric report into another unit system
+ *
+ * Converted values are rounded to one decimal place. Missing optional
+ * measurements stay null.
+ * @param {import('./report').WeatherReport} report - Report in METRIC_UNITS, as every provider returns
+ * @param {string} [name='metric'] - Target unit system, one of UNIT_NAMES
+ * @returns {import('./report').WeatherReport} New report in the target units
+ * @throws {Error} If the unit system is unknown or the report is not metric
+ */
+function convertReport(report, name = 'metric') {
+  const units = getUnitSystem(name);
+  for (const [kind, unit] of Object.entries(METRIC_UNITS)) {
+    if (report.units[kind] !== unit) {
+      throw new Error(`Expected a metric report, got ${kind} in ${report.units[kind]}`);
+    }
+  }
+  if (name === 'metric') return report;
+
+  const convert = (kind, value) => convertValue(value, units[kind]);
+  const { current } = report;
+  return {
+    ...report,
+    units: { ...units },
+    current: {
+      ...current,
+      temperature: convert('temperature', current.temperature),
+      feelsLike: convert('temperature', current.feelsLike),
+      windSpeed: convert('speed', current.windSpeed),
+      pressure: convert('pressure', current.pressure),
+      precipitation: convert('precipitation', current.precipitation),
+      visibility: convert('visibility', current.visibility)
+    },
+    forecast: report.forecast.map((day) => ({
+      ...day,
+      minTemperature: convert('temperature', day.minTemperature),
+      maxTemperature: convert('temperature', day.maxTemperature),
+      avgTemperature: convert('temperature', day.avgTemperature),
+      hourly: day.hourly.map((hour) => ({
+        ...hour,
+        temperature: convert('temperature', hour.temperature),
+        feelsLike: convert('temperature', hour.feelsLike),
+        windSpeed: convert('speed', hour.windSpeed)
+      }))
+    }))
+  };
+}
+
+module.exports = { convertReport, convertValue, getUnitSystem, toCelsius, UNIT_SYSTEMS, UNIT_NAMES };
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatLocation } = require('./report');
+const { isTransientError } = require('./errors');
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const ABORTED = Symbol('aborted');
+
+/**
+ * @typedef {object} WeatherSample
+ * @property {string} time - When the sample was taken, as an ISO 8601 string
+ * @property {string} location - "City, Region, Country" label of the report, or an empty string
+ * @property {string} condition - Weather description
+ * @property {number} temperature - Air temperature
+ * @property {number} feelsLike - Apparent temperature
+ * @property {number|null} chanceOfRain - Today's highest chance of rain in percent, or null without a forecast
+ * @property {string} unit - Temperature unit, e.g. "°C"
+ */
+
+/**
+ * Resolves the default history file
+ * @param {object} [env=process.env] - Environment variables
+ * @returns {string} $XDG_STATE_HOME/weather/history.jsonl, or ~/.local/state/weather/history.jsonl
+ */
+function getHistoryPath(env = process.env) {
+  const base = env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return path.join(base, 'weather', 'history.jsonl');
+}
+
+/**
+ * Reduces a report to the values watch mode compares and records
+ * @param {import('./report').WeatherReport} report - Normalized weather report
+ * @param {number} now - Sample time in ms since the epoch
+ * @returns {WeatherSample} Sample
+ */
+function toSample(report, now) {
+  const [today] = report.forecast;
+  return {
+    time: new Date(now).toISOString(),
+    location: formatLocation(report.location),
+    condition: report.current.condition,
+    temperature: report.current.temperature,
+    feelsLike: report.current.feelsLike,
+    chanceOfRain: today ? today.chanceOfRain : null,
+    unit: report.units.temperature
+  };
+}
+
+/**
+ * Formats a signed difference such as "+1.5" or "-2"
+ * @param {number} delta - Difference
+ * @returns {string} Difference with its sign, rounded to one decimal place
+ */
+function formatDelta(delta) {
+  const rounded = Math.round(delta * 10) / 10;
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * Lists what changed between two samples
+ * @param {WeatherSample|null} previous - Earlier sample, or null for the first one
+ * @param {WeatherSample} current - New sample
+ * @returns {string[]} One description per changed value; every value for the first sample
+ */
+function diffSamples(previous, current) {
+  const rain = (sample) => (sample.chanceOfRain === null ? '-' : `${sample.chanceOfRain}%`);
+  if (!previous) {
+    return [
+      `Condition: ${current.condition}`,
+      `Temperature: ${current.temperature}${current.unit}`,
+      `Rain chance: ${rain(current)}`
+    ];
+  }
+
+  const changes = [];
+  if (current.condition !== previous.condition) {
+    changes.push(`Condition: ${previous.condition} → ${current.condition}`);
+  }
+  if (current.temperature !== previous.temperature) {
+    changes.push(`Temperature: ${previous.temperature}${previous.unit} → ${current.temperature}${current.unit}`
+      + ` (${formatDelta(current.temperature - previous.temperature)})`);
+  }
+  if (current.chanceOfRain !== previous.chanceOfRain) {
+    changes.push(`Rain chance: ${rain(previous)} → ${rain(current)}`);
+  }
+  return changes;
+}
+
+/**
+ * Appends a sample as one JSON line, creating the file and its directory when needed
+ * @param {string} file - History file path
+ * @param {WeatherSample} sample - Sample to record
+ * @returns {Promise<void>}
+ */
+async function appendHistory(file, sample) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, `${JSON.stringify(sample)}\n`);
+}
+
+/**
+ * Computes the wait before the next poll
+ * @param {number} intervalMs - Regular polling interval
+ * @param {number} failures - Consecutive failed polls so far
+ * @returns {number} The interval, doubled for every consecutive failure and capped at
+ *   MAX_BACKOFF_MS (or the interval, when that is longer)
+ */
+function nextDelay(intervalMs, failures) {
+  return Math.min(intervalMs * (2 ** failures), Math.max(intervalMs, MAX_BACKOFF_MS));
+}
+
+/**
+ * Waits for a number of milliseconds, resolving early when the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Signal that ends the wait
+ * @returns {Promise<void>} Resolves after the delay or on abort
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Settles like the promise, or resolves with ABORTED as soon as the signal aborts
+ * @template T
+ * @param {Promise<T>} promise - Promise to wait for
+ * @param {AbortSignal} signal - Signal that ends the wait
+ * @returns {Promise<T|symbol>} Result of the promise, or ABORTED
+ */
+function raceAbort(promise, signal) {
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.resolve(ABORTED);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => resolve(ABORTED);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Polls for reports until the signal aborts
+ *
+ * Every successful poll is appended to the history file and reported
+ * through onSample with what changed since the previous sample. Polls that
+ * fail with a transient error (network, timeout, 429 or 5xx) are reported
+ * through onError and make the next poll wait longer; the first success
+ * resets the interval. Any other error, such as an unknown city, cannot be
+ * fixed by waiting and ends the loop by being thrown. Aborting ends the loop
+ * right away, without waiting for a poll that is still in flight.
+ * @param {object} options
+ * @param {() => Promise<import('./report').WeatherReport>} options.fetchReport - Fetches one report
+ * @param {number} options.intervalMs - Time between polls
+ * @param {AbortSignal} options.signal - Stops watching when aborted
+ * @param {string|null} [options.historyFile=null] - JSONL file to append samples to
+ * @param {(sample: WeatherSample, changes: string[]) => void} [options.onSample] - Called after every successful poll
+ * @param {(error: Error, retryInMs: number) => void} [options.onError] - Called after every poll that failed transiently
+ * @param {() => number} [options.now=Date.now] - Clock, for tests
+ * @param {(ms: number, signal: AbortSignal) => Promise<void>} [options.wait=sleep] - Delay function, for tests
+ * @returns {Promise<{samples: number, failures: number}>} Number of successful and failed polls
+ * @throws {Error} The first error that is not transient, see isTransientError
+ */
+async function watchWeather({
+  fetchReport,
+  intervalMs,
+  signal,
+  historyFile = null,
+  onSample = () => {},
+  onError = () => {},
+  now = Date.now,
+  wait = sleep
+}) {
+  let previous = null;
+  let consecutiveFailures = 0;
+  const totals = { samples: 0, failures: 0 };
+
+  while (!signal.aborted) {
+    try {
+      const report = await raceAbort(fetchReport(), signal);
+      if (report === ABORTED) break;
+      const sample = toSample(report, now());
+      if (historyFile) {
+        await appendHistory(historyFile, sample);
+      }
+      onSample(sample, diffSamples(previous, sample));
+      previous = sample;
+      consecutiveFailures = 0;
+      totals.samples++;
+    } catch (error) {
+      if (signal.aborted) break;
+      if (!isTransientError(error)) throw error;
+      consecutiveFailures++;
+      totals.failures++;
+      onError(error, nextDelay(intervalMs, consecutiveFailures));
+    }
+    await wait(nextDelay(intervalMs, consecutiveFailures), signal);
+  }
+  return totals;
+}
+
+module.exports = {
+  watchWeather,
+  toSample,
+  diffSamples,
+  appendHistory,
+  nextDelay,
+  getHistoryPath,
+  MAX_BACKOFF_MS
+};
@@ -1,67 +1,952 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const { program } = require('commander');
+const fs = require('fs');
+const { program, Option, InvalidArgumentError } = require('commander');
+const {
+  formatWeather,
+  formatForecast,
+  formatComparison,
+  shouldUseColor,
+  OUTPUT_FORMATS,
+  FORECAST_FORMATS
+} = require('./format');
+const {
+  parseProviderList,
+  createProviders,
+  getReportFromProviders,
+  PROVIDER_NAMES,
+  DEFAULT_PROVIDERS
+} = require('./providers');
+const { createCache, cacheKey, DEFAULT_CACHE_TTL_MS } = require('./cache');
+const { parseDuration, formatDuration } = require('./duration');
+const { watchWeather, getHistoryPath } = require('./watch');
+const { createWeatherServer } = require('./serve');
+const {
+  formatChart,
+  supportsUnicode,
+  DEFAULT_CHART_HOURS,
+  MIN_CHART_HOURS,
+  MAX_CHART_HOURS
+} = require('./chart');
+const { exitCodeFor, EXIT_CODES, LocationMismatchError } = require('./errors');
+const { parseLocationQuery, describeMismatch, HERE } = require('./location');
+const { mapWithConcurrency } = require('./concurrency');
+const { parseAlert, evaluateAlerts, formatAlerts } = require('./alerts');
+const { DEFAULT_RETRY } = require('./http');
+const { convertReport, UNIT_NAMES } = require('./units');
+const { fetchWeather, WTTR_BASE_URL } = require('./wttr');
+const { geocodeCity } = require('./openmeteo');
+const {
+  getConfigPath,
+  loadConfig,
+  saveConfig,
+  assertConfigKey,
+  setConfigValue,
+  unsetConfigValue,
+  resolveSettings,
+  resolveFavorite,
+  loadDotEnv,
+  CONFIG_KEY_NAMES,
+  LANGUAGE_PATTERN
+} = require('./config');
 
-const WTTR_BASE_URL = 'https://wttr.in';
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_WATCH_INTERVAL_MS = 10 * 60 * 1000;
+const MIN_WATCH_INTERVAL_MS = 30 * 1000;
 
 /**
- * Fetches weather data for a given city from wttr.in API
- * @param {string} city - The city name to fetch weather for
- * @returns {Promise<object>} Weather data in JSON format
- * @throws {Error} If city is not provided or API call fails
+ * Works out whether a report is for a different place than requested
+ *
+ * Cities are compared with the place an independent geocoder (Open-Meteo)
+ * finds for the query, so "Paris" cannot pass as Paris, Texas. Offline, or
+ * when `lenient` is set and geocoding fails, only the names are compared.
+ * @param {string|import('./location').LocationQuery} requested - Location argument or parsed query
+ * @param {import('./report').WeatherReport} report - Report to check
+ * @param {object} [options]
+ * @param {object} [options.providerOptions={}] - Per-provider options; `open-meteo` ones configure geocoding
+ * @param {object} [options.retry] - Retry settings for the geocoding request
+ * @param {boolean} [options.offline=false] - Never make a request
+ * @param {boolean} [options.lenient=false] - Fall back to comparing names instead of throwing when geocoding fails
+ * @returns {Promise<string|null>} Label of the resolved location, or null when it matches
+ * @throws {import('./errors').WeatherError} If geocoding fails and lenient is not set
  */
-async function fetchWeather(city) {
-  if (!city || typeof city !== 'string' || city.trim() === '') {
-    throw new Error('City name is required');
+async function findLocationMismatch(requested, report, {
+  providerOptions = {},
+  retry,
+  offline = false,
+  lenient = false
+} = {}) {
+  const location = typeof requested === 'string' ? parseLocationQuery(requested) : requested;
+  let expected = null;
+  if (location.type === 'city' && !offline) {
+    try {
+      expected = await geocodeCity(location.text, { ...providerOptions['open-meteo'], retry });
+    } catch (error) {
+      if (!lenient) throw error;
+    }
   }
+  return describeMismatch(location, report.location, { expected });
+}
 
-  const url = `${WTTR_BASE_URL}/${encodeURIComponent(city.trim())}?format=j1`;
+/**
+ * Tells the user on stderr that a report could not be stored in the cache
+ * @param {Error} error - Error from cache.set
+ */
+function warnCacheWriteFailed(error) {
+  console.error(`Warning: could not write the cache: ${error.message}`);
+}
 
-  try {
-    const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'weather-cli/1.0.0'
-      }
-    });
+/**
+ * Fetches weather for a city and converts it into a normalized report
+ *
+ * When a cache is given, a fresh cached report is returned without any
+ * request, and new reports are stored. Reports served from the cache carry
+ * `cachedAt` and `stale`.
+ * @param {string} city - City name, "lat,lon" coordinates, IATA airport code or HERE
+ * @param {object} [options]
+ * @param {string[]} [options.providers=DEFAULT_PROVIDERS] - Provider names in fallback order
+ * @param {object} [options.providerOptions] - Per-provider options keyed by provider name
+ * @param {object} [options.retry] - Retry settings passed to every provider
+ * @param {string} [options.units='metric'] - Unit system of the report, one of UNIT_NAMES
+ * @param {string} [options.lang='en'] - Language code for weather descriptions
+ * @param {ReturnType<import('./cache').createCache>|null} [options.cache=null] - Response cache to read and update
+ * @param {boolean} [options.offline=false] - Serve cached data of any age and never make a request
+ * @param {boolean} [options.strict=false] - Fail when the report is for a different location than requested.
+ *   Cities are checked against Open-Meteo's geocoding of the query, except in offline mode
+ * @param {(error: Error) => void} [options.onCacheError] - Called when the report cannot be stored; warns on stderr by default
+ * @returns {Promise<import('./report').WeatherReport>} Normalized weather report from the cache or the first provider that succeeds
+ * @throws {Error} If city is not provided, a provider name is unknown, or offline mode has nothing cached
+ * @throws {import('./errors').InvalidLocationError} If coordinates are out of range
+ * @throws {LocationMismatchError} In strict mode, if the report is for a different location
+ * @throws {import('./errors').WeatherError} If the only provider fails
+ * @throws {AggregateError} If every provider fails
+ */
+async function getWeatherReport(city, {
+  providers = DEFAULT_PROVIDERS,
+  providerOptions = {},
+  retry,
+  units = 'metric',
+  lang = 'en',
+  cache = null,
+  offline = false,
+  strict = false,
+  onCacheError = warnCacheWriteFailed
+} = {}) {
+  const location = parseLocationQuery(city);
+  if (offline && !cache) {
+    throw new Error('Offline mode requires the cache');
+  }
+  const checked = async (report) => {
+    if (!strict) return report;
+    const mismatch = await findLocationMismatch(location, report, { providerOptions, retry, offline });
+    if (mismatch) {
+      throw new LocationMismatchError(location.text, mismatch);
+    }
+    return report;
+  };
+
+  const key = cache && cacheKey({ city: location.text, units, lang });
+  if (cache) {
+    const entry = await cache.get(key);
+    if (entry && (entry.fresh || offline)) {
+      return checked({ ...entry.value, cachedAt: new Date(entry.storedAt).toISOString(), stale: !entry.fresh });
+    }
+    if (offline) {
+      throw new Error(`No cached weather for "${location.text}" (offline mode)`);
+    }
+  }
+
+  const providerList = createProviders(providers, providerOptions, { retry });
+  const report = convertReport(await getReportFromProviders(location.text, providerList, { lang }), units);
+  if (cache) {
+    // The report is already in hand, so a cache that cannot be written must not fail the lookup
+    try {
+      await cache.set(key, report);
+    } catch (error) {
+      onCacheError(error);
+    }
+  }
+  return checked(report);
+}
+
+/**
+ * Fetches reports for several cities with bounded concurrency
+ *
+ * A failure for one city does not stop the others. Cities that only differ
+ * in case or spacing are looked up once.
+ * @param {string[]} cities - City names in display order
+ * @param {object} [options] - Options for getWeatherReport, plus:
+ * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Maximum number of lookups in flight
+ * @returns {Promise<import('./format').CityResult[]>} One result per distinct city, in order
+ */
+async function getWeatherReports(cities, { concurrency = DEFAULT_CONCURRENCY, ...options } = {}) {
+  const seen = new Set();
+  const unique = [];
+  for (const city of cities) {
+    const name = typeof city === 'string' ? city.trim() : city;
+    const key = typeof name === 'string' ? name.replace(/\s+/g, ' ').toLowerCase() : name;
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(name);
+    }
+  }
+  return mapWithConcurrency(unique, concurrency, async (city) => {
+    try {
+      return { city, report: await getWeatherReport(city, options) };
+    } catch (error) {
+      return { city, error };
+    }
+  });
+}
 
-    if (!response.data) {
-      throw new Error('Empty response from weather API');
+/**
+ * Picks the exit code for a multi-city lookup
+ * @param {import('./format').CityResult[]} results - Lookup results
+ * @returns {number} 0 when every city succeeded, EXIT_CODES.partial when some failed,
+ *   or the code for the failures when all failed
+ */
+function exitCodeForResults(results) {
+  const errors = results.filter((result) => result.error).map((result) => result.error);
+  if (errors.length === 0) return 0;
+  if (errors.length < results.length) return EXIT_CODES.partial;
+  return exitCodeFor(new AggregateError(errors));
+}
+
+/**
+ * Parses a list of cities, one per line
+ *
+ * Blank lines and lines starting with "#" are ignored.
+ * @param {string} text - File contents
+ * @returns {string[]} City names
+ */
+function parseCityList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== '' && !line.startsWith('#'));
+}
+
+/**
+ * Reads the cities to look up from the arguments and an optional --file
+ *
+ * "@name" entries are replaced by the favorite of that name, except for
+ * HERE. Without any city, the default city is used.
+ * @param {string[]} args - Cities given on the command line
+ * @param {object} [options]
+ * @param {string} [options.file] - Path of a file with one city per line
+ * @param {object} [options.config={}] - Settings as returned by loadConfig, for favorites
+ * @param {string} [options.defaultCity] - City used when none is given
+ * @param {boolean} [options.here=false] - Look up the location of this machine instead of any city
+ * @param {boolean} [options.airport=false] - Treat every city as an IATA airport code, in any case
+ * @returns {Promise<string[]>} Cities from the arguments followed by those from the file; airport codes upper-case
+ * @throws {Error} If no city is given at all, a favorite does not exist, or here is combined with cities or airport
+ * @throws {import('./errors').InvalidLocationError} If airport is set and a city is not three letters
+ */
+async function resolveCities(args, { file, config = {}, defaultCity, here = false, airport = false } = {}) {
+  const cities = [...args];
+  if (file) {
+    cities.push(...parseCityList(await fs.promises.readFile(file, 'utf8')));
+  }
+  if (here) {
+    if (cities.length > 0 || airport) {
+      throw new Error(`--here cannot be combined with ${airport ? '--airport' : 'cities'}`);
     }
+    return [HERE];
+  }
+  if (cities.length === 0 && defaultCity) {
+    cities.push(defaultCity);
+  }
+  if (cities.length === 0) {
+    throw new Error('At least one city is required (pass cities or --file, or run "weather config set city <name>")');
+  }
+  const resolved = cities.map((city) => (city.trim().toLowerCase() === HERE ? HERE : resolveFavorite(city, config)));
+  // Upper case is what marks three letters as an airport code from here on
+  return airport ? resolved.map((city) => parseLocationQuery(city, { airport: true }).text) : resolved;
+}
 
-    return response.data;
+/**
+ * Parses the --concurrency option
+ * @param {string} value - Raw option value
+ * @returns {number} Number of parallel lookups between 1 and 16
+ * @throws {InvalidArgumentError} If the value is not an integer between 1 and 16
+ */
+function parseConcurrency(value) {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 16) {
+    throw new InvalidArgumentError('Must be an integer between 1 and 16.');
+  }
+  return concurrency;
+}
+
+/**
+ * Parses one --alert option and adds it to the rules given so far
+ * @param {string} value - Alert expression such as "temp_C>30"
+ * @param {import('./alerts').AlertRule[]} [previous=[]] - Rules from earlier --alert options
+ * @returns {import('./alerts').AlertRule[]} All rules
+ * @throws {InvalidArgumentError} If the expression is invalid
+ */
+function collectAlert(value, previous = []) {
+  try {
+    return [...previous, parseAlert(value)];
   } catch (error) {
-    if (error.response) {
-      throw new Error(`API error: ${error.response.status} - ${error.response.statusText}`);
-    } else if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout: Weather API did not respond in time');
-    } else if (error.code === 'ENOTFOUND') {
-      throw new Error('Network error: Unable to reach weather API');
+    throw new InvalidArgumentError(`${error.message}.`);
+  }
+}
+
+/**
+ * Evaluates alert rules for every successful lookup and converts the reports for display
+ * @param {import('./format').CityResult[]} results - Lookup results; metric when rules are given
+ * @param {import('./alerts').AlertRule[]} rules - Rules from --alert
+ * @param {string} units - Unit system to display
+ * @returns {{results: import('./format').CityResult[], alerts: string[]}} Results to display and one block of
+ *   alert lines per city with matches
+ */
+function applyAlerts(results, rules, units) {
+  if (rules.length === 0) {
+    return { results, alerts: [] };
+  }
+  const alerts = [];
+  const converted = results.map((result) => {
+    if (!result.report) return result;
+    const matched = evaluateAlerts(result.report, rules);
+    if (matched.length > 0) {
+      alerts.push(formatAlerts(matched, results.length === 1 ? undefined : result.city));
     }
-    throw error;
+    return { ...result, report: convertReport(result.report, units) };
+  });
+  return { results: converted, alerts };
+}
+
+/**
+ * Parses the --provider option
+ * @param {string} value - Comma-separated provider names
+ * @returns {string[]} Provider names in fallback order
+ * @throws {InvalidArgumentError} If a provider is unknown
+ */
+function parseProviders(value) {
+  try {
+    return parseProviderList(value);
+  } catch (error) {
+    throw new InvalidArgumentError(`${error.message}.`);
+  }
+}
+
+/**
+ * Parses the --cache-ttl option
+ * @param {string} value - Duration such as "10m"
+ * @returns {number} TTL in milliseconds
+ * @throws {InvalidArgumentError} If the value is not a duration
+ */
+function parseTtl(value) {
+  try {
+    return parseDuration(value);
+  } catch (error) {
+    throw new InvalidArgumentError(`${error.message}.`);
+  }
+}
+
+/**
+ * Parses the --retries option
+ * @param {string} value - Raw option value
+ * @returns {number} Number of retries between 0 and 10
+ * @throws {InvalidArgumentError} If the value is not an integer between 0 and 10
+ */
+function parseRetries(value) {
+  const retries = Number(value);
+  if (!Number.isInteger(retries) || retries < 0 || retries > 10) {
+    throw new InvalidArgumentError('Must be an integer between 0 and 10.');
+  }
+  return retries;
+}
+
+/**
+ * Parses the --lang option
+ * @param {string} value - Language code such as "ja" or "zh-tw"
+ * @returns {string} Lower-case language code
+ * @throws {InvalidArgumentError} If the value does not look like a language code
+ */
+function parseLang(value) {
+  if (!LANGUAGE_PATTERN.test(value)) {
+    throw new InvalidArgumentError('Must be a language code such as en, ja or zh-tw.');
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Adds the provider, units, language and retry options shared by every command that fetches weather
+ * @param {import('commander').Command} command - Command to extend
+ * @param {object} [defaults={}] - Configured values that replace the built-in defaults
+ * @returns {import('commander').Command} The same command
+ */
+function addSourceOptions(command, defaults = {}) {
+  const provider = defaults.provider || DEFAULT_PROVIDERS.join(',');
+  return command
+    .addOption(new Option('-p, --provider <names>', `Providers to try in order (${PROVIDER_NAMES.join(', ')})`)
+      .env('WEATHER_PROVIDER')
+      .argParser(parseProviders)
+      .default(parseProviderList(provider), provider))
+    .addOption(new Option('-u, --units <system>', 'Unit system')
+      .choices(UNIT_NAMES)
+      .env('WEATHER_UNITS')
+      .default(defaults.units || 'metric'))
+    .addOption(new Option('-l, --lang <code>', 'Language of weather descriptions (e.g. ja)')
+      .env('WEATHER_LANG')
+      .argParser(parseLang)
+      .default(defaults.lang || 'en'))
+    .addOption(new Option('--retries <count>', 'Retries for timeouts, 429 and 5xx responses (0-10)')
+      .env('WEATHER_RETRIES')
+      .argParser(parseRetries)
+      .default(defaults.retries ?? DEFAULT_RETRY.retries));
+}
+
+/**
+ * Adds the source options plus the cache options shared by every one-off lookup command
+ * @param {import('commander').Command} command - Command to extend
+ * @param {object} [defaults={}] - Configured values that replace the built-in defaults
+ * @returns {import('commander').Command} The same command
+ */
+function addLookupOptions(command, defaults = {}) {
+  const cacheTtl = defaults.cacheTtl || '10m';
+  return addSourceOptions(command, defaults)
+    .option('--no-cache', 'Always fetch fresh data and do not store it')
+    .option('--offline', 'Only use cached data, even if it is stale')
+    .addOption(new Option('--cache-ttl <duration>', 'How long cached data stays fresh (e.g. 90s, 10m, 1h)')
+      .env('WEATHER_CACHE_TTL')
+      .argParser(parseTtl)
+      .default(cacheTtl === '10m' ? DEFAULT_CACHE_TTL_MS : parseDuration(cacheTtl), cacheTtl));
+}
+
+/**
+ * Adds the --here, --airport and --strict options shared by every command that looks up a single place
+ * @param {import('commander').Command} command - Command to extend
+ * @returns {import('commander').Command} The same command
+ */
+function addLocationOptions(command) {
+  return command
+    .option('--here', `Use the location of this machine, found by IP address (same as ${HERE})`)
+    .option('--airport', 'Treat three-letter locations as IATA airport codes in any case (upper case always is)')
+    .option('--strict', `Exit with ${EXIT_CODES.locationMismatch} when the provider resolves a different location`);
+}
+
+/**
+ * Parses the --interval option of the watch command
+ * @param {string} value - Duration such as "10m"
+ * @returns {number} Interval in milliseconds
+ * @throws {InvalidArgumentError} If the value is not a duration of at least MIN_WATCH_INTERVAL_MS
+ */
+function parseInterval(value) {
+  const intervalMs = parseTtl(value);
+  if (intervalMs < MIN_WATCH_INTERVAL_MS) {
+    throw new InvalidArgumentError(`Must be at least ${formatDuration(MIN_WATCH_INTERVAL_MS)}.`);
   }
+  return intervalMs;
+}
+
+/**
+ * Parses the --hours option of the chart command
+ * @param {string} value - Raw option value
+ * @returns {number} Number of hours between MIN_CHART_HOURS and MAX_CHART_HOURS
+ * @throws {InvalidArgumentError} If the value is out of range
+ */
+function parseHours(value) {
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < MIN_CHART_HOURS || hours > MAX_CHART_HOURS) {
+    throw new InvalidArgumentError(`Must be an integer between ${MIN_CHART_HOURS} and ${MAX_CHART_HOURS}.`);
+  }
+  return hours;
+}
+
+/**
+ * Parses the --width option of the chart command
+ * @param {string} value - Raw option value
+ * @returns {number} Width in columns, at least 20
+ * @throws {InvalidArgumentError} If the value is not an integer of at least 20
+ */
+function parseWidth(value) {
+  const width = Number(value);
+  if (!Number.isInteger(width) || width < 20) {
+    throw new InvalidArgumentError('Must be an integer of at least 20.');
+  }
+  return width;
+}
+
+/**
+ * Parses the --port option of the serve command
+ * @param {string} value - Raw option value
+ * @returns {number} Port between 0 and 65535; 0 picks a free port
+ * @throws {InvalidArgumentError} If the value is not a valid port
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new InvalidArgumentError('Must be an integer between 0 and 65535.');
+  }
+  return port;
+}
+
+/**
+ * Builds getWeatherReport options from parsed CLI options
+ * @param {object} options - Options parsed by commander
+ * @returns {object} Options for getWeatherReport
+ */
+function reportOptions(options) {
+  return {
+    providers: options.provider,
+    retry: { retries: options.retries },
+    units: options.units,
+    lang: options.lang,
+    cache: options.cache ? createCache({ ttlMs: options.cacheTtl }) : null,
+    offline: Boolean(options.offline),
+    strict: Boolean(options.strict)
+  };
+}
+
+/**
+ * Tells the user on stderr when a report came from stale cached data
+ * @param {import('./report').WeatherReport} report - Report about to be printed
+ * @param {string} [city] - City the report is for, when several are printed
+ */
+function warnIfStale(report, city) {
+  if (report.stale) {
+    const subject = city ? ` for ${city}` : '';
+    console.error(`Warning: showing cached data${subject} from ${report.cachedAt} (stale)`);
+  }
+}
+
+/**
+ * Tells the user on stderr when a report is for a different place than requested
+ *
+ * Strict lookups have already been checked and are skipped.
+ * @param {string} city - Location that was requested
+ * @param {import('./report').WeatherReport} report - Report about to be printed
+ * @param {object} [lookup={}] - Options the report was fetched with, as built by reportOptions
+ * @returns {Promise<void>}
+ */
+async function warnIfMismatched(city, report, lookup = {}) {
+  if (lookup.strict) return;
+  const mismatch = await findLocationMismatch(city, report, {
+    providerOptions: lookup.providerOptions,
+    retry: lookup.retry,
+    offline: lookup.offline,
+    lenient: true
+  });
+  if (mismatch) {
+    console.error(`Warning: "${city.trim()}" resolved to ${mismatch}`);
+  }
+}
+
+/**
+ * Prints an error and exits with the code that matches its type
+ * @param {Error} error - Error to report
+ */
+function handleError(error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(exitCodeFor(error));
+}
+
+/**
+ * Formats cache statistics for display
+ * @param {object} stats - Output of cache.stats()
+ * @returns {string} One statistic per line
+ */
+function formatCacheStats(stats) {
+  return [
+    `Directory: ${stats.dir}`,
+    `Entries:   ${stats.entries} (${stats.fresh} fresh, ${stats.stale} stale)`,
+    `Size:      ${stats.bytes} bytes`,
+    `Oldest:    ${stats.oldest || '-'}`,
+    `Newest:    ${stats.newest || '-'}`
+  ].join('\n');
+}
+
+/**
+ * Formats effective settings for `weather config list`
+ * @param {Object<string, {value: *, source: string}>} settings - Output of resolveSettings
+ * @param {string} file - Config file path
+ * @returns {string} One setting per line after the file path
+ */
+function formatSettings(settings, file) {
+  const entries = Object.entries(settings);
+  if (entries.length === 0) {
+    return `Config file: ${file}\nNo settings configured`;
+  }
+  const width = Math.max(...entries.map(([key]) => key.length));
+  return [
+    `Config file: ${file}`,
+    ...entries.map(([key, { value, source }]) => `${key.padEnd(width)} = ${value}${source === 'config' ? '' : ` (${source})`}`)
+  ].join('\n');
+}
+
+/**
+ * Parses the --days option of the forecast command
+ * @param {string} value - Raw option value
+ * @returns {number} Number of days between 1 and 3
+ * @throws {InvalidArgumentError} If the value is not an integer between 1 and 3
+ */
+function parseDays(value) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > 3) {
+    throw new InvalidArgumentError('Must be an integer between 1 and 3.');
+  }
+  return days;
 }
 
 /**
  * Main CLI entry point
  */
 async function main() {
+  let config;
+  let settings;
+  const configProblems = [];
+  let configDiscarded = false;
+  try {
+    loadDotEnv();
+    // Problems in the file are collected rather than thrown, so `config set` and `config unset` can repair it
+    config = await loadConfig(getConfigPath(), {
+      onInvalid: (message, { discarded }) => {
+        configProblems.push(message);
+        configDiscarded = configDiscarded || discarded;
+      }
+    });
+    settings = resolveSettings(config);
+  } catch (error) {
+    handleError(error);
+    return;
+  }
+  const defaults = Object.fromEntries(Object.entries(settings).map(([key, { value }]) => [key, value]));
+
   program
     .name('weather')
     .description('CLI tool to fetch weather information')
     .version('1.0.0')
-    .argument('<city>', 'City name to fetch weather for')
-    .action(async (city) => {
+    .argument('[cities...]', 'City names or @favorites to fetch weather for; several cities are shown as a comparison')
+    .option('--file <path>', 'Read additional cities from a file, one per line')
+    .option('-c, --concurrency <count>', 'Cities to fetch in parallel (1-16)', parseConcurrency, DEFAULT_CONCURRENCY)
+    .option('-a, --alert <rule>', `Exit with ${EXIT_CODES.alert} when a rule such as "temp_C>30" matches the current `
+      + 'conditions or forecast (repeatable)', collectAlert)
+    .option('-q, --quiet', 'Print nothing but errors; only the exit code tells the result')
+    .addOption(new Option('-f, --format <format>', 'Output format')
+      .choices(OUTPUT_FORMATS)
+      .env('WEATHER_FORMAT')
+      .default(defaults.format || 'text'))
+    .option('--no-color', 'Disable colored output');
+  addLookupOptions(addLocationOptions(program), defaults)
+    .action(async (args, options) => {
       try {
-        const weatherData = await fetchWeather(city);
-        console.log(JSON.stringify(weatherData, null, 2));
+        const cities = await resolveCities(args, {
+          file: options.file,
+          config,
+          defaultCity: defaults.city,
+          here: options.here,
+          airport: options.airport
+        });
+        const color = options.color && shouldUseColor(process.stdout);
+        const lookup = reportOptions(options);
+        // Alert thresholds are metric, so fetch metric reports and convert them for display afterwards
+        const rules = options.alert || [];
+        const fetchOptions = rules.length > 0 ? { ...lookup, units: 'metric' } : lookup;
+        const fetched = cities.length === 1
+          ? [{ city: cities[0], report: await getWeatherReport(cities[0], fetchOptions) }]
+          : await getWeatherReports(cities, { ...fetchOptions, concurrency: options.concurrency });
+        const { results, alerts } = applyAlerts(fetched, rules, options.units);
+
+        for (const { city, report, error } of results) {
+          if (error) {
+            console.error(`Error: ${city}: ${error.message}`);
+          } else if (!options.quiet) {
+            await warnIfMismatched(city, report, fetchOptions);
+            warnIfStale(report, cities.length === 1 ? undefined : city);
+          }
+        }
+        if (!options.quiet) {
+          const output = cities.length === 1
+            ? formatWeather(results[0].report, { format: options.format, color })
+            : formatComparison(results, { format: options.format, color });
+          if (output) {
+            console.log(output);
+          }
+          if (alerts.length > 0) {
+            // Keep JSON output parseable by sending alerts to stderr
+            (options.format === 'json' ? console.error : console.log)(alerts.join('\n'));
+          }
+        }
+        process.exitCode = exitCodeForResults(results) || (alerts.length > 0 ? EXIT_CODES.alert : 0);
       } catch (error) {
-        console.error(`Error: ${error.message}`);
-        process.exit(1);
+        handleError(error);
       }
     });
 
+  const forecast = program
+    .command('forecast')
+    .description('Show the daily forecast, optionally with hourly rows')
+    .argument('[city]', 'City name or @favorite to fetch the forecast for')
+    .option('-d, --days <days>', 'Number of days to show (1-3)', parseDays, 3)
+    .option('--hourly', 'Show hourly rows for each day')
+    .addOption(new Option('-f, --format <format>', 'Output format')
+      .choices(FORECAST_FORMATS)
+      .default(FORECAST_FORMATS.includes(defaults.format) ? defaults.format : 'text'))
+    .option('--no-color', 'Disable colored output');
+  addLookupOptions(addLocationOptions(forecast), defaults)
+    .action(async (city, options) => {
+      try {
+        const [resolved] = await resolveCities(city ? [city] : [], {
+          config,
+          defaultCity: defaults.city,
+          here: options.here,
+          airport: options.airport
+        });
+        const lookup = reportOptions(options);
+        const report = await getWeatherReport(resolved, lookup);
+        const color = options.color && shouldUseColor(process.stdout);
+        await warnIfMismatched(resolved, report, lookup);
+        warnIfStale(report);
+        console.log(formatForecast(report, {
+          days: options.days,
+          hourly: Boolean(options.hourly),
+          format: options.format,
+          color
+        }));
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  const chart = program
+    .command('chart')
+    .description('Chart hourly temperature and chance of rain')
+    .argument('[city]', 'City name or @favorite to chart')
+    .option('--hours <hours>', `Hours to cover from the current hour (${MIN_CHART_HOURS}-${MAX_CHART_HOURS})`, parseHours, DEFAULT_CHART_HOURS)
+    .option('-w, --width <columns>', 'Chart width (default: terminal width)', parseWidth)
+    .option('--ascii', 'Draw with plain ASCII characters')
+    .option('--no-color', 'Disable colored output');
+  addLookupOptions(addLocationOptions(chart), defaults)
+    .action(async (city, options) => {
+      try {
+        const [resolved] = await resolveCities(city ? [city] : [], {
+          config,
+          defaultCity: defaults.city,
+          here: options.here,
+          airport: options.airport
+        });
+        const lookup = reportOptions(options);
+        const report = await getWeatherReport(resolved, lookup);
+        await warnIfMismatched(resolved, report, lookup);
+        warnIfStale(report);
+        console.log(formatChart(report, {
+          hours: options.hours,
+          width: options.width || process.stdout.columns || 80,
+          unicode: !options.ascii && supportsUnicode(),
+          color: options.color && shouldUseColor(process.stdout)
+        }));
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  const watch = program
+    .command('watch')
+    .description('Poll the weather on a timer and print what changed (Ctrl+C to stop)')
+    .argument('[city]', 'City name or @favorite to watch')
+    .addOption(new Option('-i, --interval <duration>', 'Time between polls (e.g. 30s, 10m, 1h)')
+      .argParser(parseInterval)
+      .default(DEFAULT_WATCH_INTERVAL_MS, formatDuration(DEFAULT_WATCH_INTERVAL_MS)))
+    .option('--history <file>', 'JSONL file every sample is appended to', getHistoryPath())
+    .option('--no-history', 'Do not record samples');
+  addSourceOptions(addLocationOptions(watch), defaults)
+    .action(async (city, options) => {
+      try {
+        const [resolved] = await resolveCities(city ? [city] : [], {
+          config,
+          defaultCity: defaults.city,
+          here: options.here,
+          airport: options.airport
+        });
+        parseLocationQuery(resolved);
+        const lookup = reportOptions(options);
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        let warned = false;
+        console.log(`Watching ${resolved.trim()} every ${formatDuration(options.interval)} (Ctrl+C to stop)`);
+        const totals = await watchWeather({
+          fetchReport: async () => {
+            const report = await getWeatherReport(resolved, lookup);
+            if (!warned) {
+              await warnIfMismatched(resolved, report, lookup);
+              warned = true;
+            }
+            return report;
+          },
+          intervalMs: options.interval,
+          signal: controller.signal,
+          historyFile: options.history || null,
+          onSample: (sample, changes) => {
+            if (changes.length > 0) {
+              console.log(`[${sample.time}] ${changes.join('; ')}`);
+            }
+          },
+          onError: (error, retryInMs) => {
+            console.error(`Error: ${error.message} (next attempt in ${formatDuration(retryInMs)})`);
+          }
+        });
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+
+        console.log(`Stopped after ${totals.samples} ${totals.samples === 1 ? 'sample' : 'samples'}`);
+        // A poll that was still in flight must not keep the process alive
+        process.exit(0);
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  const serve = program
+    .command('serve')
+    .description('Serve weather reports as JSON over HTTP (GET /weather/:city, /forecast/:city, /healthz)')
+    .addOption(new Option('--port <number>', 'Port to listen on (0 picks a free port)')
+      .env('WEATHER_PORT')
+      .argParser(parsePort)
+      .default(8080))
+    .option('--host <address>', 'Address to listen on', '127.0.0.1');
+  addLookupOptions(serve, defaults)
+    .action(async (options) => {
+      try {
+        const lookup = reportOptions(options);
+        const server = createWeatherServer({
+          getReport: (city, query) => getWeatherReport(city, { ...lookup, ...query }),
+          defaults: { units: options.units, lang: options.lang }
+        });
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(options.port, options.host, resolve);
+        });
+        const { address, port } = server.address();
+        const host = address.includes(':') ? `[${address}]` : address;
+        console.log(`Listening on http://${host}:${port} (Ctrl+C to stop)`);
+
+        const stop = () => {
+          server.close(() => process.exit(0));
+          // Keep-alive connections would otherwise hold the server open
+          server.closeIdleConnections();
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  const cache = program
+    .command('cache')
+    .description('Manage cached weather responses');
+
+  cache
+    .command('clear')
+    .description('Delete every cached response')
+    .action(async () => {
+      try {
+        const removed = await createCache().clear();
+        console.log(`Removed ${removed} cached ${removed === 1 ? 'response' : 'responses'}`);
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  cache
+    .command('stats')
+    .description('Show the number, size and age of cached responses')
+    .addOption(new Option('--cache-ttl <duration>', 'TTL used to count fresh entries')
+      .env('WEATHER_CACHE_TTL')
+      .argParser(parseTtl)
+      .default(DEFAULT_CACHE_TTL_MS, '10m'))
+    .option('--json', 'Print the statistics as JSON')
+    .action(async (options) => {
+      try {
+        const stats = await createCache({ ttlMs: options.cacheTtl }).stats();
+        console.log(options.json ? JSON.stringify(stats, null, 2) : formatCacheStats(stats));
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  const configCommand = program
+    .command('config')
+    .description(`Show and change saved settings and favorites (${getConfigPath()})`);
+
+  // Invalid settings are dropped one by one, but a file that is not a JSON object was read as
+  // empty, and saving over it would silently lose everything the user wrote there
+  const saveRepairedConfig = async (updated) => {
+    if (configDiscarded) {
+      throw new Error(`Refusing to overwrite ${getConfigPath()}, which could not be read; fix or remove it first`);
+    }
+    await saveConfig(updated);
+  };
+
+  configCommand
+    .command('list')
+    .description('Show every configured setting and favorite, including environment overrides')
+    .option('--json', 'Print the settings as JSON')
+    .action((options) => {
+      console.log(options.json ? JSON.stringify(defaults, null, 2) : formatSettings(settings, getConfigPath()));
+    });
+
+  configCommand
+    .command('get')
+    .description('Print the effective value of a setting')
+    .argument('<key>', 'Setting name, or favorites.<name>')
+    .action((key) => {
+      try {
+        assertConfigKey(key);
+        if (!settings[key]) {
+          throw new Error(`${key} is not set`);
+        }
+        console.log(settings[key].value);
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  configCommand
+    .command('set')
+    .description('Save a setting, e.g. "units imperial" or "favorites.home Hiroshima"')
+    .argument('<key>', `Setting name (${CONFIG_KEY_NAMES.join(', ')}), or favorites.<name>`)
+    .argument('<value>', 'New value')
+    .action(async (key, value) => {
+      try {
+        const updated = setConfigValue(config, key, value);
+        await saveRepairedConfig(updated);
+        console.log(`Saved ${key}`);
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  configCommand
+    .command('unset')
+    .description('Remove a setting or favorite')
+    .argument('<key>', 'Setting name, or favorites.<name>')
+    .action(async (key) => {
+      try {
+        await saveRepairedConfig(unsetConfigValue(config, key));
+        console.log(`Removed ${key}`);
+      } catch (error) {
+        handleError(error);
+      }
+    });
+
+  program.hook('preAction', (_, actionCommand) => {
+    if (configProblems.length === 0) return;
+    if (actionCommand.parent !== configCommand) {
+      handleError(new Error(configProblems[0]));
+      return;
+    }
+    for (const message of configProblems) {
+      console.error(`Warning: ${message}; ignoring it`);
+    }
+  });
+
   await program.parseAsync(process.argv);
 }
 
@@ -69,4 +954,27 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { fetchWeather, WTTR_BASE_URL };
+module.exports = {
+  fetchWeather,
+  getWeatherReport,
+  getWeatherReports,
+  findLocationMismatch,
+  warnIfMismatched,
+  exitCodeForResults,
+  parseCityList,
+  resolveCities,
+  parseConcurrency,
+  parseInterval,
+  parsePort,
+  parseHours,
+  parseWidth,
+  collectAlert,
+  applyAlerts,
+  parseDays,
+  parseProviders,
+  parseRetries,
+  parseLang,
+  formatCacheStats,
+  formatSettings,
+  WTTR_BASE_URL
+};
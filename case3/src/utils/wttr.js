@@ -0,0 +1,70 @@
+const { getJson } = require('./http');
+const { CityNotFoundError, WeatherApiError } = require('./errors');
+const { parseWeatherReport } = require('./report');
+const { parseLocationQuery } = require('./location');
+
+const WTTR_BASE_URL = 'https://wttr.in';
+
+/**
+ * Checks that a city argument is a non-empty string
+ * @param {*} city - Value to check
+ * @throws {Error} If city is not a non-empty string
+ */
+function assertCity(city) {
+  if (!city || typeof city !== 'string' || city.trim() === '') {
+    throw new Error('City name is required');
+  }
+}
+
+/**
+ * Fetches weather data for a given city from wttr.in API
+ *
+ * Besides city names, wttr.in understands "lat,lon" coordinates and IATA
+ * airport codes, and locates the caller by IP address for HERE. wttr.in reads
+ * any three letters as an airport code, so three-letter city names such as
+ * "Rio" are sent as a "~" place search instead.
+ * @param {string} city - City name, coordinates, airport code or HERE
+ * @param {object} [options]
+ * @param {string} [options.baseUrl=WTTR_BASE_URL] - wttr.in compatible server to query
+ * @param {object} [options.retry] - Retry settings passed to getJson
+ * @param {string} [options.lang='en'] - Language code; other languages add `lang_xx` descriptions
+ * @returns {Promise<object>} Weather data in JSON format
+ * @throws {Error} If city is not provided
+ * @throws {import('./errors').InvalidLocationError} If coordinates are out of range
+ * @throws {CityNotFoundError} If wttr.in does not know the location
+ * @throws {import('./errors').WeatherError} If the API call fails
+ */
+async function fetchWeather(city, { baseUrl = WTTR_BASE_URL, retry, lang = 'en' } = {}) {
+  const location = parseLocationQuery(city);
+
+  const query = lang === 'en' ? 'format=j1' : `format=j1&lang=${encodeURIComponent(lang)}`;
+  const search = location.type === 'city' && /^[A-Za-z]{3}$/.test(location.text) ? '~' : '';
+  const path = location.type === 'here' ? '' : `${search}${encodeURIComponent(location.text)}`;
+  const url = `${baseUrl}/${path}?${query}`;
+  try {
+    return await getJson(url, { retry });
+  } catch (error) {
+    if (error instanceof WeatherApiError && error.status === 404) {
+      throw new CityNotFoundError(location.text, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates the wttr.in weather provider
+ * @param {object} [options]
+ * @param {string} [options.baseUrl=WTTR_BASE_URL] - wttr.in compatible server to query
+ * @param {object} [options.retry] - Retry settings passed to getJson
+ * @returns {import('./providers').WeatherProvider} Provider backed by the wttr.in j1 API
+ */
+function createWttrProvider({ baseUrl = WTTR_BASE_URL, retry } = {}) {
+  return {
+    name: 'wttr',
+    async getReport(city, { lang = 'en' } = {}) {
+      return parseWeatherReport(await fetchWeather(city, { baseUrl, retry, lang }), { lang });
+    }
+  };
+}
+
+module.exports = { fetchWeather, createWttrProvider, assertCity, WTTR_BASE_URL };
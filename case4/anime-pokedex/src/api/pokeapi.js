@@ -0,0 +1,473 @@
+/**
+ * PokéAPIクライアント - 全コンポーネントで共有するリクエスト・キャッシュ・エラー処理
+ */
+
+const POKEAPI_BASE_URL = 'https://pokeapi.co/api/v2/';
+const POKEAPI_GRAPHQL_URL = 'https://beta.pokeapi.co/graphql/v1beta';
+
+// Species with their English and Japanese (kana and kanji) names in one request
+const SPECIES_NAMES_QUERY = `
+  query speciesNames {
+    species: pokemon_v2_pokemonspecies(order_by: { id: asc }) {
+      id
+      name
+      names: pokemon_v2_pokemonspeciesnames(
+        where: { pokemon_v2_language: { name: { _in: ["en", "ja-Hrkt", "ja"] } } }
+      ) {
+        name
+        language: pokemon_v2_language { name }
+      }
+    }
+  }
+`;
+
+// PokéAPI data rarely changes, so cached responses stay valid for a day
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+const DB_NAME = 'anime-pokedex';
+const DB_STORE = 'pokeapi';
+const STORAGE_PREFIX = 'anime-pokedex:pokeapi:';
+
+/**
+ * PokéAPIエラーの基底クラス
+ */
+export class PokeApiError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {string} url - リクエストURL
+   */
+  constructor(message, url) {
+    super(message);
+    this.name = 'PokeApiError';
+    this.url = url;
+  }
+}
+
+/**
+ * 指定されたリソースが存在しない場合のエラー（HTTP 404）
+ */
+export class PokeApiNotFoundError extends PokeApiError {
+  /**
+   * @param {string} url - リクエストURL
+   */
+  constructor(url) {
+    super(`Not found: ${resourceKey(url)}`, url);
+    this.name = 'PokeApiNotFoundError';
+    this.status = 404;
+  }
+}
+
+/**
+ * 404以外のHTTPエラー
+ */
+export class PokeApiHttpError extends PokeApiError {
+  /**
+   * @param {string} url - リクエストURL
+   * @param {number} status - HTTPステータスコード
+   */
+  constructor(url, status) {
+    super(`PokéAPI request failed with status ${status}`, url);
+    this.name = 'PokeApiHttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * 通信エラーまたは不正なレスポンス本文
+ */
+export class PokeApiNetworkError extends PokeApiError {
+  /**
+   * @param {string} url - リクエストURL
+   * @param {Error} cause - 元のエラー
+   */
+  constructor(url, cause) {
+    super('Could not reach PokéAPI', url);
+    this.name = 'PokeApiNetworkError';
+    this.cause = cause;
+  }
+}
+
+const memoryCache = new Map();
+const inFlight = new Map();
+
+/**
+ * URLまたはパスをキャッシュキー（例: "pokemon/25"）に正規化する
+ * @param {string} pathOrUrl - APIのパスまたは完全なURL
+ * @returns {string} キャッシュキー
+ */
+function resourceKey(pathOrUrl) {
+  const path = pathOrUrl.startsWith(POKEAPI_BASE_URL)
+    ? pathOrUrl.slice(POKEAPI_BASE_URL.length)
+    : pathOrUrl.replace(/^\/+/, '');
+  // ".../pokemon/25/" from list responses and ".../pokemon/25" are the same resource
+  return path.replace(/\/+(?=\?|$)/, '').toLowerCase();
+}
+
+let databasePromise = null;
+
+/**
+ * キャッシュ用のIndexedDBを開く
+ * @returns {Promise<IDBDatabase|null>} データベース（利用できない場合はnull）
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      try {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        // Private browsing modes may refuse IndexedDB; fall back to localStorage
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * localStorageを取得する（利用できない場合はnull）
+ * @returns {Storage|null} localStorage
+ */
+function getLocalStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 永続キャッシュからエントリを読み込む
+ * @param {string} key - キャッシュキー
+ * @returns {Promise<{data: Object, expires: number}|null>} キャッシュエントリ
+ */
+async function readPersistent(key) {
+  const db = await openDatabase();
+  if (db) {
+    return new Promise(resolve => {
+      try {
+        const request = db.transaction(DB_STORE).objectStore(DB_STORE).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+
+  const storage = getLocalStorage();
+  if (!storage) return null;
+  try {
+    return JSON.parse(storage.getItem(STORAGE_PREFIX + key));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 永続キャッシュにエントリを書き込む（失敗しても無視する）
+ * @param {string} key - キャッシュキー
+ * @param {{data: Object, expires: number}|null} entry - キャッシュエントリ（nullで削除）
+ */
+async function writePersistent(key, entry) {
+  const db = await openDatabase();
+  if (db) {
+    try {
+      const store = db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE);
+      if (entry) {
+        store.put(entry, key);
+      } else {
+        store.delete(key);
+      }
+    } catch {
+      // Caching is best-effort
+    }
+    return;
+  }
+
+  const storage = getLocalStorage();
+  if (!storage) return;
+  try {
+    if (entry) {
+      storage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+    } else {
+      storage.removeItem(STORAGE_PREFIX + key);
+    }
+  } catch {
+    // Quota exceeded - large responses simply stay in memory only
+  }
+}
+
+/**
+ * ネットワークからJSONを取得する
+ * @param {string} url - リクエストURL
+ * @param {Object} [init] - fetchのオプション
+ * @returns {Promise<Object>} レスポンス本文
+ */
+async function fetchJson(url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw new PokeApiNetworkError(url, error);
+  }
+
+  if (response.status === 404) {
+    throw new PokeApiNotFoundError(url);
+  }
+  if (!response.ok) {
+    throw new PokeApiHttpError(url, response.status);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new PokeApiNetworkError(url, error);
+  }
+}
+
+/**
+ * AbortSignalが中断されたら拒否されるPromiseを返す
+ * @param {Promise} promise - 元のPromise
+ * @param {AbortSignal} [signal] - 中断シグナル
+ * @returns {Promise} 元の結果、または中断時にsignal.reasonで拒否されるPromise
+ */
+function withSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * キャッシュキーに対応するデータをキャッシュ付きで読み込む
+ *
+ * メモリ、IndexedDB（なければlocalStorage）の順にキャッシュを参照し、
+ * 同じキーへの同時リクエストは1回の通信にまとめる。
+ * signalで中断すると呼び出し元には即座にAbortErrorが返るが、共有している通信自体は
+ * 続行され、結果は次回のためにキャッシュされる。
+ * @param {string} key - キャッシュキー
+ * @param {Function} load - キャッシュがない場合にデータを取得する関数
+ * @param {Object} options - オプションオブジェクト
+ * @param {number} options.ttl - キャッシュの有効期間（ミリ秒）
+ * @param {AbortSignal} options.signal - 中断シグナル
+ * @returns {Promise<Object>} データ
+ */
+function cachedRequest(key, load, options = {}) {
+  const { ttl = DEFAULT_TTL, signal } = options;
+
+  const cached = memoryCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return withSignal(Promise.resolve(cached.data), signal);
+  }
+
+  if (inFlight.has(key)) {
+    return withSignal(inFlight.get(key), signal);
+  }
+
+  const promise = (async () => {
+    const stored = await readPersistent(key);
+    if (stored && stored.expires > Date.now()) {
+      memoryCache.set(key, stored);
+      return stored.data;
+    }
+    if (stored) {
+      writePersistent(key, null);
+    }
+
+    const data = await load();
+    const entry = { data, expires: Date.now() + ttl };
+    memoryCache.set(key, entry);
+    writePersistent(key, entry);
+    return data;
+  })();
+
+  inFlight.set(key, promise);
+  promise.then(
+    () => inFlight.delete(key),
+    () => inFlight.delete(key)
+  );
+  return withSignal(promise, signal);
+}
+
+/**
+ * PokéAPIのリソースをキャッシュ付きで取得する
+ * @param {string} pathOrUrl - APIのパス（例: "pokemon/25"）または完全なURL
+ * @param {Object} options - オプションオブジェクト（ttl, signal）
+ * @returns {Promise<Object>} レスポンス本文
+ */
+export function getResource(pathOrUrl, options = {}) {
+  const key = resourceKey(pathOrUrl);
+  return cachedRequest(key, () => fetchJson(`${POKEAPI_BASE_URL}${key}`), options);
+}
+
+/**
+ * PokéAPIのGraphQLエンドポイントにクエリをキャッシュ付きで送る
+ * @param {string} key - キャッシュキー
+ * @param {string} query - GraphQLクエリ
+ * @param {Object} options - オプションオブジェクト（ttl, signal）
+ * @returns {Promise<Object>} レスポンスのdata
+ */
+function graphqlRequest(key, query, options = {}) {
+  return cachedRequest(`graphql/${key}`, async () => {
+    const body = await fetchJson(POKEAPI_GRAPHQL_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query }),
+    });
+    // GraphQL reports query errors with a 200 status
+    if (body.errors?.length) {
+      throw new PokeApiError(body.errors[0].message, POKEAPI_GRAPHQL_URL);
+    }
+    return body.data;
+  }, options);
+}
+
+/**
+ * メモリと永続キャッシュを全て削除する
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+  memoryCache.clear();
+
+  const db = await openDatabase();
+  if (db) {
+    try {
+      db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE).clear();
+    } catch {
+      // Nothing to clear
+    }
+    return;
+  }
+
+  const storage = getLocalStorage();
+  if (!storage) return;
+  Object.keys(storage)
+    .filter(key => key.startsWith(STORAGE_PREFIX))
+    .forEach(key => storage.removeItem(key));
+}
+
+/**
+ * 全てのポケモンタイプを取得する
+ * @returns {Promise<Array>} タイプオブジェクト（name, url）の配列
+ */
+export async function fetchTypes() {
+  const data = await getResource('type');
+  return data.results;
+}
+
+/**
+ * 指定されたタイプのポケモン一覧を取得する
+ * @param {string} typeName - タイプ名
+ * @param {Object} options - getResourceのオプション
+ * @returns {Promise<Array>} ポケモンオブジェクト（name, url）の配列
+ */
+export async function fetchPokemonByType(typeName, options = {}) {
+  const data = await getResource(`type/${typeName}`, options);
+  return data.pokemon.map(p => p.pokemon);
+}
+
+/**
+ * ポケモンの詳細データを取得する
+ * @param {number|string} idOrUrl - ポケモンID、名前、またはAPIのURL
+ * @param {Object} options - getResourceのオプション
+ * @returns {Promise<Object>} ポケモン詳細データ
+ */
+export function fetchPokemon(idOrUrl, options = {}) {
+  const value = String(idOrUrl);
+  return getResource(value.startsWith(POKEAPI_BASE_URL) ? value : `pokemon/${value}`, options);
+}
+
+/**
+ * ポケモンの種族データを取得する
+ * @param {number|string} id - ポケモンIDまたは名前
+ * @param {Object} options - getResourceのオプション
+ * @returns {Promise<Object>} 種族データ
+ */
+export function fetchPokemonSpecies(id, options = {}) {
+  return getResource(`pokemon-species/${id}`, options);
+}
+
+/**
+ * 名前の配列から、指定した言語の名前を優先順に探す
+ * @param {Array} names - 名前（name, language）の配列
+ * @param {...string} languages - 優先順の言語名
+ * @returns {string|null} 名前。見つからなければnull
+ */
+function nameIn(names, ...languages) {
+  for (const language of languages) {
+    const entry = names.find(n => n.language.name === language);
+    if (entry) return entry.name;
+  }
+  return null;
+}
+
+/**
+ * ポケモン種族の英語名と日本語名をRESTの種族データから取得する
+ * @param {number|string} id - ポケモンIDまたは名前
+ * @param {Object} options - getResourceのオプション
+ * @returns {Promise<Object>} 名前（englishName, japaneseName）
+ */
+export async function fetchSpeciesNames(id, options = {}) {
+  const species = await fetchPokemonSpecies(id, options);
+  return {
+    englishName: nameIn(species.names, 'en'),
+    japaneseName: nameIn(species.names, 'ja-Hrkt', 'ja'),
+  };
+}
+
+/**
+ * 検索用に全てのポケモン種族の番号と名前を取得する
+ *
+ * 全種族の名前はGraphQLエンドポイントから1回で取得する。ベータ版のため失敗した場合は
+ * RESTの種族一覧にフォールバックし、japaneseNamesをfalseにして英語のID名だけを返す。
+ * その場合でも、個々の種族の名前はfetchSpeciesNamesで補える。
+ * @param {Object} options - オプションオブジェクト
+ * @param {AbortSignal} options.signal - 中断シグナル
+ * @returns {Promise<Object>} 番号順の種族（id, name, englishName, japaneseName）の配列speciesと、
+ *   日本語名を取得できたかどうかのjapaneseNames
+ */
+export async function fetchPokemonNames(options = {}) {
+  const { signal } = options;
+  try {
+    const data = await graphqlRequest('species-names', SPECIES_NAMES_QUERY, { signal });
+    const species = data.species.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      englishName: nameIn(entry.names, 'en'),
+      japaneseName: nameIn(entry.names, 'ja-Hrkt', 'ja'),
+    }));
+    return { species, japaneseNames: true };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+  }
+
+  const data = await getResource('pokemon-species?limit=100000', { signal });
+  const species = data.results.map(entry => ({
+    id: Number(resourceKey(entry.url).split('/').pop()),
+    name: entry.name,
+    englishName: null,
+    japaneseName: null,
+  }));
+  return { species, japaneseNames: false };
+}
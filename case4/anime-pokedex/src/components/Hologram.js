@@ -3,35 +3,7 @@
  */
 
 import { animate, createTimeline } from 'animejs';
-
-const POKEAPI_POKEMON_URL = 'https://pokeapi.co/api/v2/pokemon/';
-const POKEAPI_SPECIES_URL = 'https://pokeapi.co/api/v2/pokemon-species/';
-
-/**
- * ポケモンの詳細データ（体重・身長含む）を取得する
- * @param {number} id - ポケモンID
- * @returns {Promise<Object>} ポケモン詳細データ
- */
-async function fetchPokemonDetails(id) {
-  const response = await fetch(`${POKEAPI_POKEMON_URL}${id}`);
-  if (!response.ok) {
-    throw new Error('Failed to fetch Pokemon details');
-  }
-  return response.json();
-}
-
-/**
- * ポケモンの種族データ（フレーバーテキスト用）を取得する
- * @param {number} id - ポケモンID
- * @returns {Promise<Object>} 種族データ
- */
-async function fetchPokemonSpecies(id) {
-  const response = await fetch(`${POKEAPI_SPECIES_URL}${id}`);
-  if (!response.ok) {
-    throw new Error('Failed to fetch Pokemon species');
-  }
-  return response.json();
-}
+import { fetchPokemon, fetchPokemonSpecies } from '../api/pokeapi.js';
 
 /**
  * 最新のフレーバーテキストを日本語または英語で取得する
@@ -69,10 +41,11 @@ function formatTypes(types) {
  * @param {Object} options - オプションオブジェクト
  * @param {Function} options.onClose - 閉じるボタンクリック時のコールバック
  * @param {Function} options.onNext - 次へボタンクリック時のコールバック
- * @returns {HTMLElement} ホログラム要素
+ * @param {AbortSignal} options.signal - 中断シグナル（中断されるとAbortErrorで拒否する）
+ * @returns {HTMLElement} ホログラム要素（destroy()でタイマー・アニメーションを止めて取り除く）
  */
 export async function createHologram(pokemon, options = {}) {
-  const { onClose, onNext } = options;
+  const { onClose, onNext, signal } = options;
   
   const container = document.createElement('div');
   container.className = 'hologram-container';
@@ -115,41 +88,71 @@ export async function createHologram(pokemon, options = {}) {
     </div>
   `;
 
+  // Ignore further clicks once the hologram is fading out
+  let isClosing = false;
+
+  // Everything destroy() has to release
+  const listeners = new AbortController();
+  const animations = new Set();
+  const frames = [];
+  let counterTimer = null;
+
+  // Start an animation that destroy() can pause
+  const track = (animation) => {
+    animations.add(animation);
+    animation.then(() => animations.delete(animation));
+    return animation;
+  };
+
+  // Remove listeners, cancel timers, pause animations and detach the element
+  container.destroy = () => {
+    listeners.abort();
+    frames.forEach(frame => cancelAnimationFrame(frame));
+    clearTimeout(counterTimer);
+    animations.forEach(animation => animation.pause());
+    animations.clear();
+    container.remove();
+  };
+
   // Add close button handler
   const closeBtn = container.querySelector('.hologram-close');
   closeBtn.addEventListener('click', async () => {
+    if (isClosing) return;
+    isClosing = true;
     // Fade out animation with smoother easing
-    const closeAnim = animate(container, {
+    const closeAnim = track(animate(container, {
       opacity: [1, 0],
       scale: [1, 0.95],
       duration: 400,
       ease: 'easeInCubic',
-    });
+    }));
     await closeAnim.finished;
     if (onClose) onClose();
-    container.remove();
-  });
+    container.destroy();
+  }, { signal: listeners.signal });
 
   // Add next button handler
   const nextBtn = container.querySelector('.hologram-next');
   nextBtn.addEventListener('click', async () => {
+    if (isClosing) return;
+    isClosing = true;
     // Fade out animation with smoother easing
-    const nextAnim = animate(container, {
+    const nextAnim = track(animate(container, {
       opacity: [1, 0],
       scale: [1, 0.95],
       duration: 400,
       ease: 'easeInCubic',
-    });
+    }));
     await nextAnim.finished;
-    container.remove();
+    container.destroy();
     if (onNext) onNext();
-  });
+  }, { signal: listeners.signal });
 
   // Fetch additional data
   try {
     const [details, species] = await Promise.all([
-      fetchPokemonDetails(pokemon.id),
-      fetchPokemonSpecies(pokemon.id)
+      fetchPokemon(pokemon.id, { signal }),
+      fetchPokemonSpecies(pokemon.id, { signal })
     ]);
 
     // Update stats
@@ -165,6 +168,8 @@ export async function createHologram(pokemon, options = {}) {
     const flavorText = getLatestFlavorText(species.flavor_text_entries);
     descEl.innerHTML = `<p>${flavorText}</p>`;
   } catch (error) {
+    // A cancelled hologram is never shown, so let the caller see the abort
+    if (signal?.aborted) throw error;
     console.error('Failed to fetch Pokemon data:', error);
     const statsEl = container.querySelector('.hologram-stats');
     statsEl.innerHTML = '<p class="error-text">Failed to load stats</p>';
@@ -196,11 +201,11 @@ export async function createHologram(pokemon, options = {}) {
     });
 
     // Create timeline animation with smoother defaults
-    const timeline = createTimeline({
+    const timeline = track(createTimeline({
       defaults: {
         ease: 'easeOutCubic',
       }
-    });
+    }));
 
     // Container fade in - smoother and slightly longer
     timeline.add(container, {
@@ -254,9 +259,9 @@ export async function createHologram(pokemon, options = {}) {
     const targetId = parseInt(idNumberElement.getAttribute('data-target-id'), 10);
     
     // Start counter animation after header panel starts fading in (800ms delay)
-    setTimeout(() => {
+    counterTimer = setTimeout(() => {
       const counterObj = { value: 0 };
-      animate(counterObj, {
+      track(animate(counterObj, {
         value: targetId,
         duration: 1000,
         ease: 'easeOutExpo',
@@ -268,7 +273,7 @@ export async function createHologram(pokemon, options = {}) {
           );
           idNumberElement.textContent = paddedValue;
         }
-      });
+      }));
     }, 800);
 
     // Stats panel fades in
@@ -289,9 +294,9 @@ export async function createHologram(pokemon, options = {}) {
   };
 
   // Start animations on next frame (after DOM insertion)
-  requestAnimationFrame(() => {
-    requestAnimationFrame(startAnimations);
-  });
+  frames.push(requestAnimationFrame(() => {
+    frames.push(requestAnimationFrame(startAnimations));
+  }));
 
   return container;
 }
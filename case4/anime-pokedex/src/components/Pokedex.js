@@ -4,10 +4,19 @@
 
 import { animate } from 'animejs';
 import { createTypeSelector } from './TypeSelector.js';
-import { getRandomPokemon, createRandomPokemonDisplay, displayPokemon } from './RandomPokemon.js';
+import { createPokemonSearch } from './PokemonSearch.js';
+import { getPokemon, getRandomPokemon, createRandomPokemonDisplay, displayPokemon } from './RandomPokemon.js';
 import { createHologram } from './Hologram.js';
 
-export function createPokedex() {
+/**
+ * ポケモン図鑑コンポーネントを作成する
+ * @param {Object} options - オプションオブジェクト
+ * @param {Window|HTMLElement} options.scrollContainer - 開閉用のスクロールを監視する要素（既定はwindow）
+ * @returns {HTMLElement} ポケモン図鑑要素（destroy()でリスナー・タイマー・アニメーションを解放する）
+ */
+export function createPokedex(options = {}) {
+  const { scrollContainer = window } = options;
+
   const pokedex = document.createElement('div');
   pokedex.className = 'pokedex';
   pokedex.innerHTML = `
@@ -66,26 +75,38 @@ export function createPokedex() {
   let isOpened = false;
   let isAnimating = false;
 
+  // Everything destroy() has to release
+  const listeners = new AbortController();
+  const animations = new Set();
+
+  // Start an animation that destroy() can pause
+  const runAnimation = (target, params) => {
+    const animation = animate(target, params);
+    animations.add(animation);
+    animation.then(() => animations.delete(animation));
+    return animation;
+  };
+
   // Open animation - smoother with easeInOutCubic and longer duration
   const openPokedex = async () => {
     if (isOpened || isAnimating) return;
     isAnimating = true;
 
     // Hide hint with smooth fade
-    animate(hint, {
+    runAnimation(hint, {
       opacity: [1, 0],
       duration: 400,
       ease: 'easeOutCubic',
     });
 
     // Animate both pages simultaneously with smoother easing
-    const leftPageAnim = animate(leftPage, {
+    const leftPageAnim = runAnimation(leftPage, {
       rotateY: [0, -180],
       duration: 1200,
       ease: 'easeInOutCubic',
     });
 
-    animate(rightPage, {
+    runAnimation(rightPage, {
       rotateY: [0, 180],
       duration: 1200,
       ease: 'easeInOutCubic',
@@ -100,7 +121,7 @@ export function createPokedex() {
     content.classList.remove('hidden');
     
     // Fade in content with smooth animation
-    const contentAnim = animate(content, {
+    const contentAnim = runAnimation(content, {
       opacity: [0, 1],
       scale: [0.95, 1],
       duration: 600,
@@ -119,7 +140,7 @@ export function createPokedex() {
     isAnimating = true;
 
     // Fade out content first
-    const contentAnim = animate(content, {
+    const contentAnim = runAnimation(content, {
       opacity: [1, 0],
       scale: [1, 0.95],
       duration: 500,
@@ -138,13 +159,13 @@ export function createPokedex() {
     rightPage.style.transform = 'rotateY(180deg)';
 
     // Animate pages closing with smooth easing
-    const leftPageAnim = animate(leftPage, {
+    const leftPageAnim = runAnimation(leftPage, {
       rotateY: [-180, 0],
       duration: 1200,
       ease: 'easeInOutCubic',
     });
 
-    animate(rightPage, {
+    runAnimation(rightPage, {
       rotateY: [180, 0],
       duration: 1200,
       ease: 'easeInOutCubic',
@@ -153,7 +174,7 @@ export function createPokedex() {
     await leftPageAnim.finished;
 
     // Show hint again
-    animate(hint, {
+    runAnimation(hint, {
       opacity: [0, 1],
       duration: 400,
       ease: 'easeOutCubic',
@@ -183,21 +204,41 @@ export function createPokedex() {
   };
 
   // Add scroll listener when component is mounted
-  setTimeout(() => {
-    window.addEventListener('wheel', handleScroll, { passive: false });
-    window.addEventListener('touchmove', handleScroll, { passive: false });
+  const listenerTimer = setTimeout(() => {
+    scrollContainer.addEventListener('wheel', handleScroll, { passive: false, signal: listeners.signal });
+    scrollContainer.addEventListener('touchmove', handleScroll, { passive: false, signal: listeners.signal });
   }, 100);
 
   // Create Pokemon display component
   const pokemonDisplay = createRandomPokemonDisplay();
   pokemonDisplayArea.appendChild(pokemonDisplay);
 
-  // Track current type for Next button functionality
-  let currentType = null;
+  // Only the latest selection may render; older loads are aborted
+  let loadController = null;
+  let hologramTimer = null;
+  let currentHologram = null;
+
+  // Abort any pending load and remove the hologram shown for it
+  function cancelPokemonLoad() {
+    if (loadController) {
+      loadController.abort();
+      loadController = null;
+    }
+    clearTimeout(hologramTimer);
+    hologramTimer = null;
+    if (currentHologram) {
+      currentHologram.destroy();
+      currentHologram = null;
+    }
+  }
 
   // Function to show Pokemon and hologram
-  async function showPokemonWithHologram(typeName) {
-    currentType = typeName;
+  // loadPokemon(signal) fetches the Pokemon to show; showNext runs on the hologram's Next button
+  async function showPokemonWithHologram(loadPokemon, showNext) {
+    cancelPokemonLoad();
+    const controller = new AbortController();
+    loadController = controller;
+    const { signal } = controller;
     
     // Show loading state
     typeSelectorWrapper.classList.add('hidden');
@@ -205,8 +246,7 @@ export function createPokedex() {
     pokemonDisplay.innerHTML = '<p class="loading-pokemon">Loading...</p>';
     
     try {
-      // Fetch random Pokemon of this type
-      const pokemon = await getRandomPokemon(typeName);
+      const pokemon = await loadPokemon(signal);
       
       // Recreate display structure and show Pokemon
       pokemonDisplay.innerHTML = `
@@ -223,35 +263,80 @@ export function createPokedex() {
       displayPokemon(pokemonDisplay, pokemon);
       
       // Show hologram after a short delay
-      setTimeout(async () => {
-        const hologram = await createHologram(pokemon, {
-          onClose: () => {
-            // Hologram closed - do nothing special
-          },
-          onNext: () => {
-            // Fetch new random Pokemon from same type and re-display
-            showPokemonWithHologram(currentType);
-          }
-        });
-        document.body.appendChild(hologram);
+      hologramTimer = setTimeout(async () => {
+        hologramTimer = null;
+        try {
+          const hologram = await createHologram(pokemon, {
+            signal,
+            onClose: () => {
+              if (currentHologram === hologram) currentHologram = null;
+            },
+            onNext: () => {
+              // Ignore a Next that finished fading out after Back was clicked
+              if (currentHologram !== hologram) return;
+              currentHologram = null;
+              showNext();
+            }
+          });
+          if (signal.aborted) return;
+          currentHologram = hologram;
+          document.body.appendChild(hologram);
+        } catch (error) {
+          if (!signal.aborted) console.error('Failed to create hologram:', error);
+        }
       }, 1000);
       
       // Add back button handler
       pokemonDisplay.querySelector('.back-btn').addEventListener('click', () => {
+        cancelPokemonLoad();
         pokemonDisplayArea.classList.add('hidden');
         typeSelectorWrapper.classList.remove('hidden');
       });
     } catch (error) {
+      // A newer selection took over; leave the display to it
+      if (signal.aborted) return;
       pokemonDisplay.innerHTML = `<p class="error-text">Error: ${error.message}</p>`;
     }
   }
 
+  // Show a random Pokemon of the type; Next picks another of the same type
+  function showRandomPokemon(typeName) {
+    showPokemonWithHologram(
+      signal => getRandomPokemon(typeName, { signal }),
+      () => showRandomPokemon(typeName)
+    );
+  }
+
+  // Show a searched Pokemon; Next continues in Pokedex number order
+  function showSearchedPokemon(speciesList, index) {
+    showPokemonWithHologram(
+      signal => getPokemon(speciesList[index].id, { signal }),
+      () => showSearchedPokemon(speciesList, (index + 1) % speciesList.length)
+    );
+  }
+
+  // Inject search box above the TypeSelector component
+  const pokemonSearch = createPokemonSearch((species, speciesList) => {
+    showSearchedPokemon(speciesList, speciesList.indexOf(species));
+  });
+  typeSelectorWrapper.appendChild(pokemonSearch);
+
   // Inject TypeSelector component
   const typeSelector = createTypeSelector(async (selectedType) => {
     console.log('Selected type:', selectedType);
-    showPokemonWithHologram(selectedType);
+    showRandomPokemon(selectedType);
   });
   typeSelectorWrapper.appendChild(typeSelector);
 
+  // Remove listeners, cancel timers and loads, pause animations and detach the element
+  pokedex.destroy = () => {
+    clearTimeout(listenerTimer);
+    listeners.abort();
+    cancelPokemonLoad();
+    animations.forEach(animation => animation.pause());
+    animations.clear();
+    pokedex.remove();
+  };
+
   return pokedex;
 }
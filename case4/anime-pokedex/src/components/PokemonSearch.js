@@ -0,0 +1,297 @@
+/**
+ * ポケモン検索コンポーネント - 名前（英語・日本語）や図鑑番号で検索し、候補を自動補完する
+ */
+
+import { fetchPokemonNames, fetchSpeciesNames } from '../api/pokeapi.js';
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * 検索用に文字列を正規化する
+ *
+ * 大文字小文字・アクセント・全角半角・ひらがなとカタカナの違い、記号や空白を無視する。
+ * @param {string} text - 文字列
+ * @returns {string} 正規化された文字列
+ */
+function normalize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // Hiragana to katakana, so "ぴかちゅう" finds "ピカチュウ"
+    .replace(/[\u3041-\u3096]/g, ch => String.fromCharCode(ch.charCodeAt(0) + 0x60))
+    .replace(/[\s\-.'’:]/g, '');
+}
+
+/**
+ * 表示用の英語名を返す
+ * @param {Object} species - 種族（id, name, englishName, japaneseName）
+ * @returns {string} 英語名
+ */
+function displayName(species) {
+  return species.englishName || species.name.charAt(0).toUpperCase() + species.name.slice(1);
+}
+
+/**
+ * 種族の検索キーを作る
+ * @param {Object} species - 種族（id, name, englishName, japaneseName）
+ * @returns {Array<string>} 正規化された名前の配列
+ */
+function searchKeys(species) {
+  return [species.name, species.englishName, species.japaneseName]
+    .filter(Boolean)
+    .map(normalize);
+}
+
+/**
+ * 検索語に一致する種族を関連度順に返す
+ * @param {Array} entries - 検索キー付きの種族（species, keys）の配列
+ * @param {string} query - 検索語
+ * @returns {Array} 一致した種族（species, keys）の配列
+ */
+function findSpecies(entries, query) {
+  const normalized = normalize(query);
+  if (!normalized) return [];
+
+  // Numbers match Pokedex numbers by prefix, so "25" lists No.25 before No.250
+  if (/^\d+$/.test(normalized)) {
+    const digits = normalized.replace(/^0+/, '');
+    if (!digits) return [];
+    return entries
+      .filter(entry => String(entry.species.id).startsWith(digits))
+      .sort((a, b) => a.species.id - b.species.id)
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  // Names starting with the query rank above names merely containing it
+  return entries
+    .map(entry => {
+      const ranks = entry.keys.map(key => {
+        if (key.startsWith(normalized)) return 0;
+        return key.includes(normalized) ? 1 : Infinity;
+      });
+      return { entry, rank: Math.min(...ranks) };
+    })
+    .filter(({ rank }) => rank !== Infinity)
+    .sort((a, b) => a.rank - b.rank || a.entry.species.id - b.entry.species.id)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * テキストを持つ要素を作成する
+ *
+ * APIから受け取った名前を扱うため、innerHTMLではなくtextContentを使う。
+ * @param {string} tagName - タグ名
+ * @param {string} className - クラス名
+ * @param {string} text - テキスト
+ * @returns {HTMLElement} 要素
+ */
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * 候補のリスト項目を作成する
+ * @param {Object} species - 種族（id, name, englishName, japaneseName）
+ * @param {number} index - 候補内の位置
+ * @param {boolean} active - 選択中かどうか
+ * @returns {HTMLElement} li要素
+ */
+function createOption(species, index, active) {
+  const option = document.createElement('li');
+  option.className = `pokemon-search-option${active ? ' active' : ''}`;
+  option.id = `pokemon-search-option-${index}`;
+  option.setAttribute('role', 'option');
+  option.setAttribute('aria-selected', String(active));
+  option.dataset.index = String(index);
+  option.append(
+    createTextElement('span', 'pokemon-search-number', `No.${String(species.id).padStart(4, '0')}`),
+    createTextElement('span', 'pokemon-search-name', displayName(species)),
+    createTextElement('span', 'pokemon-search-japanese', species.japaneseName || '')
+  );
+  return option;
+}
+
+/**
+ * ポケモン検索コンポーネントを作成する
+ * @param {Function} onSelect - 候補選択時のコールバック（選択した種族と番号順の全種族を受け取る）
+ * @returns {HTMLElement} 検索要素
+ */
+export function createPokemonSearch(onSelect) {
+  const container = document.createElement('div');
+  container.className = 'pokemon-search';
+  container.innerHTML = `
+    <input
+      class="pokemon-search-input"
+      type="search"
+      placeholder="Search by name or No. (Pikachu, ピカチュウ, 25)"
+      autocomplete="off"
+      spellcheck="false"
+      role="combobox"
+      aria-label="Search Pokémon"
+      aria-autocomplete="list"
+      aria-expanded="false"
+      aria-controls="pokemon-search-list"
+    />
+    <ul class="pokemon-search-list hidden" id="pokemon-search-list" role="listbox"></ul>
+    <p class="pokemon-search-notice hidden" role="status"></p>
+  `;
+
+  const input = container.querySelector('.pokemon-search-input');
+  const list = container.querySelector('.pokemon-search-list');
+  const notice = container.querySelector('.pokemon-search-notice');
+
+  let allSpecies = null;
+  let entries = null;
+  let loading = null;
+  let suggestions = [];
+  let activeIndex = -1;
+  let japaneseNamesMissing = false;
+  const requestedNames = new Set();
+
+  // Load the name index once, on first use
+  const loadNames = () => {
+    if (!loading) {
+      loading = fetchPokemonNames()
+        .then(({ species: speciesList, japaneseNames }) => {
+          allSpecies = speciesList;
+          entries = speciesList.map(species => ({ species, keys: searchKeys(species) }));
+          japaneseNamesMissing = !japaneseNames;
+          if (japaneseNamesMissing) {
+            notice.textContent = '日本語名を読み込めませんでした。英語名と図鑑番号で検索できます';
+            notice.classList.remove('hidden');
+          }
+        })
+        .catch(error => {
+          // Let the next keystroke try again
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  // Without the name index, fetch the names of the suggestions shown one by one
+  const fillNames = (shown) => {
+    shown
+      .filter(({ species }) => !species.japaneseName && !requestedNames.has(species.id))
+      .forEach(entry => {
+        requestedNames.add(entry.species.id);
+        fetchSpeciesNames(entry.species.id)
+          .then(names => {
+            Object.assign(entry.species, names);
+            entry.keys = searchKeys(entry.species);
+            if (!list.classList.contains('hidden')) renderSuggestions();
+          })
+          .catch(() => {
+            // Keep the English name; the notice already tells the user
+          });
+      });
+  };
+
+  const closeList = () => {
+    suggestions = [];
+    activeIndex = -1;
+    list.classList.add('hidden');
+    list.replaceChildren();
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  };
+
+  const showMessage = (className, text) => {
+    suggestions = [];
+    activeIndex = -1;
+    list.replaceChildren(createTextElement('li', className, text));
+    list.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'false');
+  };
+
+  const renderSuggestions = () => {
+    // Names may finish loading after the input lost focus
+    if (!input.value.trim() || document.activeElement !== input) {
+      closeList();
+      return;
+    }
+
+    if (!entries) {
+      showMessage('loading-text', 'Loading names...');
+      loadNames()
+        .then(renderSuggestions)
+        .catch(error => {
+          console.error('Failed to load Pokemon names:', error);
+          showMessage('error-text', 'Failed to load names');
+        });
+      return;
+    }
+
+    suggestions = findSpecies(entries, input.value);
+    if (suggestions.length === 0) {
+      showMessage('pokemon-search-empty', 'No Pokémon found');
+      return;
+    }
+    if (japaneseNamesMissing) {
+      fillNames(suggestions);
+    }
+
+    activeIndex = Math.min(Math.max(activeIndex, 0), suggestions.length - 1);
+    list.replaceChildren(...suggestions.map(({ species }, index) => createOption(species, index, index === activeIndex)));
+    list.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-activedescendant', `pokemon-search-option-${activeIndex}`);
+  };
+
+  const selectSuggestion = (index) => {
+    const suggestion = suggestions[index];
+    if (!suggestion) return;
+    input.value = '';
+    closeList();
+    input.blur();
+    if (onSelect) {
+      onSelect(suggestion.species, allSpecies);
+    }
+  };
+
+  input.addEventListener('focus', () => {
+    // Start loading names before the first keystroke
+    loadNames().catch(() => {});
+    renderSuggestions();
+  });
+
+  input.addEventListener('input', () => {
+    activeIndex = 0;
+    renderSuggestions();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (suggestions.length === 0) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+      renderSuggestions();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      selectSuggestion(activeIndex);
+    } else if (e.key === 'Escape') {
+      closeList();
+    }
+  });
+
+  input.addEventListener('blur', closeList);
+
+  // Keep focus in the input so blur does not close the list before the click lands
+  list.addEventListener('mousedown', (e) => e.preventDefault());
+
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('.pokemon-search-option');
+    if (option) {
+      selectSuggestion(Number(option.dataset.index));
+    }
+  });
+
+  return container;
+}
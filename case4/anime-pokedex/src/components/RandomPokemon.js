@@ -3,53 +3,47 @@
  */
 
 import { animate } from 'animejs';
-
-const POKEAPI_TYPE_URL = 'https://pokeapi.co/api/v2/type/';
-const POKEAPI_POKEMON_URL = 'https://pokeapi.co/api/v2/pokemon/';
+import { fetchPokemonByType, fetchPokemon } from '../api/pokeapi.js';
 
 /**
- * 指定されたタイプのポケモン一覧を取得する
- * @param {string} typeName - タイプ名
- * @returns {Promise<Array>} このタイプのポケモン配列
+ * ポケモン詳細データを表示用のデータに変換する
+ * @param {Object} details - ポケモン詳細データ
+ * @returns {Object} 表示用のポケモンデータ（id, name, image）
  */
-async function fetchPokemonByType(typeName) {
-  const response = await fetch(`${POKEAPI_TYPE_URL}${typeName}`);
-  if (!response.ok) {
-    throw new Error('Failed to fetch Pokemon by type');
-  }
-  const data = await response.json();
-  return data.pokemon.map(p => p.pokemon);
+function toDisplayPokemon(details) {
+  return {
+    id: details.id,
+    name: details.name,
+    image: details.sprites.other['official-artwork'].front_default,
+  };
 }
 
 /**
- * ポケモンの詳細データを取得する
- * @param {string} pokemonUrl - ポケモンAPIのURL
- * @returns {Promise<Object>} ポケモン詳細データ
+ * 番号または名前を指定してポケモンを取得する
+ * @param {number|string} idOrName - ポケモンIDまたは名前
+ * @param {Object} options - オプションオブジェクト
+ * @param {AbortSignal} options.signal - 中断シグナル
+ * @returns {Promise<Object>} ポケモンの詳細データ
  */
-async function fetchPokemonDetails(pokemonUrl) {
-  const response = await fetch(pokemonUrl);
-  if (!response.ok) {
-    throw new Error('Failed to fetch Pokemon details');
-  }
-  return response.json();
+export async function getPokemon(idOrName, options = {}) {
+  const details = await fetchPokemon(idOrName, { signal: options.signal });
+  return toDisplayPokemon(details);
 }
 
 /**
  * タイプからランダムなポケモンを取得し、その詳細を返す
  * @param {string} typeName - タイプ名
+ * @param {Object} options - オプションオブジェクト
+ * @param {AbortSignal} options.signal - 中断シグナル
  * @returns {Promise<Object>} ランダムなポケモンの詳細データ
  */
-export async function getRandomPokemon(typeName) {
-  const pokemonList = await fetchPokemonByType(typeName);
+export async function getRandomPokemon(typeName, options = {}) {
+  const { signal } = options;
+  const pokemonList = await fetchPokemonByType(typeName, { signal });
   const randomIndex = Math.floor(Math.random() * pokemonList.length);
   const randomPokemon = pokemonList[randomIndex];
-  const details = await fetchPokemonDetails(randomPokemon.url);
-  
-  return {
-    id: details.id,
-    name: details.name,
-    image: details.sprites.other['official-artwork'].front_default,
-  };
+  const details = await fetchPokemon(randomPokemon.url, { signal });
+  return toDisplayPokemon(details);
 }
 
 /**
@@ -2,20 +2,16 @@
  * タイプセレクターコンポーネント - PokéAPIからポケモンタイプを取得・表示する
  */
 
-const POKEAPI_TYPES_URL = 'https://pokeapi.co/api/v2/type/';
+import { fetchTypes } from '../api/pokeapi.js';
 
 /**
- * PokéAPIから全てのポケモンタイプを取得する
+ * 標準のポケモンタイプを取得する
  * @returns {Promise<Array>} タイプオブジェクトの配列
  */
-async function fetchTypes() {
-  const response = await fetch(POKEAPI_TYPES_URL);
-  if (!response.ok) {
-    throw new Error('Failed to fetch types');
-  }
-  const data = await response.json();
+async function fetchStandardTypes() {
+  const types = await fetchTypes();
   // Filter out "unknown" and "shadow" types which are not standard
-  return data.results.filter(type => !['unknown', 'shadow'].includes(type.name));
+  return types.filter(type => !['unknown', 'shadow'].includes(type.name));
 }
 
 /**
@@ -29,7 +25,7 @@ export function createTypeSelector(onTypeSelect) {
   container.innerHTML = '<p class="loading-text">Loading types...</p>';
 
   // Fetch and render types
-  fetchTypes()
+  fetchStandardTypes()
     .then(types => {
       container.innerHTML = `
         <h2 class="type-selector-title">Select a Type</h2>
@@ -1,6 +1,7 @@
 import './styles/main.css';
 import './styles/pokedex.css';
 import './styles/type-selector.css';
+import './styles/pokemon-search.css';
 import './styles/random-pokemon.css';
 import './styles/hologram.css';
 import { createPokedex } from './components/Pokedex.js';
@@ -8,4 +9,10 @@ import { createPokedex } from './components/Pokedex.js';
 // Main entry point
 const app = document.querySelector('#app');
 app.innerHTML = '';
-app.appendChild(createPokedex());
+const pokedex = createPokedex();
+app.appendChild(pokedex);
+
+// Release global listeners before Vite hot-swaps this module
+if (import.meta.hot) {
+  import.meta.hot.dispose(() => pokedex.destroy());
+}